@@ -0,0 +1,285 @@
+const crypto = require("crypto");
+const Coupon = require("../model/Coupon");
+const Sale = require("../model/Sale");
+
+// No 0/O or 1/I so codes survive being read out or typed from paper
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const MAX_BULK_COUPONS = 5000;
+
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "discountType",
+  "discountValue",
+  "maxDiscount",
+  "minBasket",
+  "startDate",
+  "expiresAt",
+  "usageLimit",
+  "perCustomerLimit",
+  "storeIds",
+  "isActive",
+];
+
+const pickFields = (body) => {
+  const data = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+const randomCode = (prefix, length) => {
+  let code = "";
+  for (let i = 0; i < length; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return prefix ? `${prefix}-${code}` : code;
+};
+
+/**
+ * Create a single coupon with a chosen code
+ */
+const createCoupon = async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ message: "Coupon code is required" });
+    }
+
+    const coupon = new Coupon({ ...pickFields(req.body), code, createdBy: req.userId });
+    await coupon.save();
+
+    res.status(201).json(coupon);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: "Coupon code already exists" });
+    }
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Generate a batch of unique single-use (or limited-use) codes
+ */
+const generateCoupons = async (req, res) => {
+  try {
+    const count = parseInt(req.body.count);
+    const length = Math.min(Math.max(parseInt(req.body.length) || 8, 6), 16);
+    const prefix = (req.body.prefix || "").trim().toUpperCase();
+
+    if (!count || count < 1 || count > MAX_BULK_COUPONS) {
+      return res.status(400).json({
+        message: `Count must be between 1 and ${MAX_BULK_COUPONS}`,
+      });
+    }
+
+    const template = {
+      usageLimit: 1,
+      ...pickFields(req.body),
+      batchId: `BATCH-${Date.now()}`,
+      createdBy: req.userId,
+    };
+    // Run the cross-field checks once before writing anything
+    await new Coupon({ ...template, code: "TEMPLATE" }).validate();
+
+    const created = [];
+    // Codes that collide with existing ones are dropped and regenerated
+    for (let attempt = 0; attempt < 5 && created.length < count; attempt++) {
+      const codes = new Set();
+      while (codes.size < count - created.length) codes.add(randomCode(prefix, length));
+
+      try {
+        const docs = await Coupon.insertMany(
+          [...codes].map((code) => ({ ...template, code })),
+          { ordered: false }
+        );
+        created.push(...docs);
+      } catch (error) {
+        if (error.code !== 11000 && !error.writeErrors) throw error;
+        created.push(...(error.insertedDocs || []));
+      }
+    }
+
+    res.status(201).json({
+      message: `${created.length} coupons generated`,
+      batchId: template.batchId,
+      count: created.length,
+      codes: created.map((coupon) => coupon.code),
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Get coupons with filters
+ */
+const getCoupons = async (req, res) => {
+  try {
+    const { batchId, isActive, search, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (batchId) query.batchId = batchId;
+    if (isActive !== undefined) query.isActive = isActive === "true";
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+      query.$or = [{ code: pattern }, { name: pattern }];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [coupons, total] = await Promise.all([
+      Coupon.find(query).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)),
+      Coupon.countDocuments(query),
+    ]);
+
+    res.json({
+      coupons,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Get coupon by ID
+ */
+const getCouponById = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+      .populate("storeIds", "name")
+      .populate("createdBy", "name");
+
+    if (!coupon) {
+      return res.status(404).json({ message: "Coupon not found" });
+    }
+
+    res.json(coupon);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Update coupon (the code itself cannot change once issued)
+ */
+const updateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ message: "Coupon not found" });
+    }
+
+    Object.assign(coupon, pickFields(req.body));
+    await coupon.save();
+
+    res.json(coupon);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Delete coupon (deactivate; redeemed sales keep referring to it)
+ */
+const deleteCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+    if (!coupon) {
+      return res.status(404).json({ message: "Coupon not found" });
+    }
+
+    res.json({ message: "Coupon deactivated successfully" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Check a code against a basket before checkout
+ * Body: { code, storeId, customerId?, subtotal } where subtotal is the basket
+ * after item and promotion discounts
+ */
+const validateCoupon = async (req, res) => {
+  try {
+    const { code, storeId, customerId } = req.body;
+    const subtotal = Number(req.body.subtotal) || 0;
+
+    if (!code || !storeId) {
+      return res.status(400).json({ message: "Code and store ID are required" });
+    }
+
+    try {
+      const { coupon, discount } = await Coupon.validateCode(code, {
+        storeId,
+        customerId,
+        basketTotal: subtotal,
+      });
+
+      res.json({
+        valid: true,
+        code: coupon.code,
+        couponId: coupon._id,
+        discountType: coupon.discountType,
+        discountValue: coupon.discountValue,
+        discount,
+        totalAfterDiscount: parseFloat((subtotal - discount).toFixed(2)),
+      });
+    } catch (error) {
+      res.status(422).json({ valid: false, message: error.message });
+    }
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Get the sales a coupon was redeemed on
+ */
+const getCouponRedemptions = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id).select("code usedCount usageLimit");
+    if (!coupon) {
+      return res.status(404).json({ message: "Coupon not found" });
+    }
+
+    const sales = await Sale.find({ "coupon.couponId": coupon._id })
+      .select("saleNo total coupon customerId cashierId storeId status createdAt")
+      .populate("customerId", "name phone")
+      .populate("cashierId", "name")
+      .populate("storeId", "name")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      coupon,
+      totalDiscount: parseFloat(
+        sales.reduce((sum, sale) => sum + (sale.coupon?.discount || 0), 0).toFixed(2)
+      ),
+      sales,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  createCoupon,
+  generateCoupons,
+  getCoupons,
+  getCouponById,
+  updateCoupon,
+  deleteCoupon,
+  validateCoupon,
+  getCouponRedemptions,
+};
@@ -1,4 +1,29 @@
 const Customer = require("../model/Customer");
+const Sale = require("../model/Sale");
+const Refund = require("../model/Refund");
+const Settings = require("../model/Settings");
+const LoyaltyTransaction = require("../model/LoyaltyTransaction");
+const Prescriber = require("../model/Prescriber");
+const {
+  isEnrolled,
+  loadLoyaltyCustomer,
+  getRollingSpend,
+  getQualifyingTier,
+  getNextTier,
+  expiryFor,
+  runLoyaltyMaintenance,
+} = require("../utils/loyalty");
+const { getPrescriptionHistory, getRefillReminders } = require("../utils/prescriptions");
+
+const PATIENT_FIELDS = [
+  "dateOfBirth",
+  "gender",
+  "allergies",
+  "chronicConditions",
+  "primaryPrescriberId",
+  "refillRemindersEnabled",
+  "notes",
+];
 
 /**
  * Get all customers with search and filter
@@ -120,7 +145,10 @@ const createCustomer = async (req, res) => {
  */
 const updateCustomer = async (req, res) => {
   try {
-    const customer = await Customer.findByIdAndUpdate(req.params.id, req.body, {
+    // The points balance only moves through the loyalty ledger
+    const { loyaltyPoints, ...updates } = req.body;
+
+    const customer = await Customer.findByIdAndUpdate(req.params.id, updates, {
       new: true,
       runValidators: true,
     });
@@ -162,6 +190,367 @@ const deleteCustomer = async (req, res) => {
   }
 };
 
+/**
+ * Get customer receivables statement (credit sales, collections and running balance)
+ */
+const getCustomerStatement = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) {
+      return res.status(404).json({ message: "Customer not found" });
+    }
+
+    // Credit sales keep their "due" placeholder payment even after being settled
+    const creditSales = await Sale.find({
+      customerId: customer._id,
+      "payments.method": "due",
+    })
+      .select("saleNo total payments dueAmount status createdAt storeId")
+      .sort({ createdAt: 1 });
+
+    const refunds = await Refund.find({
+      saleId: { $in: creditSales.map((sale) => sale._id) },
+      dueWrittenOff: { $gt: 0 },
+    });
+
+    const entries = [];
+    creditSales.forEach((sale) => {
+      const paidAtCheckout = sale.payments
+        .filter((p) => p.method !== "due" && !p.collectedAt)
+        .reduce((sum, p) => sum + (p.amount || 0) - (p.change || 0), 0);
+
+      entries.push({
+        date: sale.createdAt,
+        type: "sale",
+        saleId: sale._id,
+        reference: sale.saleNo,
+        debit: parseFloat((sale.total - paidAtCheckout).toFixed(2)),
+        credit: 0,
+      });
+
+      sale.payments
+        .filter((p) => p.collectedAt)
+        .forEach((p) => {
+          entries.push({
+            date: p.collectedAt,
+            type: "payment",
+            saleId: sale._id,
+            reference: p.reference || sale.saleNo,
+            method: p.method,
+            debit: 0,
+            credit: p.amount,
+          });
+        });
+    });
+
+    refunds.forEach((refund) => {
+      entries.push({
+        date: refund.createdAt,
+        type: "refund",
+        saleId: refund.saleId,
+        reference: refund.refundNo,
+        debit: 0,
+        credit: refund.dueWrittenOff,
+      });
+    });
+
+    entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    // Running balance over the full history, then trim to the requested window
+    let balance = 0;
+    entries.forEach((entry) => {
+      balance = parseFloat((balance + entry.debit - entry.credit).toFixed(2));
+      entry.balance = balance;
+    });
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    const inRange = entries.filter(
+      (entry) =>
+        (!fromDate || new Date(entry.date) >= fromDate) &&
+        (!toDate || new Date(entry.date) <= toDate)
+    );
+    const earlier = fromDate ? entries.filter((entry) => new Date(entry.date) < fromDate) : [];
+    const openingBalance = earlier.length > 0 ? earlier[earlier.length - 1].balance : 0;
+
+    res.json({
+      customer: {
+        _id: customer._id,
+        name: customer.name,
+        phone: customer.phone,
+      },
+      openingBalance,
+      closingBalance: inRange.length > 0 ? inRange[inRange.length - 1].balance : openingBalance,
+      outstanding: parseFloat(
+        creditSales.reduce((sum, sale) => sum + (sale.dueAmount || 0), 0).toFixed(2)
+      ),
+      entries: inRange,
+    });
+  } catch (error) {
+    console.error("Error fetching customer statement:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Get customer loyalty summary and points history
+ * Read-only: lapsed points and tier changes are shown as they stand and are
+ * written by checkout or the loyalty processing job
+ */
+const getCustomerLoyalty = async (req, res) => {
+  try {
+    const { type, page = 1, limit = 50 } = req.query;
+
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) {
+      return res.status(404).json({ message: "Customer not found" });
+    }
+
+    const settings = await Settings.findOne({ isActive: true });
+    const rollingSpend = await getRollingSpend(customer._id, settings);
+    const tier = customer.membershipType;
+    const qualifiedTier = isEnrolled(customer, settings)
+      ? getQualifyingTier(settings, rollingSpend, tier)
+      : tier;
+
+    const query = { customerId: customer._id };
+    if (type) query.type = type;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const now = new Date();
+    const [history, total, expiring, lapsedLots] = await Promise.all([
+      LoyaltyTransaction.find(query)
+        .populate("saleId", "saleNo total")
+        .populate("userId", "name")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      LoyaltyTransaction.countDocuments(query),
+      LoyaltyTransaction.find({
+        customerId: customer._id,
+        remainingPoints: { $gt: 0 },
+        expiresAt: { $gt: now },
+      })
+        .select("remainingPoints expiresAt")
+        .sort({ expiresAt: 1 })
+        .limit(5),
+      LoyaltyTransaction.find({
+        customerId: customer._id,
+        remainingPoints: { $gt: 0 },
+        expiresAt: { $lte: now },
+      }).select("remainingPoints"),
+    ]);
+
+    // Lapsed lots not yet written off by the expiry job do not count
+    const lapsed = lapsedLots.reduce((sum, lot) => sum + lot.remainingPoints, 0);
+    const points = Math.max(0, (customer.loyaltyPoints || 0) - lapsed);
+
+    res.json({
+      customer: {
+        _id: customer._id,
+        name: customer.name,
+        phone: customer.phone,
+      },
+      enrolled: isEnrolled(customer, settings),
+      tier,
+      qualifiedTier,
+      points,
+      pointsValue: parseFloat((points * (settings?.pointValue || 0)).toFixed(2)),
+      rollingSpend,
+      nextTier: getNextTier(settings, qualifiedTier, rollingSpend),
+      expiring: expiring.map((lot) => ({ points: lot.remainingPoints, expiresAt: lot.expiresAt })),
+      history,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching customer loyalty:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Manually add or remove loyalty points (goodwill, corrections)
+ */
+const adjustLoyaltyPoints = async (req, res) => {
+  const points = parseInt(req.body.points);
+  const { reason } = req.body;
+
+  if (!points) {
+    return res.status(400).json({ message: "Points must be a non-zero whole number" });
+  }
+  if (!reason) {
+    return res.status(400).json({ message: "Adjustment reason is required" });
+  }
+
+  // Expiry, lots and balance move together or not at all
+  const session = await Customer.startSession();
+  session.startTransaction();
+
+  try {
+    const customer = await loadLoyaltyCustomer(req.params.id, session);
+    if (!customer) {
+      await session.abortTransaction();
+      return res.status(404).json({ message: "Customer not found" });
+    }
+
+    const settings = await Settings.findOne({ isActive: true }).session(session);
+    const transaction = await LoyaltyTransaction.post(
+      customer,
+      {
+        type: "adjust",
+        points,
+        description: reason,
+        userId: req.userId,
+        expiresAt: expiryFor(settings),
+      },
+      session
+    );
+
+    await session.commitTransaction();
+    res.status(201).json({ points: customer.loyaltyPoints, transaction });
+  } catch (error) {
+    await session.abortTransaction();
+    console.error("Error adjusting loyalty points:", error);
+    res.status(400).json({ message: error.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Expire lapsed points and re-tier customers on rolling spend (scheduled job)
+ */
+const processLoyalty = async (req, res) => {
+  try {
+    const settings = await Settings.findOne({ isActive: true });
+    const result = await runLoyaltyMaintenance(settings);
+
+    res.json({
+      message: `${result.pointsExpired} points expired, ${result.tierChanges.length} tier changes`,
+      ...result,
+    });
+  } catch (error) {
+    console.error("Error processing loyalty:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Create or update a customer's patient profile (pharmacy stores)
+ */
+const updatePatientProfile = async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) {
+      return res.status(404).json({ message: "Customer not found" });
+    }
+
+    if (req.body.primaryPrescriberId) {
+      const prescriber = await Prescriber.findOne({
+        _id: req.body.primaryPrescriberId,
+        isActive: true,
+      });
+      if (!prescriber) {
+        return res.status(400).json({ message: "Prescriber not found" });
+      }
+    }
+
+    const patient = customer.patient ? customer.patient.toObject() : {};
+    PATIENT_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) patient[field] = req.body[field];
+    });
+    customer.patient = patient;
+    await customer.save();
+    await customer.populate("patient.primaryPrescriberId", "name registrationNumber clinic phone");
+
+    res.json(customer);
+  } catch (error) {
+    console.error("Error updating patient profile:", error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Get a patient's profile, prescription history and when each medicine is due
+ * for a refill (latest dispensing per product)
+ */
+const getPatientPrescriptions = async (req, res) => {
+  try {
+    const { from, to, productId } = req.query;
+
+    const customer = await Customer.findById(req.params.id).populate(
+      "patient.primaryPrescriberId",
+      "name registrationNumber clinic phone"
+    );
+    if (!customer) {
+      return res.status(404).json({ message: "Customer not found" });
+    }
+
+    const prescriptions = await getPrescriptionHistory(customer._id, { from, to, productId });
+
+    // History is newest first, so the first line per product is the current supply
+    const seen = new Set();
+    const refills = prescriptions.filter((entry) => {
+      const key = entry.productId.toString();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return Boolean(entry.refillDueDate);
+    });
+
+    res.json({
+      customer: {
+        _id: customer._id,
+        name: customer.name,
+        phone: customer.phone,
+        patient: customer.patient || null,
+      },
+      prescriptions,
+      refills: refills.map(({ productId, productName, dispensedAt, daysSupply, refillDueDate }) => ({
+        productId,
+        productName,
+        dispensedAt,
+        daysSupply,
+        refillDueDate,
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching patient prescriptions:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Patients due a refill within ?days (default 7), including refills up to
+ * ?overdueDays (default 30) late
+ */
+const getPatientRefillReminders = async (req, res) => {
+  try {
+    const { storeId, days = 7, overdueDays = 30 } = req.query;
+
+    const reminders = await getRefillReminders({
+      storeId,
+      days: parseInt(days),
+      overdueDays: parseInt(overdueDays),
+    });
+
+    res.json({
+      reminders,
+      count: reminders.length,
+      overdue: reminders.filter((reminder) => reminder.daysUntilDue < 0).length,
+    });
+  } catch (error) {
+    console.error("Error fetching refill reminders:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
 module.exports = {
   getAllCustomers,
   getCustomerByPhone,
@@ -169,5 +558,12 @@ module.exports = {
   createCustomer,
   updateCustomer,
   deleteCustomer,
+  getCustomerStatement,
+  getCustomerLoyalty,
+  adjustLoyaltyPoints,
+  processLoyalty,
+  updatePatientProfile,
+  getPatientPrescriptions,
+  getPatientRefillReminders,
 };
 
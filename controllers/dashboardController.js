@@ -182,6 +182,8 @@ const getDashboardOverview = async (req, res) => {
     const todayTotalPurchaseReturn = 0;
 
     // ── Total Expenses (COGS) ─────────────────────────────────────────────────
+    // Sales carry items.costTotal, the cost snapshotted at sale time using the
+    //   configured costing method (moving average or FIFO). Older sales fall back to:
     // For SOURCED items  → use items.sourcingCost (the actual cost paid per unit
     //   for that specific deal, stored on the sale item at the time of purchase).
     // For REGULAR items  → use product.cost (standard cost from the Product doc).
@@ -202,26 +204,32 @@ const getDashboardOverview = async (req, res) => {
           _id: null,
           totalCOGS: {
             $sum: {
-              $multiply: [
-                { $abs: "$items.quantity" },
+              // Prefer the cost snapshotted at sale time; fall back for older sales
+              $ifNull: [
+                "$items.costTotal",
                 {
-                  $cond: {
-                    if: { $eq: ["$items.isSourced", true] },
-                    // Sourced item: use the actual cost paid at sourcing time
-                    then: { $ifNull: ["$items.sourcingCost", 0] },
-                    // Regular item: use the standard product cost
-                    else: {
-                      $ifNull: [
-                        {
-                          $let: {
-                            vars: { p: { $arrayElemAt: ["$product", 0] } },
-                            in: "$$p.cost",
-                          },
+                  $multiply: [
+                    { $abs: "$items.quantity" },
+                    {
+                      $cond: {
+                        if: { $eq: ["$items.isSourced", true] },
+                        // Sourced item: use the actual cost paid at sourcing time
+                        then: { $ifNull: ["$items.sourcingCost", 0] },
+                        // Regular item: use the standard product cost
+                        else: {
+                          $ifNull: [
+                            {
+                              $let: {
+                                vars: { p: { $arrayElemAt: ["$product", 0] } },
+                                in: "$$p.cost",
+                              },
+                            },
+                            0,
+                          ],
                         },
-                        0,
-                      ],
+                      },
                     },
-                  },
+                  ],
                 },
               ],
             },
@@ -463,7 +471,9 @@ const getDashboardStats = async (req, res) => {
       {
         $group: {
           _id: "$payments.method",
-          total: { $sum: "$payments.amount" },
+          total: {
+            $sum: { $subtract: ["$payments.amount", { $ifNull: ["$payments.change", 0] }] },
+          },
           count: { $sum: 1 },
         },
       },
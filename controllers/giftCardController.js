@@ -0,0 +1,257 @@
+const crypto = require("crypto");
+const GiftCard = require("../model/GiftCard");
+
+// No 0/O or 1/I so codes survive being read out or typed from a card
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const PIN_LENGTH = 6;
+
+const randomCode = () => {
+  const groups = [];
+  for (let group = 0; group < 4; group++) {
+    let chars = "";
+    for (let i = 0; i < 4; i++) {
+      chars += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    groups.push(chars);
+  }
+  return groups.join("-");
+};
+
+const randomPin = () => String(crypto.randomInt(10 ** PIN_LENGTH)).padStart(PIN_LENGTH, "0");
+
+const toAmount = (value) => parseFloat(Number(value).toFixed(2));
+
+// Never send the PIN hash back, even when the card was loaded to check it
+const publicCard = (card) => {
+  const data = card.toObject({ virtuals: true });
+  delete data.pin;
+  return data;
+};
+
+/**
+ * Issue a gift card or voucher
+ * The PIN is only ever returned here; it is stored hashed
+ */
+const issueGiftCard = async (req, res) => {
+  try {
+    const { type = "gift_card", expiresAt, customerId, storeId, notes, reference } = req.body;
+    const amount = toAmount(req.body.amount);
+
+    if (!(amount > 0)) {
+      return res.status(400).json({ message: "A positive amount is required" });
+    }
+
+    const pin = req.body.pin ? String(req.body.pin) : randomPin();
+    const code = req.body.code ? String(req.body.code).trim().toUpperCase() : randomCode();
+
+    const card = new GiftCard({
+      code,
+      pin,
+      type,
+      initialValue: amount,
+      balance: 0,
+      expiresAt,
+      customerId,
+      storeId,
+      notes,
+      issuedBy: req.userId,
+    });
+    card.applyTransaction("issue", amount, { storeId, reference, userId: req.userId });
+    await card.save();
+
+    res.status(201).json({ ...publicCard(card), pin });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: "Gift card code already exists" });
+    }
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Get gift cards with filters
+ */
+const getGiftCards = async (req, res) => {
+  try {
+    const { type, status, customerId, storeId, search, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (type) query.type = type;
+    if (status) query.status = status;
+    if (customerId) query.customerId = customerId;
+    if (storeId) query.storeId = storeId;
+    if (search) {
+      query.code = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [giftCards, total] = await Promise.all([
+      GiftCard.find(query)
+        .select("-transactions")
+        .populate("customerId", "name phone")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      GiftCard.countDocuments(query),
+    ]);
+
+    res.json({
+      giftCards,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Get gift card by ID with its transactions
+ */
+const getGiftCardById = async (req, res) => {
+  try {
+    const card = await GiftCard.findById(req.params.id)
+      .populate("customerId", "name phone")
+      .populate("storeId", "name")
+      .populate("issuedBy", "name")
+      .populate("transactions.saleId", "saleNo")
+      .populate("transactions.userId", "name");
+
+    if (!card) {
+      return res.status(404).json({ message: "Gift card not found" });
+    }
+
+    res.json(card);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Check the balance of a card by code and PIN (customer-facing lookup)
+ */
+const checkBalance = async (req, res) => {
+  try {
+    const { code, pin } = req.body;
+    if (!code || !pin) {
+      return res.status(400).json({ message: "Code and PIN are required" });
+    }
+
+    const card = await GiftCard.authenticate(code, pin);
+    if (card.isModified()) await card.save();
+
+    res.json({
+      code: card.code,
+      type: card.type,
+      balance: card.balance,
+      status: card.isExpired && card.status === "active" ? "expired" : card.status,
+      expiresAt: card.expiresAt,
+    });
+  } catch (error) {
+    res.status(422).json({ message: error.message });
+  }
+};
+
+/**
+ * Add value to a gift card (vouchers cannot be topped up)
+ */
+const topUpGiftCard = async (req, res) => {
+  try {
+    const amount = toAmount(req.body.amount);
+    if (!(amount > 0)) {
+      return res.status(400).json({ message: "A positive amount is required" });
+    }
+
+    const card = await GiftCard.findById(req.params.id);
+    if (!card) {
+      return res.status(404).json({ message: "Gift card not found" });
+    }
+    if (card.type === "voucher") {
+      return res.status(400).json({ message: "Vouchers cannot be topped up" });
+    }
+    card.assertUsable();
+
+    const updated = await card.postTransaction("top_up", amount, {
+      storeId: req.body.storeId,
+      reference: req.body.reference,
+      userId: req.userId,
+    });
+
+    res.json(publicCard(updated));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Take value off a card outside a till sale (e.g. restaurant orders)
+ * Checkout redeems cards itself through the gift_card and voucher payments
+ */
+const redeemGiftCard = async (req, res) => {
+  try {
+    const { code, pin, amount, type, storeId, reference } = req.body;
+    if (!code || !pin) {
+      return res.status(400).json({ message: "Code and PIN are required" });
+    }
+
+    const card = await GiftCard.redeem(
+      { code, pin, amount, type },
+      { storeId, reference, userId: req.userId }
+    );
+
+    res.json({
+      code: card.code,
+      redeemed: toAmount(amount),
+      balance: card.balance,
+      status: card.status,
+    });
+  } catch (error) {
+    res.status(422).json({ message: error.message });
+  }
+};
+
+/**
+ * Void a card, writing off its remaining balance
+ */
+const voidGiftCard = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason) {
+      return res.status(400).json({ message: "Void reason is required" });
+    }
+
+    const card = await GiftCard.findById(req.params.id);
+    if (!card) {
+      return res.status(404).json({ message: "Gift card not found" });
+    }
+    if (card.status === "void") {
+      return res.status(400).json({ message: "Gift card is already void" });
+    }
+
+    const updated = await card.postTransaction(
+      "void",
+      -card.balance,
+      { reference: reason, userId: req.userId },
+      { set: { status: "void", voidedAt: new Date(), voidedBy: req.userId, voidReason: reason } }
+    );
+
+    res.json(publicCard(updated));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  issueGiftCard,
+  getGiftCards,
+  getGiftCardById,
+  checkBalance,
+  topUpGiftCard,
+  redeemGiftCard,
+  voidGiftCard,
+};
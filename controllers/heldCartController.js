@@ -0,0 +1,249 @@
+const HeldCart = require("../model/HeldCart");
+const Product = require("../model/Product");
+const Settings = require("../model/Settings");
+const { createSale } = require("./saleController");
+const { nextDocumentNumber } = require("../utils/documentNumber");
+const { runInTransaction } = require("../utils/transaction");
+
+const DEFAULT_EXPIRY_MINUTES = 240;
+
+/**
+ * Validate parked items and snapshot name and price for display.
+ * Stock is deliberately not checked or reserved; that happens at checkout.
+ */
+const buildCartItems = async (items) => {
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    throw new Error("At least one item is required");
+  }
+
+  const cartItems = [];
+  for (const item of items) {
+    if (!item.quantity || item.quantity <= 0) {
+      throw new Error("Each item needs a positive quantity");
+    }
+
+    const product = await Product.findById(item.productId).select(
+      "name price variants isActive conversionFactor sellingPriceBox"
+    );
+    if (!product || !product.isActive) {
+      throw new Error(`Product ${item.productId} not found`);
+    }
+
+    const variant =
+      item.variantId !== undefined && product.variants?.length
+        ? product.variants[item.variantId]
+        : null;
+
+    const unit = item.unit === "purchase" && !item.isSourced ? "purchase" : "selling";
+    let unitPrice = item.isSourced && item.price ? item.price : variant?.price ?? product.price;
+    if (unit === "purchase") {
+      unitPrice = !variant && product.sellingPriceBox
+        ? product.sellingPriceBox
+        : unitPrice * (product.conversionFactor || 1);
+    }
+
+    cartItems.push({
+      productId: product._id,
+      variantId: item.variantId,
+      productName: variant?.name ? `${product.name} - ${variant.name}` : product.name,
+      quantity: item.quantity,
+      unit,
+      unitPrice,
+      discount: item.discount || 0,
+      isSourced: item.isSourced || false,
+      price: item.price,
+      sourcingCost: item.sourcingCost,
+      serialNumbers: item.serialNumbers,
+    });
+  }
+  return cartItems;
+};
+
+const getExpiryDate = async () => {
+  const settings = await Settings.findOne({ isActive: true }).select("heldCartExpiryMinutes");
+  const minutes = settings?.heldCartExpiryMinutes || DEFAULT_EXPIRY_MINUTES;
+  return new Date(Date.now() + minutes * 60 * 1000);
+};
+
+/**
+ * Park a basket
+ */
+const holdCart = async (req, res) => {
+  try {
+    const { storeId, items, customerId, label, notes } = req.body;
+
+    if (!storeId) {
+      return res.status(400).json({ message: "Store ID is required" });
+    }
+
+    const heldCart = new HeldCart({
+      storeId,
+      cashierId: req.userId,
+      customerId: customerId || undefined,
+      items: await buildCartItems(items),
+      label,
+      notes,
+      expiresAt: await getExpiryDate(),
+    });
+
+    // Numbered last, in the transaction that saves it, so a failed hold leaves no gap
+    await runInTransaction(async (session) => {
+      heldCart.holdNo = await nextDocumentNumber("heldCart", { storeId, session });
+      await heldCart.save({ session });
+    });
+
+    res.status(201).json(heldCart);
+  } catch (error) {
+    console.error("Error holding cart:", error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * List parked baskets in a store (visible from every till)
+ */
+const getHeldCarts = async (req, res) => {
+  try {
+    const { storeId, cashierId, status } = req.query;
+
+    if (!storeId) {
+      return res.status(400).json({ message: "Store ID is required" });
+    }
+
+    await HeldCart.expireStale(storeId);
+
+    const query = { storeId, status: status || { $in: ["held", "resumed"] } };
+    if (cashierId) query.cashierId = cashierId;
+
+    const heldCarts = await HeldCart.find(query)
+      .populate("cashierId", "name")
+      .populate("resumedBy", "name")
+      .populate("customerId", "name phone")
+      .sort({ createdAt: -1 });
+
+    res.json(heldCarts);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Get held cart by ID
+ */
+const getHeldCartById = async (req, res) => {
+  try {
+    const heldCart = await HeldCart.findById(req.params.id)
+      .populate("cashierId", "name")
+      .populate("resumedBy", "name")
+      .populate("customerId", "name phone email")
+      .populate("items.productId", "name sku price stock");
+
+    if (!heldCart) {
+      return res.status(404).json({ message: "Held cart not found" });
+    }
+
+    res.json(heldCart);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Update the items, customer or notes of a parked basket and park it again
+ */
+const updateHeldCart = async (req, res) => {
+  try {
+    const { items, customerId, label, notes } = req.body;
+
+    const update = { status: "held", expiresAt: await getExpiryDate() };
+    if (items) update.items = await buildCartItems(items);
+    if (customerId !== undefined) update.customerId = customerId || null;
+    if (label !== undefined) update.label = label;
+    if (notes !== undefined) update.notes = notes;
+
+    const heldCart = await HeldCart.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ["held", "resumed"] }, expiresAt: { $gt: new Date() } },
+      update,
+      { new: true, runValidators: true }
+    );
+    if (!heldCart) {
+      return res.status(400).json({ message: "Held cart not found, expired or already closed" });
+    }
+
+    res.json(heldCart);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Pick a parked basket up on a till. Only one till can have it at a time;
+ * park it again with PUT or check it out with /convert.
+ */
+const resumeHeldCart = async (req, res) => {
+  try {
+    const heldCart = await HeldCart.findOneAndUpdate(
+      { _id: req.params.id, status: "held", expiresAt: { $gt: new Date() } },
+      { status: "resumed", resumedAt: new Date(), resumedBy: req.userId },
+      { new: true }
+    ).populate("customerId", "name phone email");
+
+    if (!heldCart) {
+      return res.status(400).json({
+        message: "Held cart not found, expired or already resumed on another till",
+      });
+    }
+
+    res.json(heldCart);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Check a parked basket out through the regular sale flow.
+ * Accepts the same body as POST /api/sales (payments, isDue, items to override).
+ */
+const convertHeldCart = async (req, res) => {
+  try {
+    const heldCart = await HeldCart.findById(req.params.id).select("storeId");
+    if (!heldCart) {
+      return res.status(404).json({ message: "Held cart not found" });
+    }
+
+    req.body = { ...req.body, storeId: heldCart.storeId, heldCartId: heldCart._id };
+    return createSale(req, res);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Discard a parked basket
+ */
+const cancelHeldCart = async (req, res) => {
+  try {
+    const heldCart = await HeldCart.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ["held", "resumed"] } },
+      { status: "cancelled" },
+      { new: true }
+    );
+    if (!heldCart) {
+      return res.status(400).json({ message: "Held cart not found or already closed" });
+    }
+
+    res.json({ message: "Held cart cancelled", heldCart });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  holdCart,
+  getHeldCarts,
+  getHeldCartById,
+  updateHeldCart,
+  resumeHeldCart,
+  convertHeldCart,
+  cancelHeldCart,
+};
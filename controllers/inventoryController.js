@@ -1,5 +1,6 @@
 const Inventory = require("../model/Inventory");
 const Product = require("../model/Product");
+const StockMovement = require("../model/StockMovement");
 
 /**
  * Get all inventory for a store with filters
@@ -151,18 +152,35 @@ const getInventoryStats = async (req, res) => {
  * Adjust inventory (add/remove stock)
  */
 const adjustInventory = async (req, res) => {
+  const session = await Inventory.startSession();
+  session.startTransaction();
+
   try {
-    const { productId, storeId, adjustment, reason, location, minStock, maxStock } = req.body;
+    const {
+      productId,
+      storeId,
+      adjustment,
+      reason,
+      location,
+      minStock,
+      maxStock,
+      batchNo,
+      expiryDate,
+      batchCost,
+      serialNumbers,
+    } = req.body;
 
     // Validation
     if (!productId || !storeId || adjustment === undefined) {
+      await session.abortTransaction();
       return res.status(400).json({
         message: "Product ID, Store ID, and adjustment quantity are required",
       });
     }
 
     // Find or create inventory entry
-    let inventory = await Inventory.findOne({ productId, storeId });
+    let inventory = await Inventory.findOne({ productId, storeId }).session(session);
+    const quantityBefore = inventory ? inventory.quantity : 0;
 
     if (!inventory) {
       // Create new inventory entry
@@ -175,24 +193,78 @@ const adjustInventory = async (req, res) => {
         location: location || "Main Store",
         lastRestocked: new Date(),
       });
+    } else if (adjustment < 0) {
+      // Removals come out of a named batch (e.g. expired write-off) or oldest expiry first
+      const removing = Math.min(-adjustment, inventory.quantity);
+      if (batchNo) {
+        const batch = inventory.batches.find((b) => b.batchNo === batchNo);
+        if (!batch || batch.quantity < removing) {
+          await session.abortTransaction();
+          return res.status(400).json({
+            message: `Batch ${batchNo} does not hold ${removing} units`,
+          });
+        }
+        batch.quantity -= removing;
+        inventory.batches = inventory.batches.filter((b) => b.quantity > 0);
+        inventory.quantity -= removing;
+      } else {
+        inventory.consumeBatches(removing, { includeExpired: true });
+      }
     } else {
       // Update existing inventory
-      inventory.quantity = Math.max(0, inventory.quantity + adjustment);
-      if (location) inventory.location = location;
-      if (minStock !== undefined) inventory.minStock = minStock;
-      if (maxStock !== undefined) inventory.maxStock = maxStock;
+      if (batchCost !== undefined) inventory.updateAverageCost(adjustment, Number(batchCost));
+      inventory.quantity += adjustment;
       if (adjustment > 0) inventory.lastRestocked = new Date();
     }
 
-    await inventory.save();
+    if (adjustment > 0 && (batchNo || expiryDate)) {
+      inventory.restoreBatches([{ batchNo, expiryDate, quantity: adjustment, cost: batchCost }]);
+    }
+    if (Array.isArray(serialNumbers) && serialNumbers.length > 0) {
+      // Stock added carries its serials; stock removed takes the named serials with it
+      if (adjustment > 0) {
+        inventory.serialNumbers.push(...serialNumbers);
+      } else {
+        inventory.serialNumbers = inventory.serialNumbers.filter((sn) => !serialNumbers.includes(sn));
+      }
+    }
+    if (location) inventory.location = location;
+    if (minStock !== undefined) inventory.minStock = minStock;
+    if (maxStock !== undefined) inventory.maxStock = maxStock;
+
+    await inventory.save({ session });
 
     // Also update product stock if product has stock field
-    const product = await Product.findById(productId);
+    const product = await Product.findById(productId).session(session);
+    let stockBefore;
     if (product && product.stock !== undefined) {
+      stockBefore = product.stock;
       product.stock = Math.max(0, product.stock + adjustment);
-      await product.save();
+      await product.save({ session });
     }
 
+    await StockMovement.record(
+      {
+        productId,
+        productName: product?.name,
+        storeId,
+        type: "adjustment",
+        // Stock is floored at zero, so record what actually moved
+        quantity: inventory.quantity - quantityBefore,
+        quantityBefore,
+        quantityAfter: inventory.quantity,
+        stockBefore,
+        stockAfter: product?.stock,
+        reason,
+        referenceType: "Inventory",
+        referenceId: inventory._id,
+        userId: req.userId,
+      },
+      session
+    );
+
+    await session.commitTransaction();
+
     const populatedInventory = await Inventory.findById(inventory._id)
       .populate("productId", "name sku barcode")
       .populate("storeId", "name");
@@ -203,14 +275,21 @@ const adjustInventory = async (req, res) => {
       reason,
     });
   } catch (error) {
+    await session.abortTransaction();
     res.status(500).json({ message: error.message });
+  } finally {
+    session.endSession();
   }
 };
 
 /**
  * Batch adjust multiple items
+ * Each adjustment is applied in its own transaction, so one failing line
+ * leaves the others in place and never half-applies itself.
  */
 const batchAdjustInventory = async (req, res) => {
+  const session = await Inventory.startSession();
+
   try {
     const { adjustments, reason } = req.body;
 
@@ -222,19 +301,58 @@ const batchAdjustInventory = async (req, res) => {
     const errors = [];
 
     for (const adj of adjustments) {
+      session.startTransaction();
       try {
         const { productId, storeId, adjustment } = adj;
 
-        let inventory = await Inventory.findOne({ productId, storeId });
+        const inventory = await Inventory.findOne({ productId, storeId }).session(session);
+        if (!inventory) {
+          await session.abortTransaction();
+          errors.push({ productId, error: "Inventory not found" });
+          continue;
+        }
 
-        if (inventory) {
-          inventory.quantity = Math.max(0, inventory.quantity + adjustment);
-          await inventory.save();
-          results.push({ productId, success: true });
+        const quantityBefore = inventory.quantity;
+        if (adjustment < 0) {
+          inventory.consumeBatches(Math.min(-adjustment, inventory.quantity), {
+            includeExpired: true,
+          });
         } else {
-          errors.push({ productId, error: "Inventory not found" });
+          inventory.quantity += adjustment;
         }
+        await inventory.save({ session });
+
+        const product = await Product.findById(productId).session(session);
+        let stockBefore;
+        if (product && product.stock !== undefined) {
+          stockBefore = product.stock;
+          product.stock = Math.max(0, product.stock + (inventory.quantity - quantityBefore));
+          await product.save({ session });
+        }
+
+        await StockMovement.record(
+          {
+            productId,
+            productName: product?.name,
+            storeId,
+            type: "adjustment",
+            quantity: inventory.quantity - quantityBefore,
+            quantityBefore,
+            quantityAfter: inventory.quantity,
+            stockBefore,
+            stockAfter: product?.stock,
+            reason: adj.reason || reason,
+            referenceType: "Inventory",
+            referenceId: inventory._id,
+            userId: req.userId,
+          },
+          session
+        );
+
+        await session.commitTransaction();
+        results.push({ productId, success: true });
       } catch (error) {
+        await session.abortTransaction();
         errors.push({ productId: adj.productId, error: error.message });
       }
     }
@@ -246,6 +364,8 @@ const batchAdjustInventory = async (req, res) => {
     });
   } catch (error) {
     res.status(500).json({ message: error.message });
+  } finally {
+    session.endSession();
   }
 };
 
@@ -253,34 +373,69 @@ const batchAdjustInventory = async (req, res) => {
  * Transfer inventory between stores
  */
 const transferInventory = async (req, res) => {
+  const session = await Inventory.startSession();
+  session.startTransaction();
+
   try {
-    const { productId, fromStoreId, toStoreId, quantity, reason } = req.body;
+    const { productId, fromStoreId, toStoreId, quantity, reason, serialNumbers } = req.body;
 
     // Validation
     if (!productId || !fromStoreId || !toStoreId || !quantity || quantity <= 0) {
+      await session.abortTransaction();
       return res.status(400).json({
         message: "Product ID, from/to store IDs, and valid quantity are required",
       });
     }
 
     // Check from inventory
-    const fromInventory = await Inventory.findOne({ productId, storeId: fromStoreId });
+    const fromInventory = await Inventory.findOne({
+      productId,
+      storeId: fromStoreId,
+    }).session(session);
     if (!fromInventory) {
+      await session.abortTransaction();
       return res.status(404).json({ message: "Source inventory not found" });
     }
 
-    if (fromInventory.quantity < quantity) {
-      return res.status(400).json({
-        message: `Insufficient quantity. Available: ${fromInventory.quantity}, Required: ${quantity}`,
-      });
+    // Serialised units travel by serial number so the destination can sell them
+    const product = await Product.findById(productId)
+      .select("name isSerialized")
+      .session(session);
+    let serials = [];
+    if (product?.isSerialized) {
+      serials = (serialNumbers || []).map((sn) => String(sn).trim()).filter(Boolean);
+      if (serials.length !== quantity || new Set(serials).size !== serials.length) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          message: `${quantity} unique serial number(s) are required for ${product.name}`,
+        });
+      }
+      const notHeld = serials.filter((sn) => !fromInventory.serialNumbers.includes(sn));
+      if (notHeld.length > 0) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          message: `Serial number(s) not held by the source store: ${notHeld.join(", ")}`,
+        });
+      }
     }
 
-    // Deduct from source
-    fromInventory.quantity -= quantity;
-    await fromInventory.save();
+    // Deduct from source, moving the earliest-expiring unexpired batches
+    const fromBefore = fromInventory.quantity;
+    let movedBatches;
+    try {
+      movedBatches = fromInventory.consumeBatches(quantity);
+    } catch (batchError) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: batchError.message });
+    }
+    fromInventory.serialNumbers = fromInventory.serialNumbers.filter(
+      (sn) => !serials.includes(sn)
+    );
+    await fromInventory.save({ session });
 
     // Add to destination
-    let toInventory = await Inventory.findOne({ productId, storeId: toStoreId });
+    let toInventory = await Inventory.findOne({ productId, storeId: toStoreId }).session(session);
+    const toBefore = toInventory ? toInventory.quantity : 0;
     if (!toInventory) {
       toInventory = new Inventory({
         productId,
@@ -288,13 +443,51 @@ const transferInventory = async (req, res) => {
         quantity: quantity,
         minStock: fromInventory.minStock,
         maxStock: fromInventory.maxStock,
+        averageCost: fromInventory.averageCost,
         lastRestocked: new Date(),
       });
     } else {
+      toInventory.updateAverageCost(quantity, fromInventory.averageCost);
       toInventory.quantity += quantity;
       toInventory.lastRestocked = new Date();
     }
-    await toInventory.save();
+    toInventory.restoreBatches(movedBatches);
+    toInventory.serialNumbers.push(...serials);
+    await toInventory.save({ session });
+
+    await StockMovement.record(
+      [
+        {
+          productId,
+          productName: product?.name,
+          storeId: fromStoreId,
+          type: "transfer_out",
+          quantity: -quantity,
+          quantityBefore: fromBefore,
+          quantityAfter: fromInventory.quantity,
+          reason,
+          referenceType: "Inventory",
+          referenceId: toInventory._id,
+          userId: req.userId,
+        },
+        {
+          productId,
+          productName: product?.name,
+          storeId: toStoreId,
+          type: "transfer_in",
+          quantity,
+          quantityBefore: toBefore,
+          quantityAfter: toInventory.quantity,
+          reason,
+          referenceType: "Inventory",
+          referenceId: fromInventory._id,
+          userId: req.userId,
+        },
+      ],
+      session
+    );
+
+    await session.commitTransaction();
 
     res.json({
       message: `Successfully transferred ${quantity} units`,
@@ -302,6 +495,50 @@ const transferInventory = async (req, res) => {
       to: await Inventory.findById(toInventory._id).populate("storeId", "name"),
       reason,
     });
+  } catch (error) {
+    await session.abortTransaction();
+    res.status(500).json({ message: error.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Get stock movement history with filters
+ */
+const getStockMovements = async (req, res) => {
+  try {
+    const { productId, storeId, type, from, to, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (productId) query.productId = productId;
+    if (storeId) query.storeId = storeId;
+    if (type) query.type = type;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const movements = await StockMovement.find(query)
+      .populate("productId", "name sku")
+      .populate("storeId", "name")
+      .populate("userId", "name")
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await StockMovement.countDocuments(query);
+
+    res.json({
+      movements,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -358,6 +595,7 @@ module.exports = {
   adjustInventory,
   batchAdjustInventory,
   transferInventory,
+  getStockMovements,
   updateInventory,
   deleteInventory,
 };
@@ -1,4 +1,86 @@
 const Order = require("../model/Order");
+const Product = require("../model/Product");
+const Settings = require("../model/Settings");
+const {
+  resolveTaxRules,
+  calculateLineTax,
+  summarizeTaxBreakdown,
+  loadTaxContext,
+} = require("../utils/taxEngine");
+const {
+  KITCHEN_ORDER_STATUSES,
+  assignStations,
+  bumpItemStatus,
+  deriveOrderStatus,
+  recordStatusChange,
+  applyOrderTransition,
+  buildStationTickets,
+  emitOrderEvent,
+} = require("../utils/kitchen");
+const { settlePayments } = require("../utils/payments");
+const { nextDocumentNumber } = require("../utils/documentNumber");
+const { runInTransaction } = require("../utils/transaction");
+
+// Fields a waiter can change on an open order; status moves through transitions
+const EDITABLE_FIELDS = ["tableId", "tableName", "items", "notes", "waiterId", "customerId"];
+const ORDER_ITEM_FIELDS = ["productId", "quantity", "modifiers", "notes"];
+const ORDER_PAYMENT_METHODS = ["cash", "card", "mobile_wallet"];
+
+/**
+ * Price order lines from the catalogue and work out tax, service charge and totals
+ */
+const priceOrder = async (order) => {
+  const taxContext = await loadTaxContext(order.storeId);
+
+  let subtotal = 0;
+  let tax = 0;
+  for (const item of order.items) {
+    const product = await Product.findById(item.productId).select(
+      "name price category taxRate taxExempt"
+    );
+    if (!product) throw new Error(`Product ${item.productId} not found`);
+
+    item.productName = item.productName || product.name;
+    item.category = product.category;
+    item.unitPrice = product.price || 0;
+
+    const lineTax = calculateLineTax(
+      item.unitPrice * item.quantity,
+      item.quantity,
+      resolveTaxRules(product, taxContext),
+      { inclusive: taxContext.inclusive }
+    );
+    item.tax = lineTax.tax;
+    item.taxBreakdown = lineTax.breakdown;
+    item.total = lineTax.gross;
+
+    subtotal += item.unitPrice * item.quantity;
+    tax += lineTax.tax;
+  }
+
+  order.subtotal = parseFloat(subtotal.toFixed(2));
+  order.tax = parseFloat(tax.toFixed(2));
+  order.taxInclusive = taxContext.inclusive;
+  order.taxBreakdown = summarizeTaxBreakdown(order.items.map((item) => item.taxBreakdown));
+
+  // Service charge is on the food and drink before tax
+  if (order.serviceChargeRate === undefined) {
+    order.serviceChargeRate = taxContext.settings?.serviceChargeRate || 0;
+  }
+  const netSubtotal = order.subtotal - (taxContext.inclusive ? order.tax : 0);
+  order.serviceCharge = parseFloat(((netSubtotal * order.serviceChargeRate) / 100).toFixed(2));
+
+  order.total = parseFloat(
+    (order.subtotal + (taxContext.inclusive ? 0 : order.tax) + order.serviceCharge).toFixed(2)
+  );
+};
+
+// Keep only the fields a client may set on an item
+const pickItemFields = (item) =>
+  ORDER_ITEM_FIELDS.reduce((fields, field) => {
+    if (item[field] !== undefined) fields[field] = item[field];
+    return fields;
+  }, {});
 
 /**
  * Create new order
@@ -7,20 +89,31 @@ const createOrder = async (req, res) => {
   try {
     const { storeId, tableId, tableName, items, waiterId, customerId } = req.body;
 
-    const orderCount = await Order.countDocuments();
-    const orderNo = `ORD-${Date.now()}-${orderCount}`;
+    if (!items || items.length === 0) {
+      return res.status(400).json({ message: "At least one item is required" });
+    }
 
     const order = new Order({
-      orderNo,
       storeId,
       tableId,
       tableName,
-      items,
-      waiterId,
+      items: items.map(pickItemFields),
+      waiterId: waiterId || req.userId,
       customerId,
+      notes: req.body.notes,
     });
 
-    await order.save();
+    await priceOrder(order);
+    assignStations(order, await Settings.findOne({ isActive: true }));
+    order.statusHistory.push({ action: "create", to: order.status, userId: req.userId });
+
+    // Numbered last, in the transaction that saves it, so a rejected order leaves no gap
+    await runInTransaction(async (session) => {
+      order.orderNo = await nextDocumentNumber("order", { storeId, session });
+      await order.save({ session });
+    });
+
+    emitOrderEvent(req.app.get("io"), "order:created", order);
     res.status(201).json(order);
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -48,16 +141,259 @@ const getAllOrders = async (req, res) => {
 };
 
 /**
- * Update order
+ * Get order by ID with its status history
+ */
+const getOrderById = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate("waiterId", "name")
+      .populate("customerId", "name phone")
+      .populate("statusHistory.userId", "name");
+
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    res.json(order);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Edit an open order (table, items, notes, waiter, customer)
+ * Status, prices and totals cannot be set here: status changes go through
+ * transitions and totals are always recalculated from the items
  */
 const updateOrder = async (req, res) => {
   try {
-    const order = await Order.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+    if (order.status === "paid" || order.status === "cancelled") {
+      return res.status(400).json({ message: `A ${order.status} order cannot be changed` });
+    }
+
+    const rejected = Object.keys(req.body).filter((field) => !EDITABLE_FIELDS.includes(field));
+    if (rejected.length > 0) {
+      return res.status(400).json({ message: `Fields cannot be changed: ${rejected.join(", ")}` });
+    }
+
+    const { items, ...changes } = req.body;
+    order.set(changes);
+
+    if (items) {
+      if (items.length === 0) {
+        return res.status(400).json({ message: "At least one item is required" });
+      }
+      // Items already on the order keep their kitchen progress
+      order.items = items.map((item) => {
+        const existing = item._id && order.items.id(item._id);
+        if (!existing) return pickItemFields(item);
+        return {
+          ...pickItemFields(item),
+          _id: existing._id,
+          status: existing.status,
+          startedAt: existing.startedAt,
+          readyAt: existing.readyAt,
+          servedAt: existing.servedAt,
+        };
+      });
+      assignStations(order, await Settings.findOne({ isActive: true }));
+      if (order.status !== "pending") {
+        recordStatusChange(order, "edit", deriveOrderStatus(order), { userId: req.userId });
+      }
+    }
+
+    await priceOrder(order);
+    await order.save();
+
+    emitOrderEvent(req.app.get("io"), "order:updated", order);
+    res.json(order);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Move an order through its lifecycle
+ * Body: { action: confirm | start | ready | serve | cancel | pay, reason, payments }
+ * Cancelling needs a reason; paying needs payments covering the total
+ */
+const transitionOrder = async (req, res) => {
+  try {
+    const { action, reason, payments } = req.body;
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    if (action === "cancel" && !reason) {
+      return res.status(400).json({ message: "Cancellation reason is required" });
+    }
+
+    if (action === "pay") {
+      if (!payments || payments.length === 0) {
+        return res.status(400).json({ message: "At least one payment is required" });
+      }
+      const unsupported = payments.find(
+        (payment) => !ORDER_PAYMENT_METHODS.includes(payment.method)
+      );
+      if (unsupported) {
+        return res.status(400).json({
+          message: `${unsupported.method || "Unknown"} payments are not accepted on orders`,
+        });
+      }
+
+      // Settle against freshly calculated totals
+      await priceOrder(order);
+      const settings = await Settings.findOne({ isActive: true });
+      const settlement = settlePayments(order.total, payments, settings);
+      order.payments = settlement.payments;
+      order.amountPaid = settlement.amountPaid;
+      order.change = settlement.change;
+      order.roundingAdjustment = settlement.roundingAdjustment;
+    }
+
+    const previousStatus = order.status;
+    applyOrderTransition(order, action, { userId: req.userId, reason });
+    if (action === "cancel") order.cancelReason = reason;
+    await order.save();
+
+    const io = req.app.get("io");
+    emitOrderEvent(io, "order:status", order, {
+      orderId: order._id,
+      orderNo: order.orderNo,
+      tableId: order.tableId,
+      tableName: order.tableName,
+      action,
+      from: previousStatus,
+      status: order.status,
     });
+    if (order.status === "ready") {
+      emitOrderEvent(io, "order:ready", order, {
+        orderId: order._id,
+        orderNo: order.orderNo,
+        tableId: order.tableId,
+        tableName: order.tableName,
+        waiterId: order.waiterId,
+      });
+    }
+
+    res.json(order);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Kitchen display view: open orders with the items a station still has to
+ * prepare (?station; every station when omitted)
+ */
+const getKitchenOrders = async (req, res) => {
+  try {
+    const storeId = req.query.storeId || req.user.storeIds?.[0];
+    const { station } = req.query;
+    if (!storeId) {
+      return res.status(400).json({ message: "Store ID is required" });
+    }
+
+    const query = {
+      storeId,
+      status: { $in: KITCHEN_ORDER_STATUSES.filter((status) => status !== "served") },
+    };
+    if (station) query["items.station"] = station;
+
+    const [orders, settings] = await Promise.all([
+      Order.find(query).sort({ createdAt: 1 }),
+      Settings.findOne({ isActive: true }),
+    ]);
+
+    const stations = (settings?.kitchenStations || [])
+      .filter((entry) => entry.isActive !== false)
+      .map((entry) => entry.name);
+    const defaultStation = settings?.defaultKitchenStation || "kitchen";
+    if (!stations.includes(defaultStation)) stations.push(defaultStation);
+
+    res.json({
+      storeId,
+      station: station || null,
+      stations,
+      tickets: buildStationTickets(orders, station),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Bump one item's kitchen status to the next one, or send it back with a
+ * manager's reason, and recompute the order status from its items
+ */
+const updateOrderItemStatus = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
     if (!order) {
       return res.status(404).json({ message: "Order not found" });
     }
+    if (order.status === "pending") {
+      return res
+        .status(400)
+        .json({ message: "Confirm the order before the kitchen starts it" });
+    }
+    if (!KITCHEN_ORDER_STATUSES.includes(order.status)) {
+      return res
+        .status(400)
+        .json({ message: `Items of a ${order.status} order cannot be changed` });
+    }
+
+    const item = order.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: "Order item not found" });
+    }
+
+    const { status, reason } = req.body;
+    const sentBack = bumpItemStatus(item, status, { role: req.user?.role, reason });
+
+    const previousStatus = order.status;
+    if (sentBack) {
+      // Send-backs stay on the record even when the order status holds
+      order.statusHistory.push({
+        action: "item_sent_back",
+        from: previousStatus,
+        to: deriveOrderStatus(order),
+        userId: req.userId,
+        reason: `${item.productName} back to ${item.status}: ${reason}`,
+      });
+      order.status = deriveOrderStatus(order);
+    } else {
+      recordStatusChange(order, "kitchen", deriveOrderStatus(order), { userId: req.userId });
+    }
+    await order.save();
+
+    const io = req.app.get("io");
+    emitOrderEvent(io, "order:item-status", order, {
+      orderId: order._id,
+      orderNo: order.orderNo,
+      tableName: order.tableName,
+      itemId: item._id,
+      productName: item.productName,
+      station: item.station,
+      status: item.status,
+      orderStatus: order.status,
+    });
+    if (!sentBack && order.status === "ready" && previousStatus !== "ready") {
+      emitOrderEvent(io, "order:ready", order, {
+        orderId: order._id,
+        orderNo: order.orderNo,
+        tableId: order.tableId,
+        tableName: order.tableName,
+        waiterId: order.waiterId,
+      });
+    }
+
     res.json(order);
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -67,6 +403,10 @@ const updateOrder = async (req, res) => {
 module.exports = {
   createOrder,
   getAllOrders,
+  getOrderById,
   updateOrder,
+  transitionOrder,
+  getKitchenOrders,
+  updateOrderItemStatus,
 };
 
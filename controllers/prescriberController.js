@@ -0,0 +1,133 @@
+const Prescriber = require("../model/Prescriber");
+
+/**
+ * Get prescribers with search and filter
+ */
+const getPrescribers = async (req, res) => {
+  try {
+    const { q, isActive, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    query.isActive = isActive === undefined ? true : isActive === "true";
+
+    // Search by name, registration number or clinic
+    if (q) {
+      const pattern = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+      query.$or = [{ name: pattern }, { registrationNumber: pattern }, { clinic: pattern }];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [prescribers, total] = await Promise.all([
+      Prescriber.find(query).sort({ name: 1 }).skip(skip).limit(parseInt(limit)),
+      Prescriber.countDocuments(query),
+    ]);
+
+    res.json({
+      prescribers,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching prescribers:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Get prescriber by ID
+ */
+const getPrescriberById = async (req, res) => {
+  try {
+    const prescriber = await Prescriber.findById(req.params.id);
+
+    if (!prescriber) {
+      return res.status(404).json({ message: "Prescriber not found" });
+    }
+
+    res.json(prescriber);
+  } catch (error) {
+    console.error("Error fetching prescriber:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Add a prescriber to the directory
+ */
+const createPrescriber = async (req, res) => {
+  try {
+    const prescriber = new Prescriber(req.body);
+    await prescriber.save();
+
+    res.status(201).json(prescriber);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(400)
+        .json({ message: "A prescriber with this registration number already exists" });
+    }
+    console.error("Error creating prescriber:", error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Update prescriber
+ */
+const updatePrescriber = async (req, res) => {
+  try {
+    const prescriber = await Prescriber.findByIdAndUpdate(req.params.id, req.body, {
+      new: true,
+      runValidators: true,
+    });
+
+    if (!prescriber) {
+      return res.status(404).json({ message: "Prescriber not found" });
+    }
+
+    res.json(prescriber);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(400)
+        .json({ message: "A prescriber with this registration number already exists" });
+    }
+    console.error("Error updating prescriber:", error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Soft delete prescriber; past prescriptions keep their own copy of the details
+ */
+const deletePrescriber = async (req, res) => {
+  try {
+    const prescriber = await Prescriber.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!prescriber) {
+      return res.status(404).json({ message: "Prescriber not found" });
+    }
+
+    res.json({ message: "Prescriber deleted successfully", prescriber });
+  } catch (error) {
+    console.error("Error deleting prescriber:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  getPrescribers,
+  getPrescriberById,
+  createPrescriber,
+  updatePrescriber,
+  deletePrescriber,
+};
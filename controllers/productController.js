@@ -1,4 +1,7 @@
+const mongoose = require("mongoose");
 const Product = require("../model/Product");
+const StockMovement = require("../model/StockMovement");
+const Inventory = require("../model/Inventory");
 const { uploadToImageBB } = require("../utils/imagebb");
 
 /**
@@ -250,10 +253,77 @@ const getAllProducts = async (req, res) => {
 };
 
 /**
- * Get products expiring soon
+ * Find stock by batch whose expiry date falls in a range, optionally for one store.
+ * Batch-tracked inventory is reported per batch; products without batches fall back
+ * to their own expiryDate/batchNumber.
  */
+const findBatchesByExpiry = async (expiryRange, storeId, sortDirection) => {
+  const inventoryMatch = { "batches.expiryDate": expiryRange };
+  if (storeId && mongoose.Types.ObjectId.isValid(storeId)) {
+    inventoryMatch.storeId = new mongoose.Types.ObjectId(storeId);
+  }
+
+  const batchRows = await Inventory.aggregate([
+    { $match: inventoryMatch },
+    { $unwind: "$batches" },
+    { $match: { "batches.expiryDate": expiryRange, "batches.quantity": { $gt: 0 } } },
+    {
+      $lookup: {
+        from: "products",
+        localField: "productId",
+        foreignField: "_id",
+        as: "product",
+      },
+    },
+    { $unwind: "$product" },
+    { $match: { "product.isActive": true } },
+    {
+      $project: {
+        _id: 0,
+        inventoryId: "$_id",
+        storeId: 1,
+        productId: 1,
+        productName: "$product.name",
+        sku: "$product.sku",
+        genericName: "$product.genericName",
+        batchNo: "$batches.batchNo",
+        expiryDate: "$batches.expiryDate",
+        quantity: "$batches.quantity",
+        cost: "$batches.cost",
+        source: "batch",
+      },
+    },
+  ]);
+
+  const batchTrackedIds = await Inventory.distinct("productId", { "batches.0": { $exists: true } });
+  const productQuery = {
+    isActive: true,
+    expiryDate: { $exists: true, $ne: null, ...expiryRange },
+    _id: { $nin: batchTrackedIds },
+  };
+  if (storeId) productQuery.storeId = storeId;
+
+  const legacyProducts = await Product.find(productQuery).select("name sku genericName batchNumber expiryDate stock storeId cost");
+  const productRows = legacyProducts.map((product) => ({
+    storeId: product.storeId,
+    productId: product._id,
+    productName: product.name,
+    sku: product.sku,
+    genericName: product.genericName,
+    batchNo: product.batchNumber,
+    expiryDate: product.expiryDate,
+    quantity: product.stock,
+    cost: product.cost,
+    source: "product",
+  }));
+
+  return [...batchRows, ...productRows].sort(
+    (a, b) => sortDirection * (new Date(a.expiryDate) - new Date(b.expiryDate))
+  );
+};
+
 /**
- * GET /api/products/alerts/expiring - Products with expiryDate today or within N days (not yet expired)
+ * GET /api/products/alerts/expiring - Batches expiring today or within N days (not yet expired)
  */
 const getExpiringProducts = async (req, res) => {
   try {
@@ -262,23 +332,25 @@ const getExpiringProducts = async (req, res) => {
       return res.status(permissionError.status).json({ message: permissionError.message });
     }
 
-    const { days = 90 } = req.query;
+    const { days = 90, storeId } = req.query;
 
     const todayStart = new Date();
     todayStart.setHours(0, 0, 0, 0);
     const futureDate = new Date();
     futureDate.setDate(futureDate.getDate() + parseInt(days));
 
+    const batches = await findBatchesByExpiry({ $gte: todayStart, $lte: futureDate }, storeId, 1);
+
     const expiringProducts = await Product.find({
-      isActive: true,
-      expiryDate: { $exists: true, $ne: null, $gte: todayStart, $lte: futureDate },
+      _id: { $in: [...new Set(batches.map((b) => b.productId.toString()))] },
     })
       .populate("createdBy", "name email")
       .sort({ expiryDate: 1 });
 
     res.json({
+      batches,
       products: expiringProducts,
-      count: expiringProducts.length,
+      count: batches.length,
       alertDays: parseInt(days),
     });
   } catch (error) {
@@ -288,7 +360,7 @@ const getExpiringProducts = async (req, res) => {
 };
 
 /**
- * GET /api/products/alerts/expired - Products whose expiryDate has already passed
+ * GET /api/products/alerts/expired - Batches whose expiryDate has already passed
  */
 const getExpiredProducts = async (req, res) => {
   try {
@@ -297,19 +369,23 @@ const getExpiredProducts = async (req, res) => {
       return res.status(permissionError.status).json({ message: permissionError.message });
     }
 
+    const { storeId } = req.query;
+
     const todayStart = new Date();
     todayStart.setHours(0, 0, 0, 0);
 
+    const batches = await findBatchesByExpiry({ $lt: todayStart }, storeId, -1);
+
     const expiredProducts = await Product.find({
-      isActive: true,
-      expiryDate: { $exists: true, $ne: null, $lt: todayStart },
+      _id: { $in: [...new Set(batches.map((b) => b.productId.toString()))] },
     })
       .populate("createdBy", "name email")
       .sort({ expiryDate: -1 });
 
     res.json({
+      batches,
       products: expiredProducts,
-      count: expiredProducts.length,
+      count: batches.length,
     });
   } catch (error) {
     console.error("Error fetching expired products:", error);
@@ -420,6 +496,21 @@ const bulkImportProducts = async (req, res) => {
         });
 
         await product.save();
+
+        await StockMovement.record({
+          productId: product._id,
+          productName: product.name,
+          storeId: product.storeId,
+          type: "import",
+          quantity: product.stock,
+          stockBefore: 0,
+          stockAfter: product.stock,
+          reason: "Bulk import",
+          referenceType: "Product",
+          referenceId: product._id,
+          userId: req.userId,
+        });
+
         results.success.push({
           row: i + 1,
           name: productData.name,
@@ -483,6 +574,108 @@ const getProductById = async (req, res) => {
   }
 };
 
+// "500 mg" and "500MG" are the same strength
+const normalizeStrength = (strength) => (strength || "").replace(/\s+/g, "").toLowerCase();
+
+/**
+ * GET /api/products/:id/substitutes - In-stock products with the same generic name
+ * and strength, cheapest first then best stocked in the cashier's store
+ * (?storeId, defaulting to the user's first store)
+ */
+const getProductSubstitutes = async (req, res) => {
+  try {
+    const permissionError = checkPermission(req.user, "canViewProducts", "view products");
+    if (permissionError) {
+      return res.status(permissionError.status).json({ message: permissionError.message });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+    if (!product.genericName) {
+      return res.status(400).json({ message: "Product has no generic name to match on" });
+    }
+
+    const storeId = req.query.storeId || req.user.storeIds?.[0];
+    const genericPattern = new RegExp(
+      `^${product.genericName.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`,
+      "i"
+    );
+
+    const candidates = (
+      await Product.find({
+        _id: { $ne: product._id },
+        isActive: true,
+        genericName: genericPattern,
+      }).select(
+        "name sku brand manufacturer genericName strength dosage price sellingUnit stock " +
+          "expiryDate isPrescription isControlled mainImage"
+      )
+    ).filter(
+      (candidate) =>
+        normalizeStrength(candidate.strength) === normalizeStrength(product.strength) &&
+        !candidate.isExpired
+    );
+
+    // Store stock excludes expired batches; without a store, fall back to total stock
+    const storeStock = new Map();
+    if (storeId) {
+      const inventories = await Inventory.find({
+        storeId,
+        productId: { $in: candidates.map((candidate) => candidate._id) },
+      });
+      inventories.forEach((inventory) => {
+        storeStock.set(inventory.productId.toString(), inventory.getSellableQuantity());
+      });
+    }
+
+    const substitutes = candidates
+      .map((candidate) => {
+        const stock = storeId
+          ? storeStock.get(candidate._id.toString()) || 0
+          : candidate.stock || 0;
+        return {
+          _id: candidate._id,
+          name: candidate.name,
+          sku: candidate.sku,
+          brand: candidate.brand,
+          manufacturer: candidate.manufacturer,
+          genericName: candidate.genericName,
+          strength: candidate.strength,
+          dosage: candidate.dosage,
+          price: candidate.price,
+          priceDifference: parseFloat(((candidate.price || 0) - (product.price || 0)).toFixed(2)),
+          sellingUnit: candidate.sellingUnit,
+          isPrescription: candidate.isPrescription,
+          isControlled: candidate.isControlled,
+          mainImage: candidate.mainImage,
+          stock,
+          totalStock: candidate.stock,
+        };
+      })
+      .filter((substitute) => substitute.stock > 0)
+      .sort((a, b) => (a.price || 0) - (b.price || 0) || b.stock - a.stock);
+
+    res.json({
+      product: {
+        _id: product._id,
+        name: product.name,
+        genericName: product.genericName,
+        strength: product.strength,
+        dosage: product.dosage,
+        price: product.price,
+      },
+      storeId: storeId || null,
+      substitutes,
+      count: substitutes.length,
+    });
+  } catch (error) {
+    console.error("Error fetching product substitutes:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
 /**
  * Create a new product
  */
@@ -540,6 +733,20 @@ const createProduct = async (req, res) => {
     const product = new Product(productData);
     await product.save();
 
+    await StockMovement.record({
+      productId: product._id,
+      productName: product.name,
+      storeId: product.storeId,
+      type: "adjustment",
+      quantity: product.stock,
+      stockBefore: 0,
+      stockAfter: product.stock,
+      reason: "Opening stock",
+      referenceType: "Product",
+      referenceId: product._id,
+      userId: req.userId,
+    });
+
     const newProduct = await Product.findById(product._id)
       .populate("createdBy", "name email")
       .populate("storeId", "name address")
@@ -678,6 +885,22 @@ const updateProduct = async (req, res) => {
       .populate("updatedBy", "name email")
       .populate("storeId", "name address");
 
+    if (product.stock !== existingProduct.stock) {
+      await StockMovement.record({
+        productId: product._id,
+        productName: product.name,
+        storeId: existingProduct.storeId,
+        type: "adjustment",
+        quantity: product.stock - existingProduct.stock,
+        stockBefore: existingProduct.stock,
+        stockAfter: product.stock,
+        reason: req.body.stockReason || "Product edit",
+        referenceType: "Product",
+        referenceId: product._id,
+        userId: req.userId,
+      });
+    }
+
     console.log(`✅ Product updated: ${product.name} by ${req.user.name}`);
 
     res.json(product);
@@ -740,6 +963,7 @@ module.exports = {
   getBrands,
   bulkImportProducts,
   getProductById,
+  getProductSubstitutes,
   createProduct,
   updateProduct,
   deleteProduct,
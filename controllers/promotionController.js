@@ -0,0 +1,222 @@
+const Promotion = require("../model/Promotion");
+const Product = require("../model/Product");
+const Store = require("../model/Store");
+const Settings = require("../model/Settings");
+const { isWithinSchedule } = require("../utils/promotionEngine");
+
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "type",
+  "discountType",
+  "discountValue",
+  "buyQuantity",
+  "getQuantity",
+  "getDiscountPercent",
+  "minSpend",
+  "products",
+  "categories",
+  "brands",
+  "storeIds",
+  "startDate",
+  "endDate",
+  "daysOfWeek",
+  "startTime",
+  "endTime",
+  "priority",
+  "stackable",
+  "isActive",
+];
+
+const getStoreTimeZone = async (storeId) => {
+  const [store, settings] = await Promise.all([
+    storeId ? Store.findById(storeId).select("timezone") : null,
+    Settings.findOne({ isActive: true }).select("timezone"),
+  ]);
+  return store?.timezone || settings?.timezone || "UTC";
+};
+
+/**
+ * Get promotions with filters
+ * ?running=true with storeId returns only those applying right now
+ */
+const getPromotions = async (req, res) => {
+  try {
+    const { storeId, type, isActive, running } = req.query;
+
+    if (running === "true") {
+      if (!storeId) {
+        return res.status(400).json({ message: "Store ID is required" });
+      }
+      const now = new Date();
+      const timeZone = await getStoreTimeZone(storeId);
+      const promotions = (await Promotion.findForStore(storeId, now))
+        .filter((promotion) => isWithinSchedule(promotion, now, timeZone))
+        .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+      return res.json(promotions);
+    }
+
+    const query = {};
+    if (storeId) query.$or = [{ storeIds: { $size: 0 } }, { storeIds: storeId }];
+    if (type) query.type = type;
+    if (isActive !== undefined) query.isActive = isActive === "true";
+
+    const promotions = await Promotion.find(query)
+      .populate("products", "name sku")
+      .populate("storeIds", "name")
+      .sort({ priority: -1, createdAt: -1 });
+
+    res.json(promotions);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Get promotion by ID
+ */
+const getPromotionById = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id)
+      .populate("products", "name sku price")
+      .populate("storeIds", "name")
+      .populate("createdBy", "name");
+
+    if (!promotion) {
+      return res.status(404).json({ message: "Promotion not found" });
+    }
+
+    res.json(promotion);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Create promotion
+ */
+const createPromotion = async (req, res) => {
+  try {
+    const data = {};
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const promotion = new Promotion({ ...data, createdBy: req.userId });
+    await promotion.save();
+
+    res.status(201).json(promotion);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Update promotion (saved through the document so cross-field validation runs)
+ */
+const updatePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({ message: "Promotion not found" });
+    }
+
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) promotion[field] = req.body[field];
+    });
+    await promotion.save();
+
+    res.json(promotion);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Delete promotion (deactivate; past sales keep referring to it)
+ */
+const deletePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+    if (!promotion) {
+      return res.status(404).json({ message: "Promotion not found" });
+    }
+
+    res.json({ message: "Promotion deactivated successfully" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Preview the promotions a basket would get, without selling anything
+ */
+const previewPromotions = async (req, res) => {
+  try {
+    const { storeId, items } = req.body;
+
+    if (!storeId) {
+      return res.status(400).json({ message: "Store ID is required" });
+    }
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ message: "At least one item is required" });
+    }
+
+    const lines = [];
+    for (const item of items) {
+      const product = await Product.findById(item.productId);
+      if (!product) {
+        return res.status(404).json({ message: `Product ${item.productId} not found` });
+      }
+      const unitPrice =
+        item.isSourced && item.price
+          ? item.price
+          : item.variantId !== undefined && product.variants?.length
+            ? product.variants[item.variantId]?.price || 0
+            : product.price || 0;
+
+      lines.push({
+        productId: product._id,
+        productName: product.name,
+        category: product.category,
+        brand: product.brand,
+        unitPrice,
+        quantity: item.quantity,
+        markdownPrice: item.variantId === undefined ? product.discountPrice : undefined,
+        markdownPercentage: product.discountPercentage,
+        excluded: item.isSourced || false,
+      });
+    }
+
+    const result = await Promotion.evaluateBasket(storeId, lines, {
+      timeZone: await getStoreTimeZone(storeId),
+    });
+
+    res.json({
+      items: lines.map((line, index) => ({
+        productId: line.productId,
+        productName: line.productName,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+        subtotal: parseFloat((line.unitPrice * line.quantity).toFixed(2)),
+        ...result.lines[index],
+      })),
+      totalDiscount: result.totalDiscount,
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  getPromotions,
+  getPromotionById,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+  previewPromotions,
+};
@@ -0,0 +1,558 @@
+const PurchaseOrder = require("../model/PurchaseOrder");
+const GoodsReceipt = require("../model/GoodsReceipt");
+const Supplier = require("../model/Supplier");
+const Product = require("../model/Product");
+const Inventory = require("../model/Inventory");
+const SupplierLedger = require("../model/SupplierLedger");
+const StockMovement = require("../model/StockMovement");
+const { nextDocumentNumber } = require("../utils/documentNumber");
+const { runInTransaction } = require("../utils/transaction");
+
+/**
+ * Unit cost from a request; anything but a non-negative number is rejected
+ */
+const parseUnitCost = (value, productName) => {
+  const unitCost = value === null || value === "" ? NaN : Number(value);
+  if (!Number.isFinite(unitCost) || unitCost < 0) {
+    throw new Error(`Invalid unit cost for ${productName}`);
+  }
+  return unitCost;
+};
+
+/**
+ * Build purchase order lines from request items, snapshotting product units
+ */
+const buildOrderItems = async (items) => {
+  const orderItems = [];
+
+  for (const item of items) {
+    const product = await Product.findById(item.productId);
+    if (!product) throw new Error(`Product ${item.productId} not found`);
+
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new Error(`Invalid quantity for ${product.name}`);
+    }
+
+    const unit = item.unit === "selling" ? "selling" : "purchase";
+    const conversionFactor = unit === "purchase" ? product.conversionFactor || 1 : 1;
+
+    // Default the cost from the product: box price for purchase units, unit cost otherwise
+    let unitCost = item.unitCost;
+    if (unitCost === undefined || unitCost === null || unitCost === "") {
+      unitCost =
+        unit === "purchase"
+          ? product.purchasePriceBox ?? (product.cost || 0) * conversionFactor
+          : product.cost || 0;
+    }
+    unitCost = parseUnitCost(unitCost, product.name);
+
+    orderItems.push({
+      productId: product._id,
+      productName: product.name,
+      unit,
+      unitName: unit === "purchase" ? product.purchaseUnit : product.sellingUnit,
+      conversionFactor,
+      quantity,
+      unitCost,
+      total: parseFloat((unitCost * quantity).toFixed(2)),
+    });
+  }
+
+  return orderItems;
+};
+
+/**
+ * Recalculate purchase order totals from its lines
+ */
+const calculateTotals = (order) => {
+  const subtotal = order.items.reduce((sum, item) => sum + (item.total || 0), 0);
+  order.subtotal = parseFloat(subtotal.toFixed(2));
+  order.total = parseFloat((subtotal + (order.tax || 0) + (order.shippingCost || 0)).toFixed(2));
+};
+
+/**
+ * Get all purchase orders with filters
+ */
+const getAllPurchaseOrders = async (req, res) => {
+  try {
+    const { supplierId, storeId, status, from, to, search, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (supplierId) query.supplierId = supplierId;
+    if (storeId) query.storeId = storeId;
+    if (status) query.status = status;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+    if (search) {
+      query.poNumber = { $regex: search, $options: "i" };
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const purchaseOrders = await PurchaseOrder.find(query)
+      .populate("supplierId", "name company")
+      .populate("storeId", "name")
+      .populate("createdBy", "name")
+      .limit(parseInt(limit))
+      .skip(skip)
+      .sort({ createdAt: -1 });
+
+    const total = await PurchaseOrder.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: purchaseOrders,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching purchase orders:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Get purchase order by ID, including its goods received notes
+ */
+const getPurchaseOrderById = async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id)
+      .populate("supplierId", "name company email phone paymentTerms")
+      .populate("storeId", "name address")
+      .populate("createdBy", "name email")
+      .populate("items.productId", "name sku barcode");
+
+    if (!purchaseOrder) {
+      return res.status(404).json({ success: false, message: "Purchase order not found" });
+    }
+
+    const receipts = await GoodsReceipt.find({ purchaseOrderId: purchaseOrder._id })
+      .populate("receivedBy", "name")
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, data: { ...purchaseOrder.toObject(), receipts } });
+  } catch (error) {
+    console.error("Error fetching purchase order:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Create purchase order (as draft)
+ */
+const createPurchaseOrder = async (req, res) => {
+  try {
+    const { supplierId, storeId, items, tax, shippingCost, expectedDate, notes } = req.body;
+
+    if (!supplierId || !storeId) {
+      return res.status(400).json({
+        success: false,
+        message: "Supplier ID and Store ID are required",
+      });
+    }
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ success: false, message: "At least one item is required" });
+    }
+
+    const supplier = await Supplier.findById(supplierId);
+    if (!supplier || !supplier.isActive) {
+      return res.status(404).json({ success: false, message: "Supplier not found" });
+    }
+
+    const orderItems = await buildOrderItems(items);
+
+    const purchaseOrder = new PurchaseOrder({
+      supplierId,
+      storeId,
+      items: orderItems,
+      tax: tax || 0,
+      shippingCost: shippingCost || 0,
+      expectedDate,
+      notes,
+      createdBy: req.userId,
+    });
+    calculateTotals(purchaseOrder);
+
+    // Numbered last, in the transaction that saves it, so a rejected order leaves no gap
+    await runInTransaction(async (session) => {
+      purchaseOrder.poNumber = await nextDocumentNumber("purchaseOrder", { storeId, session });
+      await purchaseOrder.save({ session });
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Purchase order created successfully",
+      data: purchaseOrder,
+    });
+  } catch (error) {
+    console.error("Error creating purchase order:", error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Update purchase order (draft only)
+ */
+const updatePurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({ success: false, message: "Purchase order not found" });
+    }
+    if (purchaseOrder.status !== "draft") {
+      return res.status(400).json({
+        success: false,
+        message: "Only draft purchase orders can be edited",
+      });
+    }
+
+    const { supplierId, storeId, items, tax, shippingCost, expectedDate, notes } = req.body;
+
+    if (supplierId) purchaseOrder.supplierId = supplierId;
+    if (storeId) purchaseOrder.storeId = storeId;
+    if (items) {
+      if (!Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({ success: false, message: "At least one item is required" });
+      }
+      purchaseOrder.items = await buildOrderItems(items);
+    }
+    if (tax !== undefined) purchaseOrder.tax = tax;
+    if (shippingCost !== undefined) purchaseOrder.shippingCost = shippingCost;
+    if (expectedDate !== undefined) purchaseOrder.expectedDate = expectedDate;
+    if (notes !== undefined) purchaseOrder.notes = notes;
+    purchaseOrder.updatedBy = req.userId;
+    calculateTotals(purchaseOrder);
+
+    await purchaseOrder.save();
+
+    res.json({
+      success: true,
+      message: "Purchase order updated successfully",
+      data: purchaseOrder,
+    });
+  } catch (error) {
+    console.error("Error updating purchase order:", error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Move a purchase order to a new status if the current one allows it
+ */
+const transitionPurchaseOrder = (allowedFrom, nextStatus, apply) => async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({ success: false, message: "Purchase order not found" });
+    }
+    if (!allowedFrom.includes(purchaseOrder.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot mark a ${purchaseOrder.status} purchase order as ${nextStatus}`,
+      });
+    }
+
+    purchaseOrder.status = nextStatus;
+    purchaseOrder.updatedBy = req.userId;
+    if (apply) apply(purchaseOrder, req);
+    await purchaseOrder.save();
+
+    res.json({
+      success: true,
+      message: `Purchase order ${nextStatus}`,
+      data: purchaseOrder,
+    });
+  } catch (error) {
+    console.error(`Error marking purchase order ${nextStatus}:`, error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Send purchase order to supplier
+ */
+const sendPurchaseOrder = transitionPurchaseOrder(["draft"], "sent", (order) => {
+  order.sentAt = new Date();
+});
+
+/**
+ * Close purchase order (short-closes anything still outstanding)
+ */
+const closePurchaseOrder = transitionPurchaseOrder(
+  ["partially_received", "received"],
+  "closed",
+  (order, req) => {
+    order.closedAt = new Date();
+    if (req.body?.notes) order.notes = req.body.notes;
+  }
+);
+
+/**
+ * Cancel purchase order before anything has been received
+ */
+const cancelPurchaseOrder = transitionPurchaseOrder(["draft", "sent"], "cancelled", (order, req) => {
+  if (req.body?.reason) order.notes = `${order.notes || ""} [CANCELLED: ${req.body.reason}]`.trim();
+});
+
+/**
+ * Receive goods against a purchase order (goods received note)
+ */
+const receiveGoods = async (req, res) => {
+  const session = await PurchaseOrder.startSession();
+  session.startTransaction();
+
+  try {
+    const { items, supplierInvoiceNo, notes } = req.body;
+
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      throw new Error("At least one received item is required");
+    }
+
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id).session(session);
+    if (!purchaseOrder) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: "Purchase order not found" });
+    }
+    if (!["sent", "partially_received"].includes(purchaseOrder.status)) {
+      throw new Error(`Cannot receive goods on a ${purchaseOrder.status} purchase order`);
+    }
+
+    const receiptItems = [];
+    const stockMovements = [];
+    let receiptTotal = 0;
+    let orderedValue = 0;
+
+    for (const received of items) {
+      const orderItem = received.itemId
+        ? purchaseOrder.items.id(received.itemId)
+        : purchaseOrder.items.find((i) => i.productId.toString() === String(received.productId));
+      if (!orderItem) {
+        throw new Error(`Item ${received.itemId || received.productId} is not on this purchase order`);
+      }
+
+      const quantity = Number(received.quantity);
+      const outstanding = orderItem.quantity - orderItem.receivedQuantity;
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw new Error(`Invalid received quantity for ${orderItem.productName}`);
+      }
+      if (quantity > outstanding) {
+        throw new Error(
+          `Cannot receive ${quantity} of ${orderItem.productName}. Outstanding: ${outstanding}`
+        );
+      }
+
+      const product = await Product.findById(orderItem.productId).session(session);
+      if (!product) throw new Error(`Product ${orderItem.productId} not found`);
+
+      if (product.hasExpiry && !received.expiryDate) {
+        throw new Error(`Expiry date is required for ${product.name}`);
+      }
+
+      // Stock is always held in selling units
+      const baseQuantity = quantity * (orderItem.conversionFactor || 1);
+      const unitCost =
+        received.unitCost !== undefined
+          ? parseUnitCost(received.unitCost, orderItem.productName)
+          : orderItem.unitCost;
+      const lineTotal = parseFloat((unitCost * quantity).toFixed(2));
+
+      let inventory = await Inventory.findOne({
+        productId: product._id,
+        storeId: purchaseOrder.storeId,
+      }).session(session);
+      if (!inventory) {
+        inventory = new Inventory({
+          productId: product._id,
+          storeId: purchaseOrder.storeId,
+          quantity: 0,
+          minStock: product.minStock,
+          maxStock: product.maxStock,
+        });
+      }
+      const quantityBefore = inventory.quantity;
+      inventory.updateAverageCost(
+        baseQuantity,
+        unitCost / (orderItem.conversionFactor || 1),
+        product.cost
+      );
+      inventory.quantity += baseQuantity;
+      inventory.lastRestocked = new Date();
+      if (product.isSerialized) {
+        const serials = (received.serialNumbers || []).map((sn) => String(sn).trim()).filter(Boolean);
+        if (serials.length !== baseQuantity || new Set(serials).size !== serials.length) {
+          throw new Error(`${baseQuantity} unique serial number(s) are required for ${product.name}`);
+        }
+        inventory.serialNumbers.push(...serials);
+      }
+      if (received.batchNo || received.expiryDate) {
+        inventory.batches.push({
+          batchNo: received.batchNo,
+          expiryDate: received.expiryDate,
+          quantity: baseQuantity,
+          cost: unitCost / (orderItem.conversionFactor || 1),
+        });
+      }
+      await inventory.save({ session });
+
+      const stockBefore = product.stock;
+      product.stock += baseQuantity;
+      await product.save({ session });
+
+      stockMovements.push({
+        productId: product._id,
+        productName: product.name,
+        storeId: purchaseOrder.storeId,
+        type: "receipt",
+        quantity: baseQuantity,
+        quantityBefore,
+        quantityAfter: inventory.quantity,
+        stockBefore,
+        stockAfter: product.stock,
+        unitCost: unitCost / (orderItem.conversionFactor || 1),
+        userId: req.userId,
+      });
+
+      orderItem.receivedQuantity += quantity;
+
+      receiptItems.push({
+        purchaseOrderItemId: orderItem._id,
+        productId: product._id,
+        productName: product.name,
+        quantity,
+        baseQuantity,
+        unitCost,
+        total: lineTotal,
+        batchNo: received.batchNo,
+        expiryDate: received.expiryDate,
+      });
+      receiptTotal += lineTotal;
+      orderedValue += orderItem.unitCost * quantity;
+    }
+
+    receiptTotal = parseFloat(receiptTotal.toFixed(2));
+
+    const fullyReceived = purchaseOrder.items.every((i) => i.receivedQuantity >= i.quantity);
+
+    // Tax and shipping are invoiced in proportion to the ordered value received;
+    // the final receipt takes whatever is left so the order total is fully booked
+    const chargesLeft = parseFloat(
+      (
+        (purchaseOrder.tax || 0) +
+        (purchaseOrder.shippingCost || 0) -
+        (purchaseOrder.receivedCharges || 0)
+      ).toFixed(2)
+    );
+    let receiptCharges = chargesLeft;
+    if (!fullyReceived) {
+      receiptCharges = purchaseOrder.subtotal
+        ? ((purchaseOrder.tax || 0) + (purchaseOrder.shippingCost || 0)) *
+          (orderedValue / purchaseOrder.subtotal)
+        : 0;
+    }
+    receiptCharges = parseFloat(Math.max(0, Math.min(receiptCharges, chargesLeft)).toFixed(2));
+    purchaseOrder.receivedCharges = parseFloat(
+      ((purchaseOrder.receivedCharges || 0) + receiptCharges).toFixed(2)
+    );
+    const invoiceTotal = parseFloat((receiptTotal + receiptCharges).toFixed(2));
+    purchaseOrder.status = fullyReceived ? "received" : "partially_received";
+    purchaseOrder.receivedTotal = parseFloat(
+      ((purchaseOrder.receivedTotal || 0) + receiptTotal).toFixed(2)
+    );
+    purchaseOrder.updatedBy = req.userId;
+    await purchaseOrder.save({ session });
+
+    const goodsReceipt = new GoodsReceipt({
+      grnNumber: await nextDocumentNumber("goodsReceipt", {
+        storeId: purchaseOrder.storeId,
+        session,
+      }),
+      purchaseOrderId: purchaseOrder._id,
+      supplierId: purchaseOrder.supplierId,
+      storeId: purchaseOrder.storeId,
+      items: receiptItems,
+      total: receiptTotal,
+      charges: receiptCharges,
+      supplierInvoiceNo,
+      receivedBy: req.userId,
+      notes,
+    });
+    await goodsReceipt.save({ session });
+
+    await StockMovement.record(
+      stockMovements.map((m) => ({
+        ...m,
+        referenceType: "GoodsReceipt",
+        referenceId: goodsReceipt._id,
+        referenceNo: goodsReceipt.grnNumber,
+      })),
+      session
+    );
+
+    const supplier = await Supplier.findById(purchaseOrder.supplierId).session(session);
+    if (supplier) {
+      await supplier.updatePurchaseStats(invoiceTotal, session);
+    }
+
+    // Received goods and their share of tax and shipping become a supplier payable
+    await SupplierLedger.recordInvoice(
+      {
+        supplierId: purchaseOrder.supplierId,
+        amount: invoiceTotal,
+        reference: supplierInvoiceNo || goodsReceipt.grnNumber,
+        goodsReceiptId: goodsReceipt._id,
+        createdBy: req.userId,
+      },
+      session
+    );
+
+    await session.commitTransaction();
+
+    res.status(201).json({
+      success: true,
+      message: "Goods received successfully",
+      data: { purchaseOrder, goodsReceipt },
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    console.error("Error receiving goods:", error);
+    res.status(400).json({ success: false, message: error.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Get goods received notes for a purchase order
+ */
+const getGoodsReceipts = async (req, res) => {
+  try {
+    const receipts = await GoodsReceipt.find({ purchaseOrderId: req.params.id })
+      .populate("receivedBy", "name")
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, data: receipts });
+  } catch (error) {
+    console.error("Error fetching goods receipts:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+module.exports = {
+  getAllPurchaseOrders,
+  getPurchaseOrderById,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  closePurchaseOrder,
+  cancelPurchaseOrder,
+  receiveGoods,
+  getGoodsReceipts,
+};
@@ -1,54 +1,114 @@
+const mongoose = require("mongoose");
 const Sale = require("../model/Sale");
 const Customer = require("../model/Customer");
 const Product = require("../model/Product");
 const Inventory = require("../model/Inventory");
+const Refund = require("../model/Refund");
+const Supplier = require("../model/Supplier");
+const SupplierLedger = require("../model/SupplierLedger");
+const StockMovement = require("../model/StockMovement");
+const GiftCard = require("../model/GiftCard");
 
 /**
- * Group sales by time period
+ * Get the grouping key of a date for a time period
  */
-const groupSalesByPeriod = (sales, groupBy) => {
-  const grouped = {};
+const getPeriodKey = (value, groupBy) => {
+  const date = new Date(value);
+
+  switch (groupBy) {
+    case "hour":
+      return `${date.toISOString().split("T")[0]} ${date.getHours()}:00`;
+    case "day":
+      return date.toISOString().split("T")[0];
+    case "week":
+      const weekStart = new Date(date);
+      weekStart.setDate(date.getDate() - date.getDay());
+      return weekStart.toISOString().split("T")[0];
+    case "month":
+      return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+    default:
+      return date.toISOString().split("T")[0];
+  }
+};
 
-  sales.forEach((sale) => {
-    let key;
-    const date = new Date(sale.createdAt);
-
-    switch (groupBy) {
-      case "hour":
-        key = `${date.toISOString().split("T")[0]} ${date.getHours()}:00`;
-        break;
-      case "day":
-        key = date.toISOString().split("T")[0];
-        break;
-      case "week":
-        const weekStart = new Date(date);
-        weekStart.setDate(date.getDate() - date.getDay());
-        key = weekStart.toISOString().split("T")[0];
-        break;
-      case "month":
-        key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
-        break;
-      default:
-        key = date.toISOString().split("T")[0];
-    }
+/**
+ * Group sales (and refunds issued in the same period) by time period
+ */
+const groupSalesByPeriod = (sales, groupBy, refunds = []) => {
+  const grouped = {};
 
+  const getGroup = (key) => {
     if (!grouped[key]) {
       grouped[key] = {
         period: key,
         sales: 0,
+        refunds: 0,
+        netSales: 0,
         orders: 0,
         items: 0,
       };
     }
+    return grouped[key];
+  };
+
+  sales.forEach((sale) => {
+    const group = getGroup(getPeriodKey(sale.createdAt, groupBy));
+    group.sales += sale.total;
+    group.netSales += sale.total;
+    group.orders++;
+    group.items += sale.items.reduce((sum, item) => sum + item.quantity, 0);
+  });
 
-    grouped[key].sales += sale.total;
-    grouped[key].orders++;
-    grouped[key].items += sale.items.reduce((sum, item) => sum + item.quantity, 0);
+  refunds.forEach((refund) => {
+    const group = getGroup(getPeriodKey(refund.createdAt, groupBy));
+    group.refunds += refund.total;
+    group.netSales -= refund.total;
   });
 
   return Object.values(grouped).sort((a, b) => a.period.localeCompare(b.period));
 };
 
+/**
+ * Summarise refunds issued for a report query (storeId / createdAt)
+ * Refunds are netted off in the period they were issued, not the period of the sale.
+ */
+const getRefundSummary = async (query) => {
+  const refunds = await Refund.find(query);
+
+  let totalRefunds = 0;
+  let restockedCost = 0;
+  const productCosts = {};
+
+  for (const refund of refunds) {
+    totalRefunds += refund.total;
+
+    for (const item of refund.items) {
+      if (!item.restocked) continue;
+      const unitCost = item.unitCost ?? (await getProductCost(item.productId, productCosts));
+      restockedCost += unitCost * item.quantity;
+    }
+  }
+
+  return { refunds, totalRefunds, restockedCost, refundCount: refunds.length };
+};
+
+// Current product cost, cached per report run
+const getProductCost = async (productId, cache) => {
+  const key = productId.toString();
+  if (cache[key] === undefined) {
+    const product = await Product.findById(productId).select("cost");
+    cache[key] = product?.cost || 0;
+  }
+  return cache[key];
+};
+
+// Cost of goods for a sale line: the snapshot taken at sale time, or today's
+// product cost for sales recorded before costs were snapshotted
+const getSaleItemCost = async (item, cache) => {
+  if (item.costTotal !== undefined && item.costTotal !== null) return item.costTotal;
+  return (await getProductCost(item.productId, cache)) * item.quantity;
+};
+
 /**
  * Sales Overview Report
  */
@@ -70,9 +130,11 @@ const getSalesReport = async (req, res) => {
       .populate("cashierId", "name")
       .populate("storeId", "name")
       .sort({ createdAt: -1 });
+    const { refunds, totalRefunds, refundCount } = await getRefundSummary(query);
 
     // Calculate metrics
     const totalSales = sales.reduce((sum, s) => sum + s.total, 0);
+    const netSales = totalSales - totalRefunds;
     const totalDiscount = sales.reduce((sum, s) => sum + (s.discount || 0), 0);
     const totalTax = sales.reduce((sum, s) => sum + (s.tax || 0), 0);
     const subtotal = sales.reduce((sum, s) => sum + s.subtotal, 0);
@@ -80,7 +142,7 @@ const getSalesReport = async (req, res) => {
     const averageOrderValue = sales.length > 0 ? totalSales / sales.length : 0;
 
     // Group by time period
-    const groupedData = groupSalesByPeriod(sales, groupBy);
+    const groupedData = groupSalesByPeriod(sales, groupBy, refunds);
 
     // Payment method breakdown
     const paymentMethods = {};
@@ -90,7 +152,7 @@ const getSalesReport = async (req, res) => {
           paymentMethods[payment.method] = { count: 0, total: 0 };
         }
         paymentMethods[payment.method].count++;
-        paymentMethods[payment.method].total += payment.amount;
+        paymentMethods[payment.method].total += payment.amount - (payment.change || 0);
       });
     });
 
@@ -106,7 +168,7 @@ const getSalesReport = async (req, res) => {
             revenue: 0,
           };
         }
-        productSales[productKey].quantity += item.quantity;
+        productSales[productKey].quantity += item.baseQuantity ?? item.quantity;
         productSales[productKey].revenue += item.totalPrice;
       });
     });
@@ -118,6 +180,9 @@ const getSalesReport = async (req, res) => {
     res.json({
       summary: {
         totalSales,
+        totalRefunds: parseFloat(totalRefunds.toFixed(2)),
+        refundCount,
+        netSales: parseFloat(netSales.toFixed(2)),
         totalDiscount,
         totalTax,
         subtotal,
@@ -161,12 +226,16 @@ const getSalesByProduct = async (req, res) => {
             productId: item.productId,
             name: item.name,
             sku: item.sku,
-            quantity: 0,
+            quantity: 0, // Selling units
+            units: {}, // Quantity by the unit it was sold in, e.g. { Box: 2, Strip: 5 }
             revenue: 0,
             orders: 0,
           };
         }
-        productStats[key].quantity += item.quantity;
+        productStats[key].quantity += item.baseQuantity ?? item.quantity;
+        const { units } = productStats[key];
+        const unitName = item.unitName || "Unit";
+        units[unitName] = (units[unitName] || 0) + item.quantity;
         productStats[key].revenue += item.totalPrice;
         productStats[key].orders++;
       });
@@ -198,25 +267,27 @@ const getFinancialReport = async (req, res) => {
     }
 
     const sales = await Sale.find(query);
+    const { refunds, totalRefunds, restockedCost } = await getRefundSummary(query);
 
-    // Revenue calculations
-    const totalRevenue = sales.reduce((sum, s) => sum + s.total, 0);
+    // Revenue calculations (net of refunds issued in the period)
+    const totalRevenue = sales.reduce((sum, s) => sum + s.total, 0) - totalRefunds;
     const grossRevenue = sales.reduce((sum, s) => sum + s.subtotal, 0);
     const totalDiscount = sales.reduce((sum, s) => sum + (s.discount || 0), 0);
     const totalTax = sales.reduce((sum, s) => sum + (s.tax || 0), 0);
 
-    // Cost calculations (from product cost * quantity)
+    // Cost of goods sold (snapshotted per line at sale time)
     let totalCost = 0;
+    const productCosts = {};
     for (const sale of sales) {
       for (const item of sale.items) {
-        const product = await Product.findById(item.productId);
-        if (product && product.cost) {
-          totalCost += product.cost * item.quantity;
-        }
+        totalCost += await getSaleItemCost(item, productCosts);
       }
     }
 
-    const grossProfit = grossRevenue - totalCost;
+    // Restocked refunds come back into inventory, so their cost is not a cost of sale
+    totalCost -= restockedCost;
+
+    const grossProfit = grossRevenue - totalRefunds - totalCost;
     const netProfit = totalRevenue - totalCost;
     const profitMargin = totalRevenue > 0 ? ((netProfit / totalRevenue) * 100).toFixed(2) : 0;
 
@@ -227,7 +298,7 @@ const getFinancialReport = async (req, res) => {
         if (!paymentBreakdown[payment.method]) {
           paymentBreakdown[payment.method] = 0;
         }
-        paymentBreakdown[payment.method] += payment.amount;
+        paymentBreakdown[payment.method] += payment.amount - (payment.change || 0);
       });
     });
 
@@ -241,6 +312,13 @@ const getFinancialReport = async (req, res) => {
       dailyRevenue[date].revenue += sale.total;
       dailyRevenue[date].orders++;
     });
+    refunds.forEach((refund) => {
+      const date = new Date(refund.createdAt).toISOString().split("T")[0];
+      if (!dailyRevenue[date]) {
+        dailyRevenue[date] = { revenue: 0, orders: 0, profit: 0 };
+      }
+      dailyRevenue[date].revenue -= refund.total;
+    });
 
     const revenueTrend = Object.entries(dailyRevenue)
       .map(([date, data]) => ({ date, ...data }))
@@ -250,6 +328,7 @@ const getFinancialReport = async (req, res) => {
       summary: {
         totalRevenue: parseFloat(totalRevenue.toFixed(2)),
         grossRevenue: parseFloat(grossRevenue.toFixed(2)),
+        totalRefunds: parseFloat(totalRefunds.toFixed(2)),
         totalCost: parseFloat(totalCost.toFixed(2)),
         grossProfit: parseFloat(grossProfit.toFixed(2)),
         netProfit: parseFloat(netProfit.toFixed(2)),
@@ -287,6 +366,7 @@ const getProfitLossReport = async (req, res) => {
     let cost = 0;
     let discount = 0;
     let tax = 0;
+    const productCosts = {};
 
     for (const sale of sales) {
       revenue += sale.total;
@@ -294,13 +374,15 @@ const getProfitLossReport = async (req, res) => {
       tax += sale.tax || 0;
 
       for (const item of sale.items) {
-        const product = await Product.findById(item.productId);
-        if (product && product.cost) {
-          cost += product.cost * item.quantity;
-        }
+        cost += await getSaleItemCost(item, productCosts);
       }
     }
 
+    // Net refunds issued in the period out of revenue and restocked goods out of COGS
+    const { totalRefunds, restockedCost } = await getRefundSummary(query);
+    revenue -= totalRefunds;
+    cost -= restockedCost;
+
     const grossProfit = revenue - cost - discount;
     const netProfit = grossProfit;
     const profitMargin = revenue > 0 ? ((netProfit / revenue) * 100).toFixed(2) : 0;
@@ -308,6 +390,7 @@ const getProfitLossReport = async (req, res) => {
     res.json({
       income: {
         totalRevenue: parseFloat(revenue.toFixed(2)),
+        totalRefunds: parseFloat(totalRefunds.toFixed(2)),
         totalTax: parseFloat(tax.toFixed(2)),
       },
       expenses: {
@@ -532,56 +615,771 @@ const getInventoryReport = async (req, res) => {
 };
 
 /**
- * Stock Movement Report
+ * Stock Movement Report (built from the stock movement ledger)
  */
 const getStockMovementReport = async (req, res) => {
   try {
     const { storeId, from, to } = req.query;
 
-    const salesQuery = {};
-    if (storeId) salesQuery.storeId = storeId;
+    // Aggregation skips schema casting, so storeId must be an ObjectId
+    const match = {};
+    if (storeId && mongoose.Types.ObjectId.isValid(storeId)) {
+      match.storeId = new mongoose.Types.ObjectId(storeId);
+    }
     if (from || to) {
-      salesQuery.createdAt = {};
-      if (from) salesQuery.createdAt.$gte = new Date(from);
-      if (to) salesQuery.createdAt.$lte = new Date(to);
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = new Date(from);
+      if (to) match.createdAt.$lte = new Date(to);
     }
 
-    const sales = await Sale.find(salesQuery);
-
-    // Calculate product movements
-    const productMovement = {};
-    sales.forEach((sale) => {
-      sale.items.forEach((item) => {
-        const productId = item.productId?.toString();
-        if (productId) {
-          if (!productMovement[productId]) {
-            productMovement[productId] = {
-              name: item.name,
-              sku: item.sku,
-              sold: 0,
-              revenue: 0,
-            };
-          }
-          productMovement[productId].sold += item.quantity;
-          productMovement[productId].revenue += item.totalPrice;
-        }
-      });
+    const sumOfType = (type, sign = 1) => ({
+      $sum: { $cond: [{ $eq: ["$type", type] }, { $multiply: ["$quantity", sign] }, 0] },
     });
 
+    const [productMovement, byType] = await Promise.all([
+      StockMovement.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: "$productId",
+            name: { $last: "$productName" },
+            sold: sumOfType("sale", -1),
+            returned: sumOfType("refund"),
+            received: sumOfType("receipt"),
+            imported: sumOfType("import"),
+            adjusted: sumOfType("adjustment"),
+            transferredIn: sumOfType("transfer_in"),
+            transferredOut: sumOfType("transfer_out", -1),
+            netChange: { $sum: "$quantity" },
+            movements: { $sum: 1 },
+          },
+        },
+        {
+          $lookup: {
+            from: "products",
+            localField: "_id",
+            foreignField: "_id",
+            as: "product",
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            productId: "$_id",
+            name: { $ifNull: [{ $arrayElemAt: ["$product.name", 0] }, "$name"] },
+            sku: { $arrayElemAt: ["$product.sku", 0] },
+            sold: 1,
+            returned: 1,
+            netSold: { $subtract: ["$sold", "$returned"] },
+            received: 1,
+            imported: 1,
+            adjusted: 1,
+            transferredIn: 1,
+            transferredOut: 1,
+            netChange: 1,
+            movements: 1,
+          },
+        },
+      ]),
+      StockMovement.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: "$type",
+            count: { $sum: 1 },
+            quantity: { $sum: "$quantity" },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ]),
+    ]);
+
+    const soldProducts = productMovement.filter((p) => p.sold > 0);
+
     // Sort by most sold
-    const topMovers = Object.values(productMovement)
-      .sort((a, b) => b.sold - a.sold)
-      .slice(0, 20);
+    const topMovers = [...soldProducts].sort((a, b) => b.netSold - a.netSold).slice(0, 20);
 
     // Slow movers (products with low sales)
-    const slowMovers = Object.values(productMovement)
-      .sort((a, b) => a.sold - b.sold)
-      .slice(0, 20);
+    const slowMovers = [...soldProducts].sort((a, b) => a.netSold - b.netSold).slice(0, 20);
 
     res.json({
       topMovers,
       slowMovers,
-      totalProductsSold: Object.keys(productMovement).length,
+      totalProductsSold: soldProducts.length,
+      byType: byType.map((t) => ({ type: t._id, count: t.count, quantity: t.quantity })),
+      products: productMovement.sort((a, b) => b.movements - a.movements),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Promotion Performance Report (discount given and revenue on promoted lines)
+ */
+const getPromotionReport = async (req, res) => {
+  try {
+    const { storeId, from, to } = req.query;
+
+    const match = {};
+    if (storeId && mongoose.Types.ObjectId.isValid(storeId)) {
+      match.storeId = new mongoose.Types.ObjectId(storeId);
+    }
+    if (from || to) {
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = new Date(from);
+      if (to) match.createdAt.$lte = new Date(to);
+    }
+
+    const promotions = await Sale.aggregate([
+      { $match: { ...match, "items.appliedPromotions.0": { $exists: true } } },
+      { $unwind: "$items" },
+      { $unwind: "$items.appliedPromotions" },
+      {
+        $group: {
+          _id: {
+            promotionId: "$items.appliedPromotions.promotionId",
+            type: "$items.appliedPromotions.type",
+          },
+          name: { $last: "$items.appliedPromotions.name" },
+          discount: { $sum: "$items.appliedPromotions.amount" },
+          unitsSold: { $sum: { $ifNull: ["$items.baseQuantity", "$items.quantity"] } },
+          revenue: { $sum: "$items.total" },
+          sales: { $addToSet: "$_id" },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          promotionId: "$_id.promotionId",
+          type: "$_id.type",
+          name: 1,
+          discount: { $round: ["$discount", 2] },
+          unitsSold: 1,
+          revenue: { $round: ["$revenue", 2] },
+          saleCount: { $size: "$sales" },
+        },
+      },
+      { $sort: { discount: -1 } },
+    ]);
+
+    res.json({
+      totalDiscount: parseFloat(promotions.reduce((sum, p) => sum + p.discount, 0).toFixed(2)),
+      promotions,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Quote a value for CSV if it contains a separator, quote or newline
+const csvValue = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) =>
+  [
+    columns.map((column) => csvValue(column.label)).join(","),
+    ...rows.map((row) => columns.map((column) => csvValue(row[column.key])).join(",")),
+  ].join("\n");
+
+const TAX_REPORT_GROUPS = ["rate", "rule", "hsn"];
+
+/**
+ * Tax Summary Report
+ * Taxable value and tax collected grouped by rate, tax rule and HSN code.
+ * Refunds are netted off in the period they are issued (as credit notes).
+ * ?format=csv&groupBy=rate|rule|hsn exports one grouping as CSV.
+ */
+const getTaxReport = async (req, res) => {
+  try {
+    const { storeId, from, to, format, groupBy = "hsn" } = req.query;
+
+    if (format === "csv" && !TAX_REPORT_GROUPS.includes(groupBy)) {
+      return res.status(400).json({
+        message: `groupBy must be one of: ${TAX_REPORT_GROUPS.join(", ")}`,
+      });
+    }
+
+    const query = {};
+    if (storeId) query.storeId = storeId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const [sales, refunds] = await Promise.all([
+      Sale.find(query).select("items"),
+      Refund.find(query).select("saleId items"),
+    ]);
+
+    // Refunded lines are priced from the original sale line
+    const refundedSales = await Sale.find({
+      _id: { $in: [...new Set(refunds.map((refund) => refund.saleId.toString()))] },
+    }).select("items");
+    const refundedLines = new Map();
+    refundedSales.forEach((sale) =>
+      sale.items.forEach((item) => refundedLines.set(item._id.toString(), item))
+    );
+
+    // Sales recorded before HSN codes were snapshotted fall back to the product
+    const productCodes = {};
+    const getCodes = async (item) => {
+      if (item.hsnCode !== undefined || item.taxCode !== undefined) {
+        return { hsnCode: item.hsnCode, taxCode: item.taxCode };
+      }
+      const key = item.productId.toString();
+      if (!productCodes[key]) {
+        const product = await Product.findById(item.productId).select("hsnCode taxCode");
+        productCodes[key] = { hsnCode: product?.hsnCode, taxCode: product?.taxCode };
+      }
+      return productCodes[key];
+    };
+
+    const byRate = {};
+    const byRule = {};
+    const byHsn = {};
+    const totals = { taxableValue: 0, tax: 0, grossValue: 0, refundedTaxableValue: 0, refundedTax: 0 };
+
+    const addLine = async (item, factor) => {
+      const taxable = (item.total - (item.tax || 0)) * factor;
+      const tax = (item.tax || 0) * factor;
+      // HSN returns report quantities in selling units
+      const quantity = (item.baseQuantity ?? item.quantity) * factor;
+
+      // Lines from before the tax engine carry only a total tax amount
+      let breakdown = item.taxBreakdown || [];
+      if (breakdown.length === 0 && item.tax) {
+        const legacyRate = (item.tax / (item.total - item.tax)) * 100;
+        breakdown = [
+          { name: "Tax", rate: parseFloat(legacyRate.toFixed(2)), type: "percentage", amount: item.tax },
+        ];
+      }
+      const rate = breakdown
+        .filter((entry) => entry.type !== "fixed")
+        .reduce((sum, entry) => sum + entry.rate, 0);
+
+      totals.taxableValue += taxable;
+      totals.tax += tax;
+      totals.grossValue += taxable + tax;
+      if (factor < 0) {
+        totals.refundedTaxableValue -= taxable;
+        totals.refundedTax -= tax;
+      }
+
+      const rateKey = rate.toFixed(2);
+      byRate[rateKey] = byRate[rateKey] || { rate, taxableValue: 0, tax: 0, quantity: 0 };
+      byRate[rateKey].taxableValue += taxable;
+      byRate[rateKey].tax += tax;
+      byRate[rateKey].quantity += quantity;
+
+      for (const entry of breakdown) {
+        const ruleKey = `${entry.name}|${entry.rate}|${entry.type}`;
+        byRule[ruleKey] = byRule[ruleKey] || {
+          name: entry.name,
+          rate: entry.rate,
+          type: entry.type,
+          taxableValue: 0,
+          tax: 0,
+        };
+        byRule[ruleKey].taxableValue += taxable;
+        byRule[ruleKey].tax += entry.amount * factor;
+      }
+
+      const { hsnCode, taxCode } = await getCodes(item);
+      const hsnKey = `${hsnCode || "UNSPECIFIED"}|${rateKey}`;
+      byHsn[hsnKey] = byHsn[hsnKey] || {
+        hsnCode: hsnCode || "UNSPECIFIED",
+        taxCode: taxCode || "",
+        description: item.productName,
+        rate,
+        quantity: 0,
+        taxableValue: 0,
+        tax: 0,
+        taxes: {},
+      };
+      byHsn[hsnKey].quantity += quantity;
+      byHsn[hsnKey].taxableValue += taxable;
+      byHsn[hsnKey].tax += tax;
+      const hsnTaxes = byHsn[hsnKey].taxes;
+      for (const entry of breakdown) {
+        hsnTaxes[entry.name] = (hsnTaxes[entry.name] || 0) + entry.amount * factor;
+      }
+    };
+
+    for (const sale of sales) {
+      for (const item of sale.items) await addLine(item, 1);
+    }
+    for (const refund of refunds) {
+      for (const refundItem of refund.items) {
+        const item = refundedLines.get(refundItem.saleItemId.toString());
+        if (item && item.quantity) await addLine(item, -refundItem.quantity / item.quantity);
+      }
+    }
+
+    const money = (value) => parseFloat(value.toFixed(2));
+    const finish = (row) => ({
+      ...row,
+      ...(row.quantity !== undefined && { quantity: parseFloat(row.quantity.toFixed(3)) }),
+      taxableValue: money(row.taxableValue),
+      tax: money(row.tax),
+      ...(row.taxes && {
+        taxes: Object.fromEntries(
+          Object.entries(row.taxes).map(([name, amount]) => [name, money(amount)])
+        ),
+      }),
+    });
+
+    const report = {
+      period: { from: from || null, to: to || null },
+      storeId: storeId || null,
+      totals: Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, money(value)])),
+      byRate: Object.values(byRate).map(finish).sort((a, b) => a.rate - b.rate),
+      byRule: Object.values(byRule).map(finish).sort((a, b) => a.name.localeCompare(b.name)),
+      byHsn: Object.values(byHsn).map(finish).sort((a, b) => a.hsnCode.localeCompare(b.hsnCode)),
+    };
+
+    if (format === "csv") {
+      let columns;
+      let rows;
+      if (groupBy === "rate") {
+        columns = [
+          { key: "rate", label: "Rate (%)" },
+          { key: "quantity", label: "Quantity" },
+          { key: "taxableValue", label: "Taxable Value" },
+          { key: "tax", label: "Tax" },
+        ];
+        rows = report.byRate;
+      } else if (groupBy === "rule") {
+        columns = [
+          { key: "name", label: "Tax" },
+          { key: "rate", label: "Rate" },
+          { key: "type", label: "Type" },
+          { key: "taxableValue", label: "Taxable Value" },
+          { key: "tax", label: "Tax Amount" },
+        ];
+        rows = report.byRule;
+      } else {
+        // One column per tax rule so split taxes (e.g. CGST/SGST) stay separate
+        const taxNames = [...new Set(report.byHsn.flatMap((row) => Object.keys(row.taxes)))];
+        columns = [
+          { key: "hsnCode", label: "HSN" },
+          { key: "description", label: "Description" },
+          { key: "rate", label: "Rate (%)" },
+          { key: "quantity", label: "Quantity" },
+          { key: "taxableValue", label: "Taxable Value" },
+          ...taxNames.map((name) => ({ key: `tax:${name}`, label: name })),
+          { key: "tax", label: "Total Tax" },
+        ];
+        rows = report.byHsn.map((row) => ({
+          ...row,
+          ...Object.fromEntries(taxNames.map((name) => [`tax:${name}`, row.taxes[name] || 0])),
+        }));
+      }
+
+      res.set("Content-Type", "text/csv");
+      res.set("Content-Disposition", `attachment; filename="tax-report-${groupBy}.csv"`);
+      return res.send(toCsv(columns, rows));
+    }
+
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const REGISTER_TOTALS = {
+  receipt: "received",
+  sale: "dispensed",
+  refund: "returned",
+  transfer_in: "transferredIn",
+  transfer_out: "transferredOut",
+  adjustment: "adjusted",
+  import: "adjusted",
+};
+
+/**
+ * Controlled Substance Register
+ * Every movement of controlled products in date order with a running balance per
+ * product, and the prescription each dispensing was made against. Balances are
+ * rebuilt from the stock movement ledger, starting from the stock that was on
+ * hand before the ledger began (current stock less every recorded movement).
+ * ?format=csv exports the entries.
+ */
+const getControlledRegisterReport = async (req, res) => {
+  try {
+    const { storeId, productId, from, to, format } = req.query;
+
+    const productQuery = { isControlled: true };
+    if (productId) productQuery._id = productId;
+    const products = await Product.find(productQuery)
+      .select("name genericName strength sellingUnit")
+      .sort({ name: 1 });
+
+    const productIds = products.map((product) => product._id);
+    const match = { productId: { $in: productIds } };
+    if (storeId) match.storeId = storeId;
+    if (to) match.createdAt = { $lte: new Date(to) };
+
+    const movements = await StockMovement.find(match)
+      .populate("userId", "name")
+      .sort({ createdAt: 1, _id: 1 });
+
+    // Stock held before movements were recorded is what today's stock does not
+    // account for once every movement is taken back out
+    const stockMatch = { productId: { $in: productIds } };
+    if (storeId) stockMatch.storeId = new mongoose.Types.ObjectId(storeId);
+    const [stockOnHand, ledgerTotals] = await Promise.all([
+      Inventory.aggregate([
+        { $match: stockMatch },
+        { $group: { _id: "$productId", quantity: { $sum: "$quantity" } } },
+      ]),
+      StockMovement.aggregate([
+        { $match: stockMatch },
+        { $group: { _id: "$productId", quantity: { $sum: "$quantity" } } },
+      ]),
+    ]);
+    const preLedgerBalances = new Map(stockOnHand.map((row) => [row._id.toString(), row.quantity]));
+    ledgerTotals.forEach((row) => {
+      const key = row._id.toString();
+      preLedgerBalances.set(key, (preLedgerBalances.get(key) || 0) - row.quantity);
+    });
+
+    const saleIds = movements
+      .filter((movement) => movement.referenceType === "Sale")
+      .map((movement) => movement.referenceId);
+    const sales = await Sale.find({ _id: { $in: saleIds } })
+      .select("items.productId items.baseQuantity items.quantity items.prescription customerId")
+      .populate("customerId", "name phone");
+    const salesById = new Map(sales.map((sale) => [sale._id.toString(), sale]));
+
+    const registers = new Map();
+    products.forEach((product) => {
+      const preLedgerBalance = preLedgerBalances.get(product._id.toString()) || 0;
+      registers.set(product._id.toString(), {
+        productId: product._id,
+        name: product.name,
+        genericName: product.genericName,
+        strength: product.strength,
+        unit: product.sellingUnit,
+        preLedgerBalance,
+        openingBalance: preLedgerBalance,
+        received: 0,
+        dispensed: 0,
+        returned: 0,
+        transferredIn: 0,
+        transferredOut: 0,
+        adjusted: 0,
+        closingBalance: preLedgerBalance,
+        entries: [],
+      });
+    });
+
+    const fromDate = from ? new Date(from) : null;
+    movements.forEach((movement) => {
+      const register = registers.get(movement.productId.toString());
+      register.closingBalance += movement.quantity;
+
+      if (fromDate && movement.createdAt < fromDate) {
+        register.openingBalance = register.closingBalance;
+        return;
+      }
+      // Adjustments can go either way, so they stay signed
+      const total = REGISTER_TOTALS[movement.type];
+      register[total] += total === "adjusted" ? movement.quantity : Math.abs(movement.quantity);
+
+      const entry = {
+        date: movement.createdAt,
+        type: movement.type,
+        reference: movement.referenceNo,
+        quantityIn: movement.quantity > 0 ? movement.quantity : 0,
+        quantityOut: movement.quantity < 0 ? -movement.quantity : 0,
+        balance: register.closingBalance,
+        user: movement.userId?.name,
+        reason: movement.reason,
+      };
+
+      const sale = movement.referenceType === "Sale" && salesById.get(String(movement.referenceId));
+      if (sale) {
+        // Several lines of one product in a sale each make their own movement
+        const lines = sale.items.filter((item) => item.productId.equals(movement.productId));
+        const line =
+          lines.find((item) => (item.baseQuantity ?? item.quantity) === -movement.quantity) ||
+          lines[0];
+        const prescription = line?.prescription || {};
+        Object.assign(entry, {
+          customer: sale.customerId?.name,
+          patientName: prescription.patientName,
+          patientAddress: prescription.patientAddress,
+          prescriberName: prescription.prescriberName,
+          registrationNumber: prescription.registrationNumber,
+          prescriptionNo: prescription.prescriptionNo,
+          prescriptionDate: prescription.prescriptionDate,
+        });
+      }
+
+      register.entries.push(entry);
+    });
+
+    const report = [...registers.values()].filter(
+      (register) => register.entries.length > 0 || register.openingBalance !== 0
+    );
+
+    if (format === "csv") {
+      const columns = [
+        { key: "product", label: "Product" },
+        { key: "date", label: "Date" },
+        { key: "type", label: "Type" },
+        { key: "reference", label: "Reference" },
+        { key: "quantityIn", label: "In" },
+        { key: "quantityOut", label: "Out" },
+        { key: "balance", label: "Balance" },
+        { key: "patientName", label: "Patient" },
+        { key: "prescriberName", label: "Prescriber" },
+        { key: "registrationNumber", label: "Registration No" },
+        { key: "prescriptionNo", label: "Prescription No" },
+        { key: "user", label: "Recorded By" },
+      ];
+      const rows = report.flatMap((register) => {
+        const product = register.strength
+          ? `${register.name} ${register.strength}`
+          : register.name;
+        return [
+          {
+            product,
+            date: fromDate ? fromDate.toISOString() : "",
+            type: "opening_balance",
+            balance: register.openingBalance,
+          },
+          ...register.entries.map((entry) => ({
+            ...entry,
+            product,
+            date: entry.date.toISOString(),
+          })),
+        ];
+      });
+
+      res.set("Content-Type", "text/csv");
+      res.set("Content-Disposition", 'attachment; filename="controlled-register.csv"');
+      return res.send(toCsv(columns, rows));
+    }
+
+    res.json({ from: fromDate, to: to ? new Date(to) : null, products: report });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Payables Aging Report
+ */
+const getPayablesAgingReport = async (req, res) => {
+  try {
+    const { asOf } = req.query;
+    const asOfDate = asOf ? new Date(asOf) : new Date();
+
+    const aging = await SupplierLedger.getAging({}, asOfDate);
+
+    const suppliers = await Supplier.find({
+      _id: { $in: aging.map((row) => row.supplierId) },
+    }).select("name company paymentTerms");
+
+    const rows = aging
+      .map((row) => {
+        const supplier = suppliers.find((s) => s._id.equals(row.supplierId));
+        return {
+          ...row,
+          name: supplier?.name,
+          company: supplier?.company,
+          paymentTerms: supplier?.paymentTerms,
+        };
+      })
+      .sort((a, b) => b.total - a.total);
+
+    const totals = { current: 0, days1to30: 0, days31to60: 0, days61to90: 0, days90plus: 0, total: 0 };
+    rows.forEach((row) => {
+      Object.keys(totals).forEach((bucket) => {
+        totals[bucket] += row[bucket];
+      });
+    });
+    Object.keys(totals).forEach((bucket) => {
+      totals[bucket] = parseFloat(totals[bucket].toFixed(2));
+    });
+
+    res.json({
+      asOf: asOfDate,
+      totals,
+      suppliers: rows,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Receivables Aging Report (outstanding customer dues by age of the sale)
+ */
+const getReceivablesAgingReport = async (req, res) => {
+  try {
+    const { storeId, asOf } = req.query;
+    const asOfDate = asOf ? new Date(asOf) : new Date();
+
+    const query = { dueAmount: { $gt: 0 }, createdAt: { $lte: asOfDate } };
+    if (storeId) query.storeId = storeId;
+
+    const dueSales = await Sale.find(query)
+      .select("saleNo customerId dueAmount createdAt")
+      .populate("customerId", "name phone");
+
+    const buckets = () => ({ current: 0, days31to60: 0, days61to90: 0, days90plus: 0, total: 0 });
+    const totals = buckets();
+    const byCustomer = {};
+
+    dueSales.forEach((sale) => {
+      const key = sale.customerId?._id?.toString() || "walk-in";
+      if (!byCustomer[key]) {
+        byCustomer[key] = {
+          customerId: sale.customerId?._id || null,
+          name: sale.customerId?.name || "Walk-in",
+          phone: sale.customerId?.phone,
+          openSales: 0,
+          oldestSale: sale.createdAt,
+          ...buckets(),
+        };
+      }
+
+      const ageDays = Math.floor((asOfDate - sale.createdAt) / (24 * 60 * 60 * 1000));
+      let bucket = "current";
+      if (ageDays > 90) bucket = "days90plus";
+      else if (ageDays > 60) bucket = "days61to90";
+      else if (ageDays > 30) bucket = "days31to60";
+
+      const row = byCustomer[key];
+      row[bucket] += sale.dueAmount;
+      row.total += sale.dueAmount;
+      row.openSales++;
+      if (sale.createdAt < row.oldestSale) row.oldestSale = sale.createdAt;
+      totals[bucket] += sale.dueAmount;
+      totals.total += sale.dueAmount;
+    });
+
+    const round = (row) => {
+      ["current", "days31to60", "days61to90", "days90plus", "total"].forEach((field) => {
+        row[field] = parseFloat(row[field].toFixed(2));
+      });
+      return row;
+    };
+
+    res.json({
+      asOf: asOfDate,
+      totals: round(totals),
+      customers: Object.values(byCustomer)
+        .map(round)
+        .sort((a, b) => b.total - a.total),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Gift Card Liability Report (value still owed on gift cards and vouchers)
+ * Balances are rebuilt from card transactions so the report works for past dates;
+ * expired cards with value left are shown apart as breakage
+ */
+const getGiftCardLiabilityReport = async (req, res) => {
+  try {
+    const { storeId, type, asOf } = req.query;
+    const asOfDate = asOf ? new Date(asOf) : new Date();
+
+    const match = { createdAt: { $lte: asOfDate } };
+    if (storeId) match.storeId = new mongoose.Types.ObjectId(storeId);
+    if (type) match.type = type;
+
+    const cards = await GiftCard.aggregate([
+      { $match: match },
+      { $unwind: "$transactions" },
+      { $match: { "transactions.createdAt": { $lte: asOfDate } } },
+      {
+        $group: {
+          _id: "$_id",
+          code: { $first: "$code" },
+          type: { $first: "$type" },
+          storeId: { $first: "$storeId" },
+          customerId: { $first: "$customerId" },
+          expiresAt: { $first: "$expiresAt" },
+          issuedAt: { $first: "$createdAt" },
+          balance: { $sum: "$transactions.amount" },
+        },
+      },
+      { $match: { balance: { $gt: 0.005 } } },
+      {
+        $lookup: {
+          from: "stores",
+          localField: "storeId",
+          foreignField: "_id",
+          as: "store",
+        },
+      },
+      { $sort: { issuedAt: 1 } },
+    ]);
+
+    const blank = () => ({ cards: 0, balance: 0 });
+    const totals = { outstanding: blank(), expired: blank() };
+    const byType = {};
+    const byStore = {};
+    const outstanding = [];
+    const expired = [];
+
+    cards.forEach((card) => {
+      const balance = parseFloat(card.balance.toFixed(2));
+      const row = {
+        giftCardId: card._id,
+        code: card.code,
+        type: card.type,
+        store: card.store[0]?.name || null,
+        customerId: card.customerId,
+        issuedAt: card.issuedAt,
+        expiresAt: card.expiresAt,
+        balance,
+      };
+
+      if (card.expiresAt && card.expiresAt <= asOfDate) {
+        totals.expired.cards++;
+        totals.expired.balance += balance;
+        expired.push(row);
+        return;
+      }
+
+      totals.outstanding.cards++;
+      totals.outstanding.balance += balance;
+      outstanding.push(row);
+
+      if (!byType[card.type]) byType[card.type] = { type: card.type, ...blank() };
+      byType[card.type].cards++;
+      byType[card.type].balance += balance;
+
+      const storeKey = card.storeId?.toString() || "unknown";
+      if (!byStore[storeKey]) {
+        byStore[storeKey] = { storeId: card.storeId || null, store: row.store, ...blank() };
+      }
+      byStore[storeKey].cards++;
+      byStore[storeKey].balance += balance;
+    });
+
+    const round = (row) => ({ ...row, balance: parseFloat(row.balance.toFixed(2)) });
+
+    res.json({
+      asOf: asOfDate,
+      totals: { outstanding: round(totals.outstanding), expired: round(totals.expired) },
+      byType: Object.values(byType).map(round),
+      byStore: Object.values(byStore)
+        .map(round)
+        .sort((a, b) => b.balance - a.balance),
+      outstanding,
+      expired,
     });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -597,5 +1395,11 @@ module.exports = {
   getCustomerRetentionReport,
   getInventoryReport,
   getStockMovementReport,
+  getPromotionReport,
+  getTaxReport,
+  getPayablesAgingReport,
+  getReceivablesAgingReport,
+  getGiftCardLiabilityReport,
+  getControlledRegisterReport,
 };
 
@@ -2,160 +2,668 @@ const Sale = require("../model/Sale");
 const Inventory = require("../model/Inventory");
 const Product = require("../model/Product");
 const SourcedItem = require("../model/SourcedItem");
+const Refund = require("../model/Refund");
+const Customer = require("../model/Customer");
+const StockMovement = require("../model/StockMovement");
+const Warranty = require("../model/Warranty");
+const Settings = require("../model/Settings");
+const Store = require("../model/Store");
+const RegisterShift = require("../model/RegisterShift");
+const HeldCart = require("../model/HeldCart");
+const Promotion = require("../model/Promotion");
+const Coupon = require("../model/Coupon");
+const GiftCard = require("../model/GiftCard");
+const Prescriber = require("../model/Prescriber");
+const { nextDocumentNumber } = require("../utils/documentNumber");
+const { runInTransaction } = require("../utils/transaction");
+const { uploadToImageBB } = require("../utils/imagebb");
+const {
+  loadLoyaltyCustomer,
+  pointsForRedemption,
+  applySaleToCustomer,
+  reverseSaleLoyalty,
+  refreshTier,
+} = require("../utils/loyalty");
+const { settlePayments, assertMethodEnabled } = require("../utils/payments");
+const {
+  resolveTaxRules,
+  calculateLineTax,
+  summarizeTaxBreakdown,
+} = require("../utils/taxEngine");
+const {
+  PAPER_COLUMNS,
+  buildReceipt,
+  renderText,
+  renderEscPos,
+  renderHtml,
+} = require("../utils/receiptRenderer");
+
+const REFUND_METHODS = ["cash", "card", "mobile_wallet", "gift_card", "voucher"];
+const GIFT_CARD_METHODS = ["gift_card", "voucher"];
+const MAX_SALE_ATTEMPTS = 3;
+const RECEIPT_FORMATS = ["html", "text", "escpos"];
+
+const PRESCRIPTION_FIELDS = [
+  "prescriberId",
+  "prescriberName",
+  "registrationNumber",
+  "patientName",
+  "patientAddress",
+  "prescriptionNo",
+  "prescriptionDate",
+  "imageUrl",
+  "directions",
+  "dosesPerDay",
+  "unitsPerDose",
+  "daysSupply",
+  "notes",
+];
+const REQUIRED_PRESCRIPTION_FIELDS = {
+  prescriberName: "prescriber name",
+  registrationNumber: "prescriber registration number",
+  patientName: "patient name",
+  prescriptionDate: "prescription date",
+};
 
 /**
- * Create sale
+ * Fill in prescriber details from the directory when a prescriberId is given,
+ * and the patient name from the sale's customer when it is left out
  */
-const createSale = async (req, res) => {
-  const session = await Sale.startSession();
-  session.startTransaction();
+const resolvePrescription = async (prescription, customer, session) => {
+  if (!prescription) return prescription;
 
-  try {
-    const { storeId, items, payments, customerId, isDue } = req.body;
+  const resolved = { ...prescription };
+  if (resolved.prescriberId) {
+    const prescriber = await Prescriber.findOne({
+      _id: resolved.prescriberId,
+      isActive: true,
+    }).session(session || null);
+    if (!prescriber) throw new Error("Prescriber not found");
+    resolved.prescriberName = prescriber.name;
+    resolved.registrationNumber = prescriber.registrationNumber;
+  }
+  if (!resolved.patientName && customer) resolved.patientName = customer.name;
+  return resolved;
+};
+
+/**
+ * Check the prescription a prescription-only or controlled line is sold against
+ * and return the fields to store on the sale line
+ */
+const validatePrescription = (product, prescription, settings) => {
+  if (!prescription) {
+    throw new Error(`${product.name} requires prescription details`);
+  }
+
+  const missing = Object.keys(REQUIRED_PRESCRIPTION_FIELDS).filter(
+    (field) => !prescription[field] || !String(prescription[field]).trim()
+  );
+  if (missing.length > 0) {
+    throw new Error(
+      `${product.name} prescription is missing: ` +
+        missing.map((field) => REQUIRED_PRESCRIPTION_FIELDS[field]).join(", ")
+    );
+  }
+
+  const prescriptionDate = new Date(prescription.prescriptionDate);
+  if (Number.isNaN(prescriptionDate.getTime()) || prescriptionDate > new Date()) {
+    throw new Error(`${product.name} prescription date is not valid`);
+  }
+  const validityDays = settings?.prescriptionValidityDays || 180;
+  if (Date.now() - prescriptionDate.getTime() > validityDays * 24 * 60 * 60 * 1000) {
+    throw new Error(`${product.name} prescription is older than ${validityDays} days`);
+  }
+
+  const details = {};
+  PRESCRIPTION_FIELDS.forEach((field) => {
+    if (prescription[field] !== undefined) details[field] = prescription[field];
+  });
+  details.prescriptionDate = prescriptionDate;
+  return details;
+};
+
+/**
+ * Price, stock and record a sale inside the given session; returns the saved sale.
+ * Runs again from the top when the transaction is replayed.
+ */
+const checkoutSale = async (req, session) => {
+  const { storeId, payments, isDue, heldCartId, couponCode, prescription } = req.body;
+  let { items, customerId } = req.body;
+
+  // Validate required fields
+  if (!storeId) {
+    throw new Error("Store ID is required");
+  }
+
+  // Checking out a parked basket: claim it inside the transaction so it can
+  // only become one sale; items sent with the request override the parked ones
+  let heldCart = null;
+  if (heldCartId) {
+    heldCart = await HeldCart.findOneAndUpdate(
+      {
+        _id: heldCartId,
+        storeId,
+        status: { $in: ["held", "resumed"] },
+        expiresAt: { $gt: new Date() },
+      },
+      { status: "converted" },
+      { new: true, session }
+    );
+    if (!heldCart) {
+      throw new Error("Held cart not found, expired or already checked out");
+    }
+    if (!items || items.length === 0) items = heldCart.items.map((item) => item.toObject());
+    if (!customerId) customerId = heldCart.customerId;
+  }
+
+  if (!items || items.length === 0) {
+    throw new Error("At least one item is required");
+  }
+
+  // Every sale goes through the cashier's open till session
+  const shift = await RegisterShift.findOpen(storeId, req.userId, session);
+  if (!shift) {
+    throw new Error("No open register shift. Open a shift before making sales");
+  }
+
+  // Calculate totals
+  let subtotal = 0;
+  let totalDiscount = 0;
+  let tax = 0;
+
+  const saleItems = [];
+  const sourcedItemsToCreate = [];
+  const stockMovements = [];
+  const warrantiesToCreate = [];
+
+  const settings = await Settings.findOne({ isActive: true });
+  const costingMethod = settings?.costingMethod || "moving_average";
+
+  // Lapsed points are expired first so a points payment sees the real balance
+  let customer = null;
+  if (customerId) {
+    customer = await loadLoyaltyCustomer(customerId, session);
+    if (!customer) throw new Error("Customer not found");
+  }
 
-    // Validate required fields
-    if (!storeId) {
-      throw new Error("Store ID is required");
+  const salePrescription = await resolvePrescription(prescription, customer, session);
+
+  // Price every line first so basket-wide promotions can see the whole cart
+  const pricedItems = [];
+  const controlledQuantities = new Map();
+  for (const item of items) {
+    const product = await Product.findById(item.productId);
+    if (!product) throw new Error(`Product ${item.productId} not found`);
+
+    if (!product.isActive) {
+      throw new Error(`Product ${product.name} is not active`);
     }
 
-    if (!items || items.length === 0) {
-      throw new Error("At least one item is required");
+    // Whole units only; anything else would run stock, totals and limits backwards
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new Error(`Invalid quantity for ${product.name}`);
     }
+    item.quantity = quantity;
 
-    // Calculate totals
-    let subtotal = 0;
-    let totalDiscount = 0;
-    let tax = 0;
+    // Check if item is externally sourced
+    const isSourced = item.isSourced || false;
+    const sourcingCost = item.sourcingCost || 0;
 
-    const saleItems = [];
-    const sourcedItemsToCreate = [];
+    // Get unit price description
+    let unitPrice = 0;
+    // If sourced, use the custom price from cart if provided (though frontend sends it as unitPrice in payload logic usually, let's stick to standard flow or override)
+    // Actually standard flow uses product price. If sourced, we sent 'price' in item.price? 
+    // Req.body.items usually has productId, quantity... let's assume item has price override if allowed
+    
+    // But typically we fetch price from DB for security. 
+    // For sourced items, we MUST use the price sent from frontend because it's a dynamic deal.
+    if (isSourced && item.price) {
+        unitPrice = item.price; 
+    } else if (item.variantId !== undefined && product.variants && product.variants.length > 0) {
+      const variant = product.variants[item.variantId];
+      unitPrice = variant?.price || 0;
+    } else {
+      unitPrice = product.price || 0;
+    }
 
-    for (const item of items) {
-      const product = await Product.findById(item.productId);
-      if (!product) throw new Error(`Product ${item.productId} not found`);
+    if (unitPrice === 0) {
+      throw new Error(`Price not found for product ${product.name}`);
+    }
 
-      if (!product.isActive) {
-        throw new Error(`Product ${product.name} is not active`);
+    // Lines can sell whole purchase units (e.g. a box) or loose selling units;
+    // stock is always kept in selling units
+    const unit = item.unit === "purchase" && !isSourced ? "purchase" : "selling";
+    const conversionFactor = unit === "purchase" ? product.conversionFactor || 1 : 1;
+    if (unit === "purchase") {
+      if (product.isSerialized && conversionFactor > 1) {
+        throw new Error(
+          `${product.name} is serialised and must be sold by the ${product.sellingUnit}`
+        );
       }
+      unitPrice =
+        item.variantId === undefined && product.sellingPriceBox
+          ? product.sellingPriceBox
+          : unitPrice * conversionFactor;
+    }
 
-      // Check if item is externally sourced
-      const isSourced = item.isSourced || false;
-      const sourcingCost = item.sourcingCost || 0;
-
-      // Get unit price description
-      let unitPrice = 0;
-      // If sourced, use the custom price from cart if provided (though frontend sends it as unitPrice in payload logic usually, let's stick to standard flow or override)
-      // Actually standard flow uses product price. If sourced, we sent 'price' in item.price? 
-      // Req.body.items usually has productId, quantity... let's assume item has price override if allowed
-      
-      // But typically we fetch price from DB for security. 
-      // For sourced items, we MUST use the price sent from frontend because it's a dynamic deal.
-      if (isSourced && item.price) {
-          unitPrice = item.price; 
-      } else if (item.variantId !== undefined && product.variants && product.variants.length > 0) {
-        const variant = product.variants[item.variantId];
-        unitPrice = variant?.price || 0;
-      } else {
-        unitPrice = product.price || 0;
-      }
+    const baseQuantity = item.quantity * conversionFactor;
 
-      if (unitPrice === 0) {
-        throw new Error(`Price not found for product ${product.name}`);
+    // Prescription-only and controlled medicines are only dispensed against a
+    // prescription; a sale-level prescription covers lines without their own
+    let prescriptionDetails;
+    if (product.isPrescription || product.isControlled) {
+      prescriptionDetails = validatePrescription(
+        product,
+        item.prescription
+          ? await resolvePrescription(item.prescription, customer, session)
+          : salePrescription,
+        settings
+      );
+    }
+    if (product.isControlled) {
+      const key = product._id.toString();
+      const dispensed = (controlledQuantities.get(key) || 0) + baseQuantity;
+      const limit = product.maxDispenseQuantity || settings?.controlledMaxQuantity || 30;
+      if (dispensed > limit) {
+        throw new Error(
+          `${product.name} is a controlled item limited to ${limit} ${product.sellingUnit} per sale`
+        );
       }
+      controlledQuantities.set(key, dispensed);
+    }
 
-      // Calculate tax (default to 0% if not specified)
-      const taxRate = product.taxRate || 0;
-      const itemSubtotal = unitPrice * item.quantity;
-      const itemDiscount = item.discount || 0;
-      const itemTax = ((itemSubtotal - itemDiscount) * taxRate) / 100;
-      const itemTotal = itemSubtotal - itemDiscount + itemTax;
-
-      saleItems.push({
-        productId: item.productId,
-        variantId: item.variantId,
-        productName: product.name,
-        quantity: item.quantity,
-        unitPrice,
-        discount: itemDiscount,
-        tax: itemTax,
-        total: itemTotal,
-        isSourced,
-        sourcingCost
-      });
+    pricedItems.push({
+      item,
+      product,
+      unitPrice,
+      isSourced,
+      sourcingCost,
+      unit,
+      conversionFactor,
+      baseQuantity,
+      prescriptionDetails,
+    });
+  }
+
+  const store = await Store.findById(storeId).select("timezone taxRules").session(session);
+  const taxInclusive = Boolean(settings?.taxInclusive);
+  const promotionResult = await Promotion.evaluateBasket(
+    storeId,
+    pricedItems.map(({ item, product, unitPrice, isSourced, unit }) => ({
+      productId: product._id,
+      category: product.category,
+      brand: product.brand,
+      unitPrice,
+      quantity: item.quantity,
+      // discountPrice is a price for one selling unit of the base product
+      markdownPrice:
+        item.variantId === undefined && unit === "selling" ? product.discountPrice : undefined,
+      markdownPercentage: product.discountPercentage,
+      excluded: isSourced, // Sourced deals are already individually priced
+    })),
+    { timeZone: store?.timezone || settings?.timezone, session }
+  );
+  const appliedPromotionIds = new Set();
+
+  pricedItems.forEach((priced, index) => {
+    const { discount, appliedPromotions } = promotionResult.lines[index];
+    appliedPromotions.forEach((applied) => {
+      if (applied.promotionId) appliedPromotionIds.add(String(applied.promotionId));
+    });
+    priced.promotionDiscount = discount;
+    priced.appliedPromotions = appliedPromotions;
+    // A manual discount from the till can only take off what promotions left
+    const subtotal = priced.unitPrice * priced.item.quantity;
+    priced.manualDiscount = Math.min(Math.max(0, priced.item.discount || 0), subtotal - discount);
+    priced.net = subtotal - discount - priced.manualDiscount;
+    priced.couponDiscount = 0;
+  });
 
-      if (isSourced) {
-         sourcedItemsToCreate.push({
-            storeId,
-            productId: item.productId,
-            productName: product.name,
-            quantity: item.quantity,
-            sourcingCost: sourcingCost,
-            salePrice: unitPrice,
-            profit: (unitPrice - sourcingCost) * item.quantity,
-            sourcedBy: req.userId
-         });
+  // A coupon comes off the basket after promotions, spread over lines by value
+  let coupon = null;
+  let couponDiscount = 0;
+  if (couponCode) {
+    const basketTotal = parseFloat(
+      pricedItems.reduce((sum, priced) => sum + priced.net, 0).toFixed(2)
+    );
+    ({ coupon, discount: couponDiscount } = await Coupon.validateCode(couponCode, {
+      storeId,
+      customerId,
+      basketTotal,
+      session,
+    }));
+    const round = (value) => parseFloat(value.toFixed(2));
+    let allocated = 0;
+    pricedItems.forEach((priced, index) => {
+      if (couponDiscount <= 0 || basketTotal <= 0) return;
+      const share =
+        index === pricedItems.length - 1
+          ? couponDiscount - allocated
+          : (couponDiscount * priced.net) / basketTotal;
+      priced.couponDiscount = round(Math.max(0, Math.min(share, priced.net)));
+      allocated = round(allocated + priced.couponDiscount);
+    });
+
+    // Rounding and the cap on the last line can leave a cent or two over or
+    // short; settle it on the other lines, within what each line is worth
+    let remainder = round(couponDiscount - allocated);
+    for (const priced of [...pricedItems].reverse()) {
+      if (remainder === 0) break;
+      const change =
+        remainder > 0
+          ? Math.min(remainder, round(priced.net - priced.couponDiscount))
+          : Math.max(remainder, -priced.couponDiscount);
+      priced.couponDiscount = round(priced.couponDiscount + change);
+      allocated = round(allocated + change);
+      remainder = round(remainder - change);
+    }
+    // The sale records what the lines actually carry
+    couponDiscount = allocated;
+  }
+
+  for (const priced of pricedItems) {
+    const { item, product, unitPrice, isSourced, sourcingCost } = priced;
+    const { promotionDiscount, appliedPromotions, unit, conversionFactor, baseQuantity } = priced;
+
+    // Unit names are only worth printing for products sold in more than one unit
+    let unitName;
+    if (product.conversionFactor > 1) {
+      unitName = unit === "purchase" ? product.purchaseUnit : product.sellingUnit;
+    }
+
+    const itemSubtotal = unitPrice * item.quantity;
+    const itemDiscount = parseFloat(
+      (promotionDiscount + priced.manualDiscount + priced.couponDiscount).toFixed(2)
+    );
+    const lineTax = calculateLineTax(
+      itemSubtotal - itemDiscount,
+      baseQuantity,
+      resolveTaxRules(product, { store, settings }),
+      { inclusive: taxInclusive }
+    );
+    const itemTax = lineTax.tax;
+    const itemTotal = lineTax.gross;
+
+    const saleItem = {
+      productId: item.productId,
+      variantId: item.variantId,
+      productName: product.name,
+      quantity: item.quantity,
+      unit,
+      unitName,
+      conversionFactor,
+      baseQuantity,
+      unitPrice,
+      discount: itemDiscount,
+      promotionDiscount,
+      appliedPromotions,
+      couponDiscount: priced.couponDiscount,
+      tax: itemTax,
+      taxBreakdown: lineTax.breakdown,
+      hsnCode: product.hsnCode,
+      taxCode: product.taxCode,
+      total: itemTotal,
+      isSourced,
+      sourcingCost,
+      prescription: priced.prescriptionDetails,
+      isControlled: product.isControlled || undefined,
+    };
+    saleItems.push(saleItem);
+
+    // Standard cost of the unit sold, used until inventory gives a better figure
+    const variantCost =
+      item.variantId !== undefined ? product.variants?.[item.variantId]?.cost : undefined;
+    const standardCost = variantCost ?? product.cost ?? 0;
+    saleItem.unitCost = isSourced ? sourcingCost : standardCost * conversionFactor;
+    saleItem.costTotal = saleItem.unitCost * item.quantity;
+
+    if (isSourced) {
+       sourcedItemsToCreate.push({
+          storeId,
+          productId: item.productId,
+          productName: product.name,
+          quantity: item.quantity,
+          sourcingCost: sourcingCost,
+          salePrice: unitPrice,
+          profit: (unitPrice - sourcingCost) * item.quantity,
+          sourcedBy: req.userId
+       });
+    }
+
+    subtotal += itemSubtotal;
+    totalDiscount += itemDiscount;
+    tax += itemTax;
+
+    const movement = {
+      productId: product._id,
+      productName: product.name,
+      variantId: item.variantId,
+      storeId,
+      type: "sale",
+      quantity: -baseQuantity,
+      userId: req.userId,
+    };
+
+    // Update product stock (for NON-SOURCED items only)
+    if (!isSourced && product.stock !== undefined) {
+      if (product.stock < baseQuantity) {
+        throw new Error(
+          `Insufficient stock for ${product.name}. ` +
+            `Available: ${product.stock}, Required: ${baseQuantity}`
+        );
       }
+      movement.stockBefore = product.stock;
+      product.stock -= baseQuantity;
+      movement.stockAfter = product.stock;
+      await product.save({ session });
+    }
 
-      subtotal += itemSubtotal;
-      totalDiscount += itemDiscount;
-      tax += itemTax;
+    // Update inventory (for NON-SOURCED items only)
+    if (!isSourced) {
+      const inventory = await Inventory.findOne({ productId: item.productId, storeId }).session(session);
 
-      // Update product stock (for NON-SOURCED items only)
-      if (!isSourced && product.stock !== undefined) {
-        if (product.stock < item.quantity) {
+      // Stock tracked without batches falls back to the product's single expiry date
+      if ((!inventory || inventory.batches.length === 0) && product.isExpired) {
+        throw new Error(`${product.name} has expired and cannot be sold`);
+      }
+
+      // Serialised products must name the exact units sold, taken from this store's stock
+      if (product.isSerialized) {
+        const serials = (item.serialNumbers || []).map((sn) => String(sn).trim()).filter(Boolean);
+        if (serials.length !== item.quantity) {
           throw new Error(
-            `Insufficient stock for ${product.name}. Available: ${product.stock}, Required: ${item.quantity}`
+            `${product.name} requires ${item.quantity} serial number(s), received ${serials.length}`
           );
         }
-        product.stock -= item.quantity;
-        await product.save({ session });
+        if (new Set(serials).size !== serials.length) {
+          throw new Error(`Duplicate serial numbers for ${product.name}`);
+        }
+        const notInStock = serials.filter((sn) => !inventory?.serialNumbers.includes(sn));
+        if (notInStock.length > 0) {
+          throw new Error(
+            `Serial number(s) not in stock for ${product.name}: ${notInStock.join(", ")}`
+          );
+        }
+        inventory.serialNumbers = inventory.serialNumbers.filter((sn) => !serials.includes(sn));
+        saleItem.serialNumbers = serials;
+
+        if (product.hasWarranty && product.warrantyPeriod) {
+          serials.forEach((serialNumber) => {
+            warrantiesToCreate.push({
+              serialNumber,
+              productId: product._id,
+              productName: product.name,
+              warrantyType: product.warrantyType,
+              warrantyPeriod: product.warrantyPeriod,
+            });
+          });
+        }
       }
 
-      // Update inventory (for NON-SOURCED items only)
-      if (!isSourced) {
-        const inventory = await Inventory.findOne({ productId: item.productId, storeId }).session(session);
-        if (inventory) {
-          if (inventory.quantity < item.quantity) {
-             throw new Error(`Insufficient inventory for ${product.name}`);
-          }
-          inventory.quantity -= item.quantity;
-          await inventory.save({ session });
+      if (inventory) {
+        movement.quantityBefore = inventory.quantity;
+        // Pharmacy stock is consumed first-expiry-first-out; expired batches are never sold
+        try {
+          saleItem.batches = inventory.consumeBatches(baseQuantity);
+        } catch (batchError) {
+          throw new Error(`${product.name}: ${batchError.message}`);
         }
+        saleItem.costTotal = parseFloat(
+          inventory
+            .getIssueCost(baseQuantity, saleItem.batches, costingMethod, standardCost)
+            .toFixed(4)
+        );
+        saleItem.unitCost = saleItem.costTotal / item.quantity;
+        movement.quantityAfter = inventory.quantity;
+        await inventory.save({ session });
       }
+      stockMovements.push(movement);
     }
+  }
 
-    // Generate sale number
-    const saleCount = await Sale.countDocuments();
-    const saleNo = `SALE-${Date.now()}-${saleCount}`;
+  // Taken last and inside the transaction so an aborted sale leaves no gap
+  const saleNo = await nextDocumentNumber("sale", { storeId, session });
 
-    // Calculate final total
-    const finalTotal = subtotal - totalDiscount + tax;
+  // Calculate final total (inclusive prices already carry their tax)
+  const finalTotal = parseFloat(
+    (subtotal - totalDiscount + (taxInclusive ? 0 : tax)).toFixed(2)
+  );
 
-    const sale = new Sale({
-      storeId,
-      saleNo,
-      items: saleItems,
-      subtotal,
-      discount: totalDiscount,
-      tax,
-      total: finalTotal,
-      payments: isDue ? [{ method: "due", amount: 0 }] : (payments || []),
-      customerId: customerId || undefined,
-      cashierId: req.userId,
-      status: isDue ? "due" : "completed",
-      dueAmount: isDue ? finalTotal : 0,
+  // Tenders must cover the total unless the balance is knowingly put on account
+  const settlement = settlePayments(finalTotal, payments || [], settings, { isDue });
+  const salePayments = settlement.payments;
+  const pointsPaid = parseFloat(
+    salePayments
+      .filter((payment) => payment.method === "loyalty_points")
+      .reduce((sum, payment) => sum + (Number(payment.amount) || 0), 0)
+      .toFixed(2)
+  );
+  let pointsRedeemed = 0;
+  if (pointsPaid > 0) {
+    if (pointsPaid > finalTotal) {
+      throw new Error("Loyalty points cannot pay more than the sale total");
+    }
+    pointsRedeemed = pointsForRedemption(customer, pointsPaid, settings);
+  }
+
+  const sale = new Sale({
+    storeId,
+    saleNo,
+    items: saleItems,
+    subtotal,
+    discount: totalDiscount,
+    tax,
+    taxInclusive,
+    taxBreakdown: summarizeTaxBreakdown(saleItems.map((saleItem) => saleItem.taxBreakdown)),
+    total: finalTotal,
+    payments: salePayments,
+    customerId: customerId || undefined,
+    cashierId: req.userId,
+    shiftId: shift._id,
+    coupon: coupon
+      ? { couponId: coupon._id, code: coupon.code, discount: couponDiscount }
+      : undefined,
+    change: settlement.change,
+    roundingAdjustment: settlement.roundingAdjustment,
+    status: settlement.dueAmount > 0 ? "due" : "completed",
+    dueAmount: settlement.dueAmount,
+  });
+
+  // Gift cards and vouchers are paid from their balance, identified by code and PIN
+  for (const [index, payment] of sale.payments.entries()) {
+    if (!GIFT_CARD_METHODS.includes(payment.method)) continue;
+    const tendered = salePayments[index];
+    const card = await GiftCard.redeem(
+      {
+        code: tendered.giftCardCode || tendered.reference,
+        pin: tendered.pin,
+        amount: payment.amount,
+        type: payment.method,
+      },
+      { saleId: sale._id, storeId, reference: saleNo, userId: req.userId, session }
+    );
+    payment.giftCardId = card._id;
+    payment.reference = card.code;
+  }
+
+  await sale.save({ session });
+
+  if (heldCart) {
+    heldCart.saleId = sale._id;
+    await heldCart.save({ session });
+  }
+
+  if (coupon) {
+    await Coupon.redeem(coupon._id, session);
+  }
+
+  if (customer) {
+    await applySaleToCustomer(sale, customer, settings, {
+      pointsRedeemed,
+      userId: req.userId,
+      session,
     });
+  }
 
-    await sale.save({ session });
-    
-    // Save sourced items history
-    if (sourcedItemsToCreate.length > 0) {
-      // Add saleId to each
-      const sourcedDocs = sourcedItemsToCreate.map(si => ({...si, saleId: sale._id}));
-      await SourcedItem.insertMany(sourcedDocs, { session });
-    }
+  if (appliedPromotionIds.size > 0) {
+    await Promotion.updateMany(
+      { _id: { $in: [...appliedPromotionIds] } },
+      { $inc: { usageCount: 1 } },
+      { session }
+    );
+  }
+  
+  // Save sourced items history
+  if (sourcedItemsToCreate.length > 0) {
+    // Add saleId to each
+    const sourcedDocs = sourcedItemsToCreate.map(si => ({...si, saleId: sale._id}));
+    await SourcedItem.insertMany(sourcedDocs, { session });
+  }
 
-    await session.commitTransaction();
+  await StockMovement.record(
+    stockMovements.map((m) => ({
+      ...m,
+      referenceType: "Sale",
+      referenceId: sale._id,
+      referenceNo: sale.saleNo,
+    })),
+    session
+  );
+
+  // Warranty cover starts on the sale date
+  if (warrantiesToCreate.length > 0) {
+    const startDate = sale.createdAt || new Date();
+    await Warranty.insertMany(
+      warrantiesToCreate.map((w) => {
+        const expiryDate = new Date(startDate);
+        expiryDate.setMonth(expiryDate.getMonth() + w.warrantyPeriod);
+        return {
+          ...w,
+          saleId: sale._id,
+          saleNo: sale.saleNo,
+          storeId,
+          customerId: sale.customerId,
+          startDate,
+          expiryDate,
+        };
+      }),
+      { session }
+    );
+  }
+
+  return sale;
+};
+
+/**
+ * Create sale
+ */
+const createSale = async (req, res) => {
+  try {
+    // Concurrent tills contend for the same invoice counter; a lost race is replayed
+    const sale = await runInTransaction((session) => checkoutSale(req, session), {
+      maxAttempts: MAX_SALE_ATTEMPTS,
+    });
 
     // Populate before sending response
     const populatedSale = await Sale.findById(sale._id)
@@ -165,11 +673,8 @@ const createSale = async (req, res) => {
 
     res.status(201).json(populatedSale || sale);
   } catch (error) {
-    await session.abortTransaction();
     console.error("Sale creation error:", error);
     res.status(400).json({ message: error.message });
-  } finally {
-    session.endSession();
   }
 };
 
@@ -242,23 +747,67 @@ const getSaleById = async (req, res) => {
 };
 
 /**
- * Update sale (limited to notes and status only)
+ * Render a sale receipt
+ * GET /api/sales/:id/receipt?format=html|text|escpos&width=80|58
+ */
+const getSaleReceipt = async (req, res) => {
+  try {
+    const format = req.query.format || "html";
+    const width = Number(req.query.width) || 80;
+
+    if (!RECEIPT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        message: `Invalid format. Use one of: ${RECEIPT_FORMATS.join(", ")}`,
+      });
+    }
+    if (!PAPER_COLUMNS[width]) {
+      return res.status(400).json({ message: "Invalid width. Use 80 or 58" });
+    }
+
+    const sale = await Sale.findById(req.params.id)
+      .populate("cashierId", "name")
+      .populate("customerId", "name phone");
+
+    if (!sale) {
+      return res.status(404).json({ message: "Sale not found" });
+    }
+
+    const [store, settings] = await Promise.all([
+      Store.findById(sale.storeId),
+      Settings.findOne({ isActive: true }),
+    ]);
+
+    const receipt = buildReceipt(sale, store, settings, { ascii: format === "escpos" });
+
+    if (format === "escpos") {
+      res.set("Content-Type", "application/octet-stream");
+      res.set("Content-Disposition", `attachment; filename="${sale.saleNo}.bin"`);
+      return res.send(renderEscPos(receipt, width));
+    }
+    if (format === "text") {
+      return res.type("text/plain").send(renderText(receipt, width));
+    }
+    res.type("html").send(renderHtml(receipt, width));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Update sale notes
+ * Status follows payments (POST /api/sales/:id/payments) and refunds so every change is recorded.
  */
 const updateSale = async (req, res) => {
   try {
-    const { notes, status, dueAmount } = req.body;
+    const { notes } = req.body;
 
     const sale = await Sale.findById(req.params.id);
     if (!sale) {
       return res.status(404).json({ message: "Sale not found" });
     }
 
-    // Only allow updating notes, status, and dueAmount (not items or amounts)
+    // Only notes are editable; status moves with payments and refunds
     if (notes !== undefined) sale.notes = notes;
-    if (status && ["completed", "refunded", "partially_refunded", "due"].includes(status)) {
-      sale.status = status;
-    }
-    if (dueAmount !== undefined) sale.dueAmount = dueAmount;
 
     await sale.save();
 
@@ -274,23 +823,541 @@ const updateSale = async (req, res) => {
 };
 
 /**
- * Delete sale (soft delete by changing status)
+ * Record a payment collected against a due sale
+ */
+const recordSalePayment = async (req, res) => {
+  try {
+    const { method, reference, notes } = req.body;
+    const amount = parseFloat(Number(req.body.amount).toFixed(2));
+
+    if (!amount || amount <= 0) {
+      return res.status(400).json({ message: "A positive payment amount is required" });
+    }
+    if (!method || method === "due") {
+      return res.status(400).json({ message: "A valid payment method is required" });
+    }
+    // Balance-backed tenders are only taken inside the checkout transaction
+    if (GIFT_CARD_METHODS.includes(method) || method === "loyalty_points") {
+      return res.status(400).json({
+        message: "Gift cards, vouchers and loyalty points can only be used at checkout",
+      });
+    }
+
+    const settings = await Settings.findOne({ isActive: true });
+    try {
+      assertMethodEnabled(method, settings);
+    } catch (methodError) {
+      return res.status(400).json({ message: methodError.message });
+    }
+
+    const existing = await Sale.findById(req.params.id).select("storeId dueAmount status");
+    if (!existing) {
+      return res.status(404).json({ message: "Sale not found" });
+    }
+    if (amount > (existing.dueAmount || 0)) {
+      return res.status(400).json({
+        message: `Payment exceeds the outstanding due of ${(existing.dueAmount || 0).toFixed(2)}`,
+      });
+    }
+
+    const shift = await RegisterShift.findOpen(existing.storeId, req.userId);
+    if (method === "cash" && !shift) {
+      return res.status(400).json({ message: "Open a register shift before collecting cash" });
+    }
+
+    // Conditional update so two tills collecting at once cannot overpay the due
+    const sale = await Sale.findOneAndUpdate(
+      { _id: req.params.id, dueAmount: { $gte: amount } },
+      {
+        $inc: { dueAmount: -amount },
+        $push: {
+          payments: {
+            method,
+            amount,
+            reference,
+            notes,
+            collectedAt: new Date(),
+            collectedBy: req.userId,
+            shiftId: shift?._id,
+          },
+        },
+      },
+      { new: true, runValidators: true }
+    );
+    if (!sale) {
+      return res.status(409).json({ message: "Outstanding due changed, please retry" });
+    }
+
+    // Floating point leftovers should not keep a sale open
+    if (sale.dueAmount < 0.01) {
+      sale.dueAmount = 0;
+      if (sale.status === "due") {
+        sale.status = sale.refundedAmount > 0 ? "partially_refunded" : "completed";
+      }
+      await sale.save();
+    }
+
+    const updatedSale = await Sale.findById(sale._id)
+      .populate("customerId", "name phone")
+      .populate("payments.collectedBy", "name");
+
+    res.status(201).json(updatedSale);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Split a payout over the tenders that paid a sale, in proportion to what each
+ * still holds after earlier refunds. Loyalty points and dues are left out; they
+ * are settled as points and as the due written off.
+ */
+const splitByTender = async (sale, amount, session) => {
+  const tenderKey = (method, giftCardId) => `${method}:${giftCardId || ""}`;
+  const tenders = new Map();
+  for (const payment of sale.payments) {
+    if (!REFUND_METHODS.includes(payment.method)) continue;
+    const key = tenderKey(payment.method, payment.giftCardId);
+    const tender = tenders.get(key) || {
+      method: payment.method,
+      giftCardId: payment.giftCardId,
+      held: 0,
+    };
+    tender.held += (payment.amount || 0) - (payment.change || 0);
+    tenders.set(key, tender);
+  }
+
+  const earlierRefunds = await Refund.find({ saleId: sale._id })
+    .select("refundMethod amountPaidOut giftCardId payouts")
+    .session(session);
+  for (const earlier of earlierRefunds) {
+    const payouts = earlier.payouts?.length
+      ? earlier.payouts
+      : [
+          {
+            method: earlier.refundMethod,
+            amount: earlier.amountPaidOut,
+            giftCardId: earlier.giftCardId,
+          },
+        ];
+    for (const payout of payouts) {
+      const tender = tenders.get(tenderKey(payout.method, payout.giftCardId));
+      if (tender) tender.held -= payout.amount || 0;
+    }
+  }
+
+  const open = [...tenders.values()].filter((tender) => tender.held > 0);
+  const held = open.reduce((sum, tender) => sum + tender.held, 0);
+  if (held <= 0) return [{ method: "cash", amount }];
+
+  // The last tender takes the rounding remainder so the shares add up exactly
+  let left = amount;
+  return open.map((tender, index) => {
+    const share =
+      index === open.length - 1
+        ? left
+        : Math.min(left, parseFloat(((amount * tender.held) / held).toFixed(2)));
+    left = parseFloat((left - share).toFixed(2));
+    return { method: tender.method, amount: share, giftCardId: tender.giftCardId };
+  });
+};
+
+/**
+ * Refund line items of a sale inside the given session.
+ * Restocks non-sourced items, updates the sale's refund totals and status,
+ * nets the refund off the customer's totalSpent and settles loyalty points.
+ * The payout goes to options.refundMethod, or with options.byTender back to the
+ * tenders that paid the sale. Returns the unsaved Refund.
+ */
+const applyRefund = async (sale, requestedItems, options, session) => {
+  const { reason, refundMethod, byTender, cashierId, shiftId, giftCardCode, notes } = options;
+
+  const refundItems = [];
+  const stockMovements = [];
+  let refundTotal = 0;
+
+  for (const requested of requestedItems) {
+    const saleItem = requested.itemId
+      ? sale.items.id(requested.itemId)
+      : sale.items.find(
+          (item) =>
+            item.productId.toString() === String(requested.productId) &&
+            (requested.variantId === undefined || item.variantId === String(requested.variantId))
+        );
+
+    if (!saleItem) {
+      throw new Error(`Item ${requested.itemId || requested.productId} is not part of this sale`);
+    }
+
+    const quantity = Number(requested.quantity);
+    const refundable = saleItem.quantity - (saleItem.refundedQuantity || 0);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new Error(`Invalid refund quantity for ${saleItem.productName}`);
+    }
+    if (quantity > refundable) {
+      throw new Error(
+        `Cannot refund ${quantity} of ${saleItem.productName}. Refundable: ${refundable}`
+      );
+    }
+
+    // Per-unit amount the customer actually paid (after discount, including tax)
+    const unitAmount = saleItem.total / saleItem.quantity;
+    const lineTotal = parseFloat((unitAmount * quantity).toFixed(2));
+
+    // Serialised lines return named units, defaulting to the last ones sold
+    const soldSerials = saleItem.serialNumbers || [];
+    const alreadyReturned = saleItem.returnedSerialNumbers || [];
+    let serialsReturned = [];
+    if (soldSerials.length > 0) {
+      const returnable = soldSerials.filter((sn) => !alreadyReturned.includes(sn));
+      serialsReturned = requested.serialNumbers
+        ? requested.serialNumbers.map((sn) => String(sn).trim())
+        : returnable.slice(-quantity);
+      if (
+        serialsReturned.length !== quantity ||
+        serialsReturned.some((sn) => !returnable.includes(sn))
+      ) {
+        throw new Error(`Invalid serial numbers returned for ${saleItem.productName}`);
+      }
+      saleItem.returnedSerialNumbers = [...alreadyReturned, ...serialsReturned];
+    }
+
+    // Put stock back (for NON-SOURCED items only), in selling units
+    if (!saleItem.isSourced) {
+      const conversionFactor = saleItem.conversionFactor || 1;
+      const baseQuantity = quantity * conversionFactor;
+      const movement = {
+        productId: saleItem.productId,
+        productName: saleItem.productName,
+        variantId: saleItem.variantId,
+        storeId: sale.storeId,
+        type: "refund",
+        quantity: baseQuantity,
+        reason,
+        userId: cashierId,
+      };
+
+      const product = await Product.findById(saleItem.productId).session(session);
+      if (product && product.stock !== undefined) {
+        movement.stockBefore = product.stock;
+        product.stock += baseQuantity;
+        movement.stockAfter = product.stock;
+        await product.save({ session });
+      }
+
+      const inventory = await Inventory.findOne({
+        productId: saleItem.productId,
+        storeId: sale.storeId,
+      }).session(session);
+      if (inventory) {
+        movement.quantityBefore = inventory.quantity;
+        inventory.updateAverageCost(
+          baseQuantity,
+          saleItem.unitCost !== undefined ? saleItem.unitCost / conversionFactor : undefined,
+          product?.cost
+        );
+        inventory.quantity += baseQuantity;
+        movement.quantityAfter = inventory.quantity;
+
+        // Return units to the batches they were sold from, latest-expiring first
+        const returned = [];
+        let toReturn = baseQuantity;
+        for (const batch of [...(saleItem.batches || [])].reverse()) {
+          if (toReturn <= 0) break;
+          const back = Math.min(batch.quantity - (batch.returnedQuantity || 0), toReturn);
+          if (back <= 0) continue;
+          batch.returnedQuantity = (batch.returnedQuantity || 0) + back;
+          toReturn -= back;
+          returned.push({ ...batch.toObject(), quantity: back });
+        }
+        inventory.restoreBatches(returned);
+
+        // Returned serialised units go back on the shelf and their warranty ends
+        if (serialsReturned.length > 0) {
+          inventory.serialNumbers.push(...serialsReturned);
+        }
+
+        await inventory.save({ session });
+      }
+
+      if (serialsReturned.length > 0) {
+        await Warranty.updateMany(
+          { saleId: sale._id, serialNumber: { $in: serialsReturned }, status: "active" },
+          { status: "returned" },
+          { session }
+        );
+      }
+
+      stockMovements.push(movement);
+    }
+
+    saleItem.refundedQuantity = (saleItem.refundedQuantity || 0) + quantity;
+
+    refundItems.push({
+      saleItemId: saleItem._id,
+      productId: saleItem.productId,
+      variantId: saleItem.variantId,
+      productName: saleItem.productName,
+      quantity,
+      unitName: saleItem.unitName,
+      conversionFactor: saleItem.conversionFactor,
+      unitAmount,
+      unitCost: saleItem.unitCost,
+      total: lineTotal,
+      restocked: !saleItem.isSourced,
+      serialNumbers: serialsReturned,
+    });
+    refundTotal += lineTotal;
+  }
+
+  refundTotal = parseFloat(refundTotal.toFixed(2));
+
+  // A refund against an unpaid balance cancels the due first; only the rest is paid out
+  const dueWrittenOff = Math.min(sale.dueAmount || 0, refundTotal);
+  sale.dueAmount = parseFloat(((sale.dueAmount || 0) - dueWrittenOff).toFixed(2));
+  sale.refundedAmount = parseFloat(((sale.refundedAmount || 0) + refundTotal).toFixed(2));
+
+  const fullyRefunded = sale.items.every(
+    (item) => (item.refundedQuantity || 0) >= item.quantity
+  );
+  // A balance still owed keeps the sale on the dues lists
+  if (sale.dueAmount > 0) {
+    sale.status = "due";
+  } else {
+    sale.status = fullyRefunded ? "refunded" : "partially_refunded";
+  }
+  await sale.save({ session });
+
+  const refundNo = await nextDocumentNumber("refund", { storeId: sale.storeId, session });
+  const refund = new Refund({
+    refundNo,
+    saleId: sale._id,
+    storeId: sale.storeId,
+    customerId: sale.customerId,
+    items: refundItems,
+    total: refundTotal,
+    dueWrittenOff,
+    amountPaidOut: parseFloat((refundTotal - dueWrittenOff).toFixed(2)),
+    refundMethod: refundMethod || "cash",
+    reason,
+    cashierId,
+    shiftId,
+    notes,
+  });
+
+  if (sale.customerId) {
+    const customer = await Customer.findById(sale.customerId).session(session);
+    if (customer) {
+      customer.totalSpent = Math.max(0, (customer.totalSpent || 0) - refundTotal);
+
+      // Points that paid for the returned items go back as points, not money
+      const settings = await Settings.findOne({ isActive: true }).session(session);
+      refund.loyalty = await reverseSaleLoyalty(sale, customer, refundTotal, settings, {
+        refundId: refund._id,
+        userId: cashierId,
+        session,
+      });
+      refund.amountPaidOut = Math.max(
+        0,
+        parseFloat((refund.amountPaidOut - refund.loyalty.valueReturned).toFixed(2))
+      );
+      await customer.save({ session });
+      await sale.save({ session });
+      await refreshTier(customer, settings, session);
+    }
+  }
+
+  const payouts = byTender
+    ? await splitByTender(sale, refund.amountPaidOut, session)
+    : [{ method: refund.refundMethod, amount: refund.amountPaidOut }];
+  refund.payouts = payouts.filter((payout) => payout.amount > 0);
+  if (refund.payouts.length > 0) {
+    refund.refundMethod = refund.payouts.reduce((largest, payout) =>
+      payout.amount > largest.amount ? payout : largest
+    ).method;
+  }
+
+  if (refund.payouts.some((payout) => payout.method === "cash") && !shiftId) {
+    throw new Error("Open a register shift before paying out a cash refund");
+  }
+
+  // Gift card refunds go back onto a card: the one named, else the one that paid
+  for (const payout of refund.payouts) {
+    if (!GIFT_CARD_METHODS.includes(payout.method)) continue;
+
+    const paidWith = sale.payments.find(
+      (payment) => payment.method === payout.method && payment.giftCardId
+    );
+    const giftCardId = payout.giftCardId || paidWith?.giftCardId;
+    const card = giftCardCode
+      ? await GiftCard.findOne({ code: String(giftCardCode).trim().toUpperCase() })
+          .session(session)
+      : giftCardId && (await GiftCard.findById(giftCardId).session(session));
+    if (!card) {
+      throw new Error("Gift card code is required to refund to a gift card");
+    }
+    card.assertUsable();
+    await card.postTransaction(
+      "refund",
+      payout.amount,
+      {
+        saleId: sale._id,
+        refundId: refund._id,
+        storeId: sale.storeId,
+        reference: refund.refundNo,
+        userId: cashierId,
+      },
+      { session }
+    );
+    payout.giftCardId = card._id;
+    refund.giftCardId = card._id;
+  }
+
+  await StockMovement.record(
+    stockMovements.map((m) => ({
+      ...m,
+      referenceType: "Refund",
+      referenceId: refund._id,
+      referenceNo: refund.refundNo,
+    })),
+    session
+  );
+
+  return refund;
+};
+
+/**
+ * Refund all or part of a sale
+ */
+const createRefund = async (req, res) => {
+  const session = await Sale.startSession();
+  session.startTransaction();
+
+  try {
+    const { items, reason, refundMethod, giftCardCode, notes } = req.body;
+
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      throw new Error("At least one item to refund is required");
+    }
+    if (!reason) {
+      throw new Error("Refund reason is required");
+    }
+    if (!REFUND_METHODS.includes(refundMethod)) {
+      throw new Error(`Refund method must be one of: ${REFUND_METHODS.join(", ")}`);
+    }
+
+    const sale = await Sale.findById(req.params.id).session(session);
+    if (!sale) {
+      await session.abortTransaction();
+      return res.status(404).json({ message: "Sale not found" });
+    }
+    if (sale.status === "refunded") {
+      throw new Error("Sale has already been fully refunded");
+    }
+
+    const shift = await RegisterShift.findOpen(sale.storeId, req.userId, session);
+    const refund = await applyRefund(
+      sale,
+      items,
+      {
+        reason,
+        refundMethod,
+        cashierId: req.userId,
+        shiftId: shift?._id,
+        giftCardCode,
+        notes,
+      },
+      session
+    );
+    await refund.save({ session });
+
+    await session.commitTransaction();
+
+    const populatedRefund = await Refund.findById(refund._id)
+      .populate("saleId", "saleNo total status refundedAmount dueAmount")
+      .populate("cashierId", "name email")
+      .populate("customerId", "name phone");
+
+    res.status(201).json(populatedRefund || refund);
+  } catch (error) {
+    await session.abortTransaction();
+    console.error("Refund error:", error);
+    res.status(400).json({ message: error.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Get refunds recorded against a sale
+ */
+const getSaleRefunds = async (req, res) => {
+  try {
+    const refunds = await Refund.find({ saleId: req.params.id })
+      .populate("cashierId", "name email")
+      .sort({ createdAt: -1 });
+
+    res.json(refunds);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Delete sale (soft delete by refunding everything still outstanding)
  */
 const deleteSale = async (req, res) => {
+  const session = await Sale.startSession();
+  session.startTransaction();
+
   try {
-    const sale = await Sale.findById(req.params.id);
+    const sale = await Sale.findById(req.params.id).session(session);
     if (!sale) {
+      await session.abortTransaction();
       return res.status(404).json({ message: "Sale not found" });
     }
+    if (sale.status === "refunded") {
+      throw new Error("Sale has already been cancelled or fully refunded");
+    }
+
+    const remainingItems = sale.items
+      .filter((item) => item.quantity - (item.refundedQuantity || 0) > 0)
+      .map((item) => ({
+        itemId: item._id,
+        quantity: item.quantity - (item.refundedQuantity || 0),
+      }));
+
+    let refund = null;
+    if (remainingItems.length > 0) {
+      // Cancelled sales are paid back to each tender in proportion to what it paid
+      const shift = await RegisterShift.findOpen(sale.storeId, req.userId, session);
+      refund = await applyRefund(
+        sale,
+        remainingItems,
+        {
+          reason: req.body?.reason || "Sale cancelled",
+          byTender: true,
+          cashierId: req.userId,
+          shiftId: shift?._id,
+        },
+        session
+      );
+      await refund.save({ session });
+    }
 
-    // Instead of deleting, mark as cancelled/refunded
     sale.status = "refunded";
     sale.notes = (sale.notes || "") + " [CANCELLED]";
-    await sale.save();
+    await sale.save({ session });
+
+    await session.commitTransaction();
 
-    res.json({ message: "Sale cancelled successfully", sale });
+    res.json({ message: "Sale cancelled successfully", sale, refund });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    await session.abortTransaction();
+    console.error("Sale cancellation error:", error);
+    res.status(400).json({ message: error.message });
+  } finally {
+    session.endSession();
   }
 };
 
@@ -318,6 +1385,8 @@ const getSalesStats = async (req, res) => {
       totalTax: sales.reduce((sum, sale) => sum + (sale.tax || 0), 0),
       completedSales: sales.filter((s) => s.status === "completed").length,
       refundedSales: sales.filter((s) => s.status === "refunded").length,
+      partiallyRefundedSales: sales.filter((s) => s.status === "partially_refunded").length,
+      totalRefunded: sales.reduce((sum, sale) => sum + (sale.refundedAmount || 0), 0),
     };
 
     res.json(stats);
@@ -326,12 +1395,38 @@ const getSalesStats = async (req, res) => {
   }
 };
 
+/**
+ * Upload a scanned prescription; the returned URL goes in prescription.imageUrl
+ */
+const uploadPrescriptionImage = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: "Prescription image is required" });
+    }
+
+    const uploadResult = await uploadToImageBB(req.file.buffer, req.file.originalname);
+
+    res.status(201).json({
+      imageUrl: uploadResult.url,
+      thumbUrl: uploadResult.thumbUrl,
+    });
+  } catch (error) {
+    console.error("Prescription upload error:", error.message);
+    res.status(500).json({ message: "Failed to upload prescription image" });
+  }
+};
+
 module.exports = {
   createSale,
   getAllSales,
   getSaleById,
+  getSaleReceipt,
   updateSale,
   deleteSale,
+  recordSalePayment,
+  createRefund,
+  getSaleRefunds,
   getSalesStats,
+  uploadPrescriptionImage,
 };
 
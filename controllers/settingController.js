@@ -140,11 +140,19 @@ const updatePaymentSettings = async (req, res) => {
       return res.status(404).json({ message: "Settings not found" });
     }
 
-    const { paymentMethods, allowPartialPayments, allowCreditSales } = req.body;
+    const {
+      paymentMethods,
+      allowPartialPayments,
+      allowCreditSales,
+      cashRoundingIncrement,
+      cashRoundingMode,
+    } = req.body;
 
     if (paymentMethods) settings.paymentMethods = paymentMethods;
     if (allowPartialPayments !== undefined) settings.allowPartialPayments = allowPartialPayments;
     if (allowCreditSales !== undefined) settings.allowCreditSales = allowCreditSales;
+    if (cashRoundingIncrement !== undefined) settings.cashRoundingIncrement = cashRoundingIncrement;
+    if (cashRoundingMode) settings.cashRoundingMode = cashRoundingMode;
 
     settings.lastModifiedBy = req.user._id;
     await settings.save();
@@ -167,12 +175,19 @@ const updateReceiptSettings = async (req, res) => {
       return res.status(404).json({ message: "Settings not found" });
     }
 
-    const { receipt, invoicePrefix, invoiceNumbering, invoiceStartNumber } = req.body;
+    const {
+      receipt,
+      invoicePrefix,
+      invoiceNumbering,
+      invoiceStartNumber,
+      fiscalYearStartMonth,
+    } = req.body;
 
     if (receipt) settings.receipt = { ...settings.receipt, ...receipt };
     if (invoicePrefix) settings.invoicePrefix = invoicePrefix;
     if (invoiceNumbering) settings.invoiceNumbering = invoiceNumbering;
     if (invoiceStartNumber) settings.invoiceStartNumber = invoiceStartNumber;
+    if (fiscalYearStartMonth) settings.fiscalYearStartMonth = fiscalYearStartMonth;
 
     settings.lastModifiedBy = req.user._id;
     await settings.save();
@@ -222,12 +237,23 @@ const updateInventorySettings = async (req, res) => {
       return res.status(404).json({ message: "Settings not found" });
     }
 
-    const { lowStockAlert, lowStockThreshold, allowNegativeStock, autoReorderEnabled } = req.body;
+    const {
+      lowStockAlert,
+      lowStockThreshold,
+      allowNegativeStock,
+      autoReorderEnabled,
+      costingMethod,
+      prescriptionValidityDays,
+      controlledMaxQuantity,
+    } = req.body;
 
     if (lowStockAlert !== undefined) settings.lowStockAlert = lowStockAlert;
     if (lowStockThreshold) settings.lowStockThreshold = lowStockThreshold;
     if (allowNegativeStock !== undefined) settings.allowNegativeStock = allowNegativeStock;
     if (autoReorderEnabled !== undefined) settings.autoReorderEnabled = autoReorderEnabled;
+    if (costingMethod) settings.costingMethod = costingMethod;
+    if (prescriptionValidityDays) settings.prescriptionValidityDays = prescriptionValidityDays;
+    if (controlledMaxQuantity) settings.controlledMaxQuantity = controlledMaxQuantity;
 
     settings.lastModifiedBy = req.user._id;
     await settings.save();
@@ -250,10 +276,25 @@ const updateCustomerSettings = async (req, res) => {
       return res.status(404).json({ message: "Settings not found" });
     }
 
-    const { loyaltyProgramEnabled, pointsPerDollar, requireCustomerPhone, allowCustomerCredit } = req.body;
+    const {
+      loyaltyProgramEnabled,
+      pointsPerDollar,
+      pointValue,
+      minPointsToRedeem,
+      pointsExpiryMonths,
+      tierReviewMonths,
+      loyaltyTiers,
+      requireCustomerPhone,
+      allowCustomerCredit,
+    } = req.body;
 
     if (loyaltyProgramEnabled !== undefined) settings.loyaltyProgramEnabled = loyaltyProgramEnabled;
     if (pointsPerDollar) settings.pointsPerDollar = pointsPerDollar;
+    if (pointValue !== undefined) settings.pointValue = pointValue;
+    if (minPointsToRedeem !== undefined) settings.minPointsToRedeem = minPointsToRedeem;
+    if (pointsExpiryMonths !== undefined) settings.pointsExpiryMonths = pointsExpiryMonths;
+    if (tierReviewMonths !== undefined) settings.tierReviewMonths = tierReviewMonths;
+    if (loyaltyTiers) settings.loyaltyTiers = loyaltyTiers;
     if (requireCustomerPhone !== undefined) settings.requireCustomerPhone = requireCustomerPhone;
     if (allowCustomerCredit !== undefined) settings.allowCustomerCredit = allowCustomerCredit;
 
@@ -305,12 +346,25 @@ const updatePOSSettings = async (req, res) => {
       return res.status(404).json({ message: "Settings not found" });
     }
 
-    const { soundEnabled, printerEnabled, barcodeScanner, touchMode } = req.body;
+    const {
+      soundEnabled,
+      printerEnabled,
+      barcodeScanner,
+      touchMode,
+      heldCartExpiryMinutes,
+      serviceChargeRate,
+      kitchenStations,
+      defaultKitchenStation,
+    } = req.body;
 
     if (soundEnabled !== undefined) settings.soundEnabled = soundEnabled;
     if (printerEnabled !== undefined) settings.printerEnabled = printerEnabled;
     if (barcodeScanner !== undefined) settings.barcodeScanner = barcodeScanner;
     if (touchMode !== undefined) settings.touchMode = touchMode;
+    if (heldCartExpiryMinutes) settings.heldCartExpiryMinutes = heldCartExpiryMinutes;
+    if (serviceChargeRate !== undefined) settings.serviceChargeRate = serviceChargeRate;
+    if (kitchenStations !== undefined) settings.kitchenStations = kitchenStations;
+    if (defaultKitchenStation) settings.defaultKitchenStation = defaultKitchenStation;
 
     settings.lastModifiedBy = req.user._id;
     await settings.save();
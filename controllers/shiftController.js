@@ -0,0 +1,293 @@
+const RegisterShift = require("../model/RegisterShift");
+const { nextDocumentNumber } = require("../utils/documentNumber");
+const { runInTransaction } = require("../utils/transaction");
+
+const CASH_MOVEMENT_TYPES = ["cash_in", "cash_out"];
+
+// Why a cashier cannot open a shift on a register, or null when they can
+const findOpenShiftConflict = async (storeId, register, cashierId) => {
+  const ownShift = await RegisterShift.findOpen(storeId, cashierId);
+  if (ownShift) {
+    return `You already have shift ${ownShift.shiftNo} open on register ${ownShift.register}`;
+  }
+
+  const registerInUse = await RegisterShift.findOne({ storeId, register, status: "open" });
+  if (registerInUse) {
+    return `Register ${register} is already open under shift ${registerInUse.shiftNo}`;
+  }
+  return null;
+};
+
+/**
+ * Open a register shift with a starting float
+ */
+const openShift = async (req, res) => {
+  try {
+    const { storeId, register = "Main", openingFloat = 0, notes } = req.body;
+
+    if (!storeId) {
+      return res.status(400).json({ message: "Store ID is required" });
+    }
+    if (Number(openingFloat) < 0) {
+      return res.status(400).json({ message: "Opening float cannot be negative" });
+    }
+
+    const openShiftError = await findOpenShiftConflict(storeId, register, req.userId);
+    if (openShiftError) {
+      return res.status(400).json({ message: openShiftError });
+    }
+
+    const shift = new RegisterShift({
+      storeId,
+      register,
+      cashierId: req.userId,
+      openingFloat: parseFloat(Number(openingFloat).toFixed(2)),
+      notes,
+    });
+
+    // Numbered in the transaction that saves the shift, so a lost race leaves no gap
+    await runInTransaction(async (session) => {
+      shift.shiftNo = await nextDocumentNumber("shift", { storeId, session });
+      await shift.save({ session });
+    });
+
+    res.status(201).json(shift);
+  } catch (error) {
+    // Lost a race with another open: the unique open-shift indexes caught it
+    if (error.code === 11000 && !error.keyPattern?.shiftNo) {
+      const { storeId, register = "Main" } = req.body;
+      const message = await findOpenShiftConflict(storeId, register, req.userId);
+      return res.status(400).json({ message: message || "A shift is already open" });
+    }
+    console.error("Error opening shift:", error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Get shifts with filters
+ */
+const getShifts = async (req, res) => {
+  try {
+    const { storeId, cashierId, status, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (storeId) query.storeId = storeId;
+    if (cashierId) query.cashierId = cashierId;
+    if (status) query.status = status;
+    if (startDate || endDate) {
+      query.openedAt = {};
+      if (startDate) query.openedAt.$gte = new Date(startDate);
+      if (endDate) query.openedAt.$lte = new Date(endDate);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [shifts, total] = await Promise.all([
+      RegisterShift.find(query)
+        .select("-zReport")
+        .populate("cashierId", "name")
+        .populate("closedBy", "name")
+        .populate("storeId", "name")
+        .sort({ openedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      RegisterShift.countDocuments(query),
+    ]);
+
+    res.json({
+      shifts,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Get the current user's open shift in a store
+ */
+const getCurrentShift = async (req, res) => {
+  try {
+    const { storeId } = req.query;
+    if (!storeId) {
+      return res.status(400).json({ message: "Store ID is required" });
+    }
+
+    const shift = await RegisterShift.findOpen(storeId, req.userId);
+    if (!shift) {
+      return res.status(404).json({ message: "No open shift" });
+    }
+
+    res.json(shift);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Get shift by ID
+ */
+const getShiftById = async (req, res) => {
+  try {
+    const shift = await RegisterShift.findById(req.params.id)
+      .populate("cashierId", "name email")
+      .populate("closedBy", "name")
+      .populate("cashMovements.userId", "name")
+      .populate("storeId", "name");
+
+    if (!shift) {
+      return res.status(404).json({ message: "Shift not found" });
+    }
+
+    res.json(shift);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Record cash put into or taken out of the drawer
+ */
+const addCashMovement = async (req, res) => {
+  try {
+    const { type, reason } = req.body;
+    const amount = parseFloat(Number(req.body.amount).toFixed(2));
+
+    if (!CASH_MOVEMENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        message: `Type must be one of: ${CASH_MOVEMENT_TYPES.join(", ")}`,
+      });
+    }
+    if (!amount || amount <= 0) {
+      return res.status(400).json({ message: "A positive amount is required" });
+    }
+    if (!reason) {
+      return res.status(400).json({ message: "Reason is required" });
+    }
+
+    const shift = await RegisterShift.findOneAndUpdate(
+      { _id: req.params.id, status: "open" },
+      { $push: { cashMovements: { type, amount, reason, userId: req.userId } } },
+      { new: true, runValidators: true }
+    );
+    if (!shift) {
+      return res.status(400).json({ message: "Shift not found or already closed" });
+    }
+
+    res.status(201).json(shift);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * X report: running totals for an open shift, without closing it
+ */
+const getXReport = async (req, res) => {
+  try {
+    const shift = await RegisterShift.findById(req.params.id);
+    if (!shift) {
+      return res.status(404).json({ message: "Shift not found" });
+    }
+    if (shift.status !== "open") {
+      return res.status(400).json({ message: "Shift is closed, use the Z report" });
+    }
+
+    res.json({ type: "X", ...(await shift.buildReport()) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Close a shift with the counted cash (by denomination) and counted non-cash totals.
+ * Freezes the Z report on the shift.
+ */
+const closeShift = async (req, res) => {
+  try {
+    const { denominations, countedPayments = {}, notes } = req.body;
+
+    let countedCash;
+    if (Array.isArray(denominations) && denominations.length > 0) {
+      if (denominations.some((d) => !(d.value >= 0) || !(d.count >= 0))) {
+        return res.status(400).json({ message: "Each denomination needs a value and count" });
+      }
+      countedCash = denominations.reduce((sum, d) => sum + d.value * d.count, 0);
+    } else if (req.body.countedCash !== undefined) {
+      countedCash = Number(req.body.countedCash);
+    } else {
+      return res.status(400).json({ message: "Counted cash or denominations are required" });
+    }
+    countedCash = parseFloat(countedCash.toFixed(2));
+
+    const current = await RegisterShift.findOne({ _id: req.params.id, status: "open" });
+    if (!current) {
+      return res.status(400).json({ message: "Shift not found or already closed" });
+    }
+
+    const closing = {
+      status: "closed",
+      closedAt: new Date(),
+      closedBy: req.userId,
+      denominations: denominations || [],
+      countedCash,
+      countedPayments,
+      ...(notes !== undefined && { notes }),
+    };
+    // The Z report is built before anything is written, so a shift is never
+    // left closed without one
+    current.set(closing);
+    const zReport = { type: "Z", ...(await current.buildReport()) };
+
+    // Closing is a one-way switch; the conditional update stops two closes racing
+    const shift = await RegisterShift.findOneAndUpdate(
+      { _id: current._id, status: "open" },
+      { ...closing, zReport },
+      { new: true, runValidators: true }
+    );
+    if (!shift) {
+      return res.status(400).json({ message: "Shift not found or already closed" });
+    }
+
+    res.json(shift);
+  } catch (error) {
+    console.error("Error closing shift:", error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Z report: end-of-shift totals frozen at close
+ */
+const getZReport = async (req, res) => {
+  try {
+    const shift = await RegisterShift.findById(req.params.id).select("status zReport");
+    if (!shift) {
+      return res.status(404).json({ message: "Shift not found" });
+    }
+    if (shift.status !== "closed") {
+      return res.status(400).json({ message: "Shift is still open, use the X report" });
+    }
+
+    res.json(shift.zReport);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  openShift,
+  getShifts,
+  getCurrentShift,
+  getShiftById,
+  addCashMovement,
+  getXReport,
+  closeShift,
+  getZReport,
+};
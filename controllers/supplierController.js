@@ -1,4 +1,5 @@
 const Supplier = require("../model/Supplier");
+const SupplierLedger = require("../model/SupplierLedger");
 
 /**
  * Get all suppliers with search and filter
@@ -376,6 +377,177 @@ const getSupplierStats = async (req, res) => {
   }
 };
 
+/**
+ * Get supplier ledger with running balance and aging
+ */
+const getSupplierLedger = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to, type, page = 1, limit = 100 } = req.query;
+
+    const supplier = await Supplier.findById(id);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: "Supplier not found"
+      });
+    }
+
+    const query = { supplierId: id };
+    if (type) query.type = type;
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = new Date(from);
+      if (to) query.date.$lte = new Date(to);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const entries = await SupplierLedger.find(query)
+      .populate("goodsReceiptId", "grnNumber purchaseOrderId")
+      .populate("createdBy", "name")
+      .sort({ date: 1, createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await SupplierLedger.countDocuments(query);
+    const [aging] = await SupplierLedger.getAging({ supplierId: supplier._id });
+
+    res.json({
+      success: true,
+      data: {
+        supplier: {
+          _id: supplier._id,
+          name: supplier.name,
+          company: supplier.company,
+          paymentTerms: supplier.paymentTerms,
+          balance: supplier.balance || 0
+        },
+        entries,
+        aging: aging || {
+          supplierId: supplier._id,
+          current: 0,
+          days1to30: 0,
+          days31to60: 0,
+          days61to90: 0,
+          days90plus: 0,
+          total: 0
+        }
+      },
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching supplier ledger:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Record a supplier invoice not raised from a goods receipt (freight, tax, opening balance...)
+ */
+const createSupplierInvoice = async (req, res) => {
+  const session = await SupplierLedger.startSession();
+  session.startTransaction();
+
+  try {
+    const { amount, reference, date, dueDate, notes } = req.body;
+
+    if (!amount || Number(amount) <= 0) {
+      throw new Error("A positive invoice amount is required");
+    }
+
+    const entry = await SupplierLedger.recordInvoice({
+      supplierId: req.params.id,
+      amount,
+      reference,
+      date,
+      dueDate,
+      notes,
+      createdBy: req.userId
+    }, session);
+
+    await session.commitTransaction();
+
+    res.status(201).json({
+      success: true,
+      message: "Supplier invoice recorded successfully",
+      data: entry
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    console.error("Error recording supplier invoice:", error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Record a payment made to a supplier
+ */
+const createSupplierPayment = async (req, res) => {
+  const session = await SupplierLedger.startSession();
+  session.startTransaction();
+
+  try {
+    const { amount, paymentMethod, reference, date, notes } = req.body;
+
+    if (!amount || Number(amount) <= 0) {
+      throw new Error("A positive payment amount is required");
+    }
+    if (!paymentMethod) {
+      throw new Error("Payment method is required");
+    }
+
+    const supplier = await Supplier.findById(req.params.id).session(session);
+    if (!supplier) {
+      await session.abortTransaction();
+      return res.status(404).json({
+        success: false,
+        message: "Supplier not found"
+      });
+    }
+
+    const entry = await SupplierLedger.recordPayment({
+      supplierId: supplier._id,
+      amount,
+      paymentMethod,
+      reference,
+      date,
+      notes,
+      createdBy: req.userId
+    }, session);
+
+    await session.commitTransaction();
+
+    res.status(201).json({
+      success: true,
+      message: "Supplier payment recorded successfully",
+      data: entry
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    console.error("Error recording supplier payment:", error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
 module.exports = {
   getAllSuppliers,
   getSupplierById,
@@ -384,5 +556,8 @@ module.exports = {
   deleteSupplier,
   permanentDeleteSupplier,
   restoreSupplier,
-  getSupplierStats
+  getSupplierStats,
+  getSupplierLedger,
+  createSupplierInvoice,
+  createSupplierPayment
 };
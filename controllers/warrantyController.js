@@ -0,0 +1,79 @@
+const Warranty = require("../model/Warranty");
+
+/**
+ * Look up warranty cover by serial number
+ */
+const getWarrantyBySerial = async (req, res) => {
+  try {
+    const serialNumber = req.params.serial.trim();
+
+    // A serial can be sold again after a return, so the latest record is the current one
+    const warranties = await Warranty.find({ serialNumber })
+      .populate("saleId", "saleNo total createdAt status")
+      .populate("customerId", "name phone email")
+      .populate("productId", "name sku brand warrantyType warrantyPeriod")
+      .populate("storeId", "name")
+      .sort({ startDate: -1 });
+
+    if (warranties.length === 0) {
+      return res.status(404).json({ message: "No sale found for this serial number" });
+    }
+
+    const [current, ...history] = warranties;
+
+    res.json({
+      serialNumber,
+      warranty: current,
+      sale: current.saleId,
+      customer: current.customerId || null,
+      isUnderWarranty: current.isUnderWarranty,
+      remainingDays: current.remainingDays,
+      history,
+    });
+  } catch (error) {
+    console.error("Error looking up warranty:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Get warranties with filters
+ */
+const getAllWarranties = async (req, res) => {
+  try {
+    const { customerId, saleId, productId, status, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (customerId) query.customerId = customerId;
+    if (saleId) query.saleId = saleId;
+    if (productId) query.productId = productId;
+    if (status) query.status = status;
+
+    const warranties = await Warranty.find(query)
+      .populate("customerId", "name phone")
+      .populate("saleId", "saleNo createdAt")
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ startDate: -1 });
+
+    const total = await Warranty.countDocuments(query);
+
+    res.json({
+      warranties,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching warranties:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  getWarrantyBySerial,
+  getAllWarranties,
+};
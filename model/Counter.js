@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// One running sequence per document type, store and period
+const counterSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true // Document type, e.g. 'sale', 'order', 'refund'
+  },
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    default: null
+  },
+  period: {
+    type: String,
+    default: '' // Fiscal year label for date-based numbering, empty for a continuous sequence
+  },
+  seq: Number,
+  lastNumber: Number // Highest document number issued from this sequence
+}, {
+  timestamps: true
+});
+
+counterSchema.index({ name: 1, storeId: 1, period: 1 }, { unique: true });
+
+/**
+ * Atomically take the next document number of a sequence: the start number
+ * plus the sequence, but never at or below a number already issued, so lowering
+ * the configured start part-way through a period cannot reissue numbers.
+ * Pass the session of the transaction that saves the numbered document: if it
+ * aborts, the increment rolls back with it and no number is skipped.
+ * @param {String} name - Document type
+ * @param {ObjectId} [storeId]
+ * @param {String} [period]
+ * @param {Number} [start] - First number of the sequence
+ * @param {ClientSession} [session] - Transaction saving the numbered document
+ * @returns {Promise<Number>}
+ */
+counterSchema.statics.nextNumber = async function(
+  name,
+  storeId = null,
+  period = '',
+  start = 1,
+  session
+) {
+  const counter = await this.findOneAndUpdate(
+    { name, storeId, period },
+    [
+      { $set: { seq: { $add: [{ $ifNull: ['$seq', 0] }, 1] } } },
+      {
+        $set: {
+          lastNumber: {
+            $max: [
+              { $add: [{ $ifNull: ['$lastNumber', 0] }, 1] },
+              { $add: [start - 1, '$seq'] }
+            ]
+          }
+        }
+      },
+      // Pipeline updates skip the createdAt timestamp on insert
+      { $set: { createdAt: { $ifNull: ['$createdAt', '$$NOW'] } } }
+    ],
+    { new: true, upsert: true, session }
+  );
+  return counter.lastNumber;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true // Campaign name shared by a generated batch
+  },
+  batchId: {
+    type: String,
+    index: true // Groups codes generated together
+  },
+  description: String,
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  maxDiscount: {
+    type: Number,
+    min: 0 // Cap for percentage coupons
+  },
+  minBasket: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  startDate: Date,
+  expiresAt: Date,
+  usageLimit: {
+    type: Number,
+    min: 1 // Total redemptions allowed; empty = unlimited
+  },
+  perCustomerLimit: {
+    type: Number,
+    min: 1 // Redemptions per customer; empty = unlimited
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  storeIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store' // Empty = all stores
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.pre('validate', function(next) {
+  if (this.discountType === 'percentage' && this.discountValue > 100) {
+    return next(new Error('Percentage discount cannot exceed 100'));
+  }
+  if (this.startDate && this.expiresAt && this.expiresAt < this.startDate) {
+    return next(new Error('Expiry must be after the start date'));
+  }
+  next();
+});
+
+// Discount this coupon gives on a basket of the given value
+couponSchema.methods.calculateDiscount = function(basketTotal) {
+  let discount = this.discountType === 'percentage'
+    ? (basketTotal * this.discountValue) / 100
+    : this.discountValue;
+  if (this.maxDiscount) discount = Math.min(discount, this.maxDiscount);
+  return parseFloat(Math.min(discount, basketTotal).toFixed(2));
+};
+
+/**
+ * Check a code can be used on a basket. Throws with a cashier-readable message
+ * when it cannot; otherwise returns the coupon and the discount it gives.
+ * @param {String} code
+ * @param {Object} context - { storeId, customerId, basketTotal, date, session }
+ */
+couponSchema.statics.validateCode = async function(code, context) {
+  const { storeId, customerId, basketTotal, date = new Date(), session } = context;
+
+  const coupon = await this.findOne({ code: String(code).trim().toUpperCase() })
+    .session(session || null);
+  if (!coupon || !coupon.isActive) {
+    throw new Error('Coupon code is not valid');
+  }
+  if (coupon.startDate && date < coupon.startDate) {
+    throw new Error('Coupon is not active yet');
+  }
+  if (coupon.expiresAt && date > coupon.expiresAt) {
+    throw new Error('Coupon has expired');
+  }
+  if (coupon.storeIds.length > 0 && !coupon.storeIds.some((id) => id.equals(storeId))) {
+    throw new Error('Coupon is not valid in this store');
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw new Error('Coupon has already been used');
+  }
+  if (basketTotal < coupon.minBasket) {
+    throw new Error(`Coupon needs a minimum basket of ${coupon.minBasket.toFixed(2)}`);
+  }
+
+  if (coupon.perCustomerLimit) {
+    if (!customerId) {
+      throw new Error('Coupon can only be used by a registered customer');
+    }
+    const used = await mongoose.model('Sale').countDocuments({
+      'coupon.couponId': coupon._id,
+      customerId
+    }).session(session || null);
+    if (used >= coupon.perCustomerLimit) {
+      throw new Error('Customer has already used this coupon the maximum number of times');
+    }
+  }
+
+  return { coupon, discount: coupon.calculateDiscount(basketTotal) };
+};
+
+// Take one use of the coupon; the condition keeps concurrent checkouts within the limit
+couponSchema.statics.redeem = async function(couponId, session) {
+  const coupon = await this.findOneAndUpdate(
+    {
+      _id: couponId,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true, session }
+  );
+  if (!coupon) {
+    throw new Error('Coupon has already been used');
+  }
+  return coupon;
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
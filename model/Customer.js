@@ -1,5 +1,25 @@
 const mongoose = require('mongoose');
 
+// Clinical details kept for pharmacy customers
+const patientProfileSchema = new mongoose.Schema({
+  dateOfBirth: Date,
+  gender: {
+    type: String,
+    enum: ['male', 'female', 'other']
+  },
+  allergies: [{ type: String, trim: true }],
+  chronicConditions: [{ type: String, trim: true }],
+  primaryPrescriberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prescriber'
+  },
+  refillRemindersEnabled: {
+    type: Boolean,
+    default: true
+  },
+  notes: String
+}, { _id: false });
+
 const customerSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -39,6 +59,7 @@ const customerSchema = new mongoose.Schema({
     default: 0
   },
   lastVisit: Date,
+  patient: patientProfileSchema,
   notes: String,
   tags: [String],
   isActive: {
@@ -0,0 +1,250 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCK_MINUTES = 30;
+
+const giftCardTransactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['issue', 'top_up', 'redeem', 'refund', 'void'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true // Signed: redemptions and voids are negative
+  },
+  balanceAfter: Number,
+  saleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store'
+  },
+  reference: String,
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const giftCardSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  pin: {
+    type: String,
+    required: true,
+    select: false // Stored hashed; only loaded to check a redemption
+  },
+  type: {
+    type: String,
+    enum: ['gift_card', 'voucher'], // Vouchers are issued once and cannot be topped up
+    default: 'gift_card'
+  },
+  initialValue: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  balance: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['active', 'depleted', 'void'],
+    default: 'active',
+    index: true
+  },
+  expiresAt: Date,
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store' // Store that issued the card; cards are accepted in every store
+  },
+  transactions: [giftCardTransactionSchema],
+  failedPinAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  voidedAt: Date,
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidReason: String,
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+giftCardSchema.index({ customerId: 1 });
+giftCardSchema.index({ 'transactions.saleId': 1 });
+
+// Hash PIN before saving
+giftCardSchema.pre('save', async function(next) {
+  if (!this.isModified('pin')) return next();
+  if (!/^\d{4,8}$/.test(this.pin)) {
+    return next(new Error('PIN must be 4 to 8 digits'));
+  }
+  this.pin = await bcrypt.hash(this.pin, 10);
+  next();
+});
+
+giftCardSchema.virtual('isExpired').get(function() {
+  return Boolean(this.expiresAt && this.expiresAt < new Date());
+});
+
+/**
+ * Find a card by code and check its PIN. Wrong PINs count towards a temporary
+ * lock, recorded outside any transaction so an aborted sale cannot undo them.
+ * @param {String} code
+ * @param {String} pin
+ * @param {ClientSession} [session]
+ */
+giftCardSchema.statics.authenticate = async function(code, pin, session) {
+  const card = await this.findOne({ code: String(code || '').trim().toUpperCase() })
+    .select('+pin')
+    .session(session || null);
+  if (!card) {
+    throw new Error('Gift card not found');
+  }
+  if (card.lockUntil && card.lockUntil > new Date()) {
+    throw new Error(`Gift card ${card.code} is locked after too many wrong PINs`);
+  }
+
+  const matches = pin ? await bcrypt.compare(String(pin), card.pin) : false;
+  if (!matches) {
+    const attempts = (card.failedPinAttempts || 0) + 1;
+    await this.updateOne(
+      { _id: card._id },
+      attempts >= MAX_PIN_ATTEMPTS
+        ? { failedPinAttempts: 0, lockUntil: new Date(Date.now() + PIN_LOCK_MINUTES * 60000) }
+        : { failedPinAttempts: attempts }
+    );
+    throw new Error(`Wrong PIN for gift card ${card.code}`);
+  }
+
+  if (card.failedPinAttempts > 0) {
+    card.failedPinAttempts = 0;
+    card.lockUntil = undefined;
+  }
+  return card;
+};
+
+// Throws when the card cannot be used as a tender right now
+giftCardSchema.methods.assertUsable = function() {
+  if (this.status === 'void') {
+    throw new Error(`Gift card ${this.code} has been voided`);
+  }
+  if (this.isExpired) {
+    throw new Error(`Gift card ${this.code} has expired`);
+  }
+};
+
+/**
+ * Add or take value and record the movement in memory; new cards are saved by
+ * the caller, existing ones go through postTransaction
+ * @param {String} type - Transaction type
+ * @param {Number} amount - Signed amount
+ * @param {Object} details - { saleId, refundId, storeId, reference, userId }
+ */
+giftCardSchema.methods.applyTransaction = function(type, amount, details = {}) {
+  const balance = parseFloat((this.balance + amount).toFixed(2));
+  if (balance < 0) {
+    throw new Error(
+      `Insufficient balance on gift card ${this.code}. Available: ${this.balance.toFixed(2)}`
+    );
+  }
+  this.balance = balance;
+  if (this.status !== 'void') {
+    this.status = balance > 0 ? 'active' : 'depleted';
+  }
+  this.transactions.push({ ...details, type, amount, balanceAfter: balance });
+};
+
+/**
+ * Apply a transaction and write it with a conditional update, so two tills
+ * working from the same balance cannot both spend it. The write only lands if
+ * the balance and status are still what this copy of the card was loaded with.
+ * @param {String} type - Transaction type
+ * @param {Number} amount - Signed amount
+ * @param {Object} details - { saleId, refundId, storeId, reference, userId }
+ * @param {Object} options - { session, set } set: other fields to change with it
+ * @returns {Promise<Object>} The updated card
+ */
+giftCardSchema.methods.postTransaction = async function(type, amount, details = {}, options = {}) {
+  const { session, set = {} } = options;
+  const expected = { _id: this._id, balance: this.balance, status: this.status };
+
+  this.applyTransaction(type, amount, details);
+  Object.assign(this, set);
+  const transaction = this.transactions[this.transactions.length - 1].toObject();
+
+  const update = {
+    $set: { ...set, balance: this.balance, status: this.status },
+    $push: { transactions: transaction }
+  };
+  // A correct PIN clears earlier failed attempts
+  if (this.isModified('failedPinAttempts')) {
+    update.$set.failedPinAttempts = 0;
+    update.$unset = { lockUntil: 1 };
+  }
+
+  const card = await this.constructor.findOneAndUpdate(expected, update, {
+    new: true,
+    runValidators: true,
+    session
+  });
+  if (!card) {
+    throw new Error(`Gift card ${this.code} balance changed, please retry`);
+  }
+  return card;
+};
+
+/**
+ * Take value off a card as payment inside a sale transaction
+ * @param {Object} payment - { code, pin, amount, type }
+ * @param {Object} details - { saleId, storeId, reference, userId, session }
+ * @returns {Promise<Object>} The updated card
+ */
+giftCardSchema.statics.redeem = async function(payment, details) {
+  const { session, ...transaction } = details;
+  const amount = parseFloat(Number(payment.amount).toFixed(2));
+  if (!(amount > 0)) {
+    throw new Error('Gift card payment amount must be greater than zero');
+  }
+
+  const card = await this.authenticate(payment.code, payment.pin, session);
+  if (payment.type && card.type !== payment.type) {
+    throw new Error(`${card.code} is not a ${payment.type.replace('_', ' ')}`);
+  }
+  card.assertUsable();
+  return card.postTransaction('redeem', -amount, transaction, { session });
+};
+
+module.exports = mongoose.model('GiftCard', giftCardSchema);
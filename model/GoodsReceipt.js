@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const goodsReceiptItemSchema = new mongoose.Schema({
+  purchaseOrderItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1 // In the unit the line was ordered in
+  },
+  baseQuantity: Number, // Quantity in selling units added to stock
+  unitCost: Number,
+  total: Number,
+  batchNo: String,
+  expiryDate: Date
+});
+
+const goodsReceiptSchema = new mongoose.Schema({
+  grnNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  purchaseOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    required: true,
+    index: true
+  },
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true,
+    index: true
+  },
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  items: [goodsReceiptItemSchema],
+  total: {
+    type: Number,
+    required: true
+  },
+  charges: {
+    type: Number,
+    default: 0 // Share of the order's tax and shipping invoiced with these goods
+  },
+  supplierInvoiceNo: String,
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+goodsReceiptSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('GoodsReceipt', goodsReceiptSchema);
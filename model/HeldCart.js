@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Mirrors the item payload accepted by createSale, plus display snapshots
+const heldCartItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: String,
+  productName: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  unit: {
+    type: String,
+    enum: ['selling', 'purchase'],
+    default: 'selling'
+  },
+  unitPrice: Number, // Price when parked; the sale reprices from the product
+  discount: {
+    type: Number,
+    default: 0
+  },
+  isSourced: {
+    type: Boolean,
+    default: false
+  },
+  price: Number, // Agreed price for sourced items
+  sourcingCost: Number,
+  serialNumbers: [String]
+}, { _id: false });
+
+const heldCartSchema = new mongoose.Schema({
+  holdNo: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  cashierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  items: {
+    type: [heldCartItemSchema],
+    validate: [(items) => items.length > 0, 'At least one item is required']
+  },
+  label: {
+    type: String,
+    trim: true // e.g. "Blue jacket, counter 2"
+  },
+  notes: String,
+  status: {
+    type: String,
+    enum: ['held', 'resumed', 'converted', 'cancelled', 'expired'],
+    default: 'held'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  resumedAt: Date,
+  resumedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  saleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  }
+}, {
+  timestamps: true
+});
+
+heldCartSchema.index({ storeId: 1, status: 1, createdAt: -1 });
+heldCartSchema.index({ status: 1, expiresAt: 1 });
+
+// Mark carts past their expiry; run before listing so stale baskets drop off
+heldCartSchema.statics.expireStale = function(storeId) {
+  const query = { status: { $in: ['held', 'resumed'] }, expiresAt: { $lte: new Date() } };
+  if (storeId) query.storeId = storeId;
+  return this.updateMany(query, { status: 'expired' });
+};
+
+module.exports = mongoose.model('HeldCart', heldCartSchema);
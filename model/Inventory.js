@@ -34,6 +34,7 @@ const inventorySchema = new mongoose.Schema({
   location: String, // e.g., "Shelf A1", "Warehouse"
   batches: [batchSchema], // For pharmacy
   serialNumbers: [String], // For electronics
+  averageCost: Number, // Moving-average unit cost of the stock on hand
   lastRestocked: Date
 }, {
   timestamps: true
@@ -41,5 +42,127 @@ const inventorySchema = new mongoose.Schema({
 
 inventorySchema.index({ productId: 1, storeId: 1 });
 inventorySchema.index({ storeId: 1, quantity: 1 });
+inventorySchema.index({ 'batches.expiryDate': 1 });
+
+const startOfDay = (date = new Date()) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Batches ordered first-expiry-first-out (batches without expiry last)
+inventorySchema.methods.getBatchesByExpiry = function() {
+  return [...this.batches].sort((a, b) => {
+    if (!a.expiryDate && !b.expiryDate) return 0;
+    if (!a.expiryDate) return 1;
+    if (!b.expiryDate) return -1;
+    return a.expiryDate - b.expiryDate;
+  });
+};
+
+// Stock not covered by any batch (e.g. added before batches were tracked)
+inventorySchema.methods.getUntrackedQuantity = function() {
+  const batched = this.batches.reduce((sum, batch) => sum + (batch.quantity || 0), 0);
+  return Math.max(0, this.quantity - batched);
+};
+
+// Stock that can be sold today: unexpired batches plus untracked stock
+inventorySchema.methods.getSellableQuantity = function(asOf) {
+  const today = startOfDay(asOf);
+  const batched = this.batches
+    .filter((batch) => batch.quantity > 0 && (!batch.expiryDate || batch.expiryDate >= today))
+    .reduce((sum, batch) => sum + batch.quantity, 0);
+  return batched + this.getUntrackedQuantity();
+};
+
+/**
+ * Take quantity out of batches first-expiry-first-out and off the flat quantity.
+ * Expired batches are skipped unless includeExpired is set; untracked stock is used last.
+ * Returns the batch allocations taken; throws if there is not enough sellable stock.
+ */
+inventorySchema.methods.consumeBatches = function(quantity, { includeExpired = false, asOf } = {}) {
+  const today = startOfDay(asOf);
+  const sellable = this.getBatchesByExpiry().filter(
+    (batch) => batch.quantity > 0 && (includeExpired || !batch.expiryDate || batch.expiryDate >= today)
+  );
+  const available = sellable.reduce((sum, batch) => sum + batch.quantity, 0) + this.getUntrackedQuantity();
+
+  if (available < quantity) {
+    const expired = this.batches
+      .filter((batch) => batch.expiryDate && batch.expiryDate < today)
+      .reduce((sum, batch) => sum + (batch.quantity || 0), 0);
+    const error = new Error(
+      expired > 0 && !includeExpired
+        ? `Only ${available} unexpired units available (${expired} expired units cannot be sold)`
+        : `Insufficient inventory. Available: ${available}, Required: ${quantity}`
+    );
+    error.available = available;
+    throw error;
+  }
+
+  const allocations = [];
+  let remaining = quantity;
+  for (const batch of sellable) {
+    if (remaining <= 0) break;
+    const taken = Math.min(batch.quantity, remaining);
+    batch.quantity -= taken;
+    remaining -= taken;
+    allocations.push({
+      batchNo: batch.batchNo,
+      expiryDate: batch.expiryDate,
+      quantity: taken,
+      cost: batch.cost
+    });
+  }
+
+  this.batches = this.batches.filter((batch) => batch.quantity > 0);
+  this.quantity -= quantity;
+  return allocations;
+};
+
+// Blend newly added stock into the moving-average cost (call before adding to quantity)
+inventorySchema.methods.updateAverageCost = function(addedQuantity, unitCost, fallbackCost) {
+  if (unitCost === undefined || unitCost === null || addedQuantity <= 0) return;
+  const onHand = Math.max(0, this.quantity);
+  const currentCost = this.averageCost ?? fallbackCost ?? unitCost;
+  this.averageCost = (onHand * currentCost + addedQuantity * unitCost) / (onHand + addedQuantity);
+};
+
+// Cost of goods for units just taken out: FIFO prices batch allocations at their own cost,
+// moving average prices everything at the running average
+inventorySchema.methods.getIssueCost = function(quantity, allocations, costingMethod, fallbackCost = 0) {
+  const averageCost = this.averageCost ?? fallbackCost;
+  if (costingMethod !== 'fifo' || !allocations || allocations.length === 0) {
+    return quantity * averageCost;
+  }
+
+  let batchedQuantity = 0;
+  let cost = 0;
+  for (const allocation of allocations) {
+    batchedQuantity += allocation.quantity;
+    cost += allocation.quantity * (allocation.cost ?? averageCost);
+  }
+  return cost + Math.max(0, quantity - batchedQuantity) * averageCost;
+};
+
+// Put allocations back into their batches, recreating emptied ones (the caller adjusts quantity)
+inventorySchema.methods.restoreBatches = function(allocations) {
+  for (const allocation of allocations) {
+    if (!allocation.quantity) continue;
+    const batch = this.batches.find(
+      (b) => b.batchNo === allocation.batchNo && String(b.expiryDate) === String(allocation.expiryDate)
+    );
+    if (batch) {
+      batch.quantity += allocation.quantity;
+    } else {
+      this.batches.push({
+        batchNo: allocation.batchNo,
+        expiryDate: allocation.expiryDate,
+        quantity: allocation.quantity,
+        cost: allocation.cost
+      });
+    }
+  }
+};
 
 module.exports = mongoose.model('Inventory', inventorySchema);
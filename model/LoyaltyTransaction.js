@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+
+const loyaltyTransactionSchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['earn', 'redeem', 'expire', 'reverse', 'refund_credit', 'adjust'],
+    required: true
+  },
+  points: {
+    type: Number,
+    required: true // Signed: positive adds to the balance, negative takes away
+  },
+  balanceAfter: Number,
+  // Earned points are kept as lots so redemptions and expiry use the oldest first
+  remainingPoints: Number,
+  expiresAt: Date,
+  saleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store'
+  },
+  description: String,
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loyaltyTransactionSchema.index({ customerId: 1, createdAt: -1 });
+loyaltyTransactionSchema.index({ customerId: 1, remainingPoints: 1, expiresAt: 1 });
+loyaltyTransactionSchema.index({ expiresAt: 1, remainingPoints: 1 });
+
+// Take points out of the oldest unexpired lots first
+const consumeLots = async function(Model, customerId, points, session) {
+  let remaining = points;
+  const lots = await Model.find({
+    customerId,
+    remainingPoints: { $gt: 0 }
+  })
+    .sort({ expiresAt: 1, createdAt: 1 })
+    .session(session || null);
+
+  for (const lot of lots) {
+    if (remaining <= 0) break;
+    const used = Math.min(lot.remainingPoints, remaining);
+    lot.remainingPoints -= used;
+    remaining -= used;
+    await lot.save({ session });
+  }
+};
+
+/**
+ * Add or remove points and write the ledger entry
+ * The balance moves with an atomic $inc, so concurrent postings cannot lose
+ * each other's points; the customer document is brought up to date in memory.
+ * @param {Object} customer - Customer document
+ * @param {Object} entry - { type, points, saleId, refundId, storeId, description, userId, expiresAt }
+ * @param {ClientSession} [session]
+ */
+loyaltyTransactionSchema.statics.post = async function(customer, entry, session) {
+  const points = Math.trunc(entry.points);
+  if (points === 0) return null;
+
+  const Customer = mongoose.model('Customer');
+  const filter = { _id: customer._id };
+  // Spending points only goes through while the balance still covers them
+  if (points < 0) filter.loyaltyPoints = { $gte: -points };
+  const updated = await Customer.findOneAndUpdate(
+    filter,
+    { $inc: { loyaltyPoints: points } },
+    { new: true, session }
+  ).select('loyaltyPoints');
+  if (!updated) {
+    const current = await Customer.findById(customer._id)
+      .select('loyaltyPoints')
+      .session(session || null);
+    throw new Error(`Customer only has ${current?.loyaltyPoints || 0} loyalty points`);
+  }
+  if (points < 0) {
+    await consumeLots(this, customer._id, -points, session);
+  }
+
+  customer.loyaltyPoints = updated.loyaltyPoints;
+  customer.unmarkModified('loyaltyPoints');
+
+  const [transaction] = await this.create([{
+    ...entry,
+    customerId: customer._id,
+    points,
+    balanceAfter: customer.loyaltyPoints,
+    remainingPoints: points > 0 ? points : undefined,
+    expiresAt: points > 0 ? entry.expiresAt : undefined
+  }], { session });
+  return transaction;
+};
+
+/**
+ * Expire lots past their expiry date
+ * @param {ObjectId} [customerId] - Limit to one customer; all customers when omitted
+ * @returns {Promise<Number>} Points expired
+ */
+loyaltyTransactionSchema.statics.expirePoints = async function(customerId, session) {
+  const Customer = mongoose.model('Customer');
+  const query = { remainingPoints: { $gt: 0 }, expiresAt: { $lte: new Date() } };
+  if (customerId) query.customerId = customerId;
+
+  const lots = await this.find(query).session(session || null);
+  const byCustomer = new Map();
+  for (const lot of lots) {
+    const key = lot.customerId.toString();
+    byCustomer.set(key, (byCustomer.get(key) || 0) + lot.remainingPoints);
+    lot.remainingPoints = 0;
+    await lot.save({ session });
+  }
+
+  let expired = 0;
+  for (const [id, points] of byCustomer) {
+    // Never take the balance below zero if points were adjusted by hand
+    const before = await Customer.findOneAndUpdate(
+      { _id: id },
+      [{
+        $set: {
+          loyaltyPoints: {
+            $max: [0, { $subtract: [{ $ifNull: ['$loyaltyPoints', 0] }, points] }]
+          }
+        }
+      }],
+      { new: false, session }
+    ).select('loyaltyPoints');
+    if (!before) continue;
+    const amount = Math.min(points, before.loyaltyPoints || 0);
+    await this.create([{
+      customerId: before._id,
+      type: 'expire',
+      points: -amount,
+      balanceAfter: (before.loyaltyPoints || 0) - amount,
+      description: 'Points expired'
+    }], { session });
+    expired += amount;
+  }
+  return expired;
+};
+
+module.exports = mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
@@ -1,5 +1,14 @@
 const mongoose = require('mongoose');
 
+const taxLineSchema = new mongoose.Schema({
+  name: String,
+  rate: Number,
+  type: String,
+  compound: Boolean,
+  source: String,
+  amount: Number
+}, { _id: false });
+
 const orderItemSchema = new mongoose.Schema({
   productId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -9,15 +18,50 @@ const orderItemSchema = new mongoose.Schema({
   productName: String,
   quantity: Number,
   unitPrice: Number,
+  tax: Number,
+  taxBreakdown: [taxLineSchema],
+  total: Number,
   modifiers: [String], // e.g., "Extra cheese", "No onions"
   notes: String,
+  category: String, // Snapshot used to route the item to a kitchen station
+  station: String, // Kitchen display station preparing the item
   status: {
     type: String,
     enum: ['pending', 'preparing', 'ready', 'served'],
     default: 'pending'
-  }
+  },
+  startedAt: Date,
+  readyAt: Date,
+  servedAt: Date
 });
 
+// Who moved the order between statuses, and when
+const statusChangeSchema = new mongoose.Schema({
+  action: String, // Transition, kitchen/edit when item changes moved the order, or item_sent_back
+  from: String,
+  to: String,
+  reason: String,
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const orderPaymentSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: ['cash', 'card', 'mobile_wallet'],
+    required: true
+  },
+  amount: Number,
+  change: Number, // Cash handed back from this tender
+  reference: String
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema({
   orderNo: {
     type: String,
@@ -49,13 +93,23 @@ const orderSchema = new mongoose.Schema({
   notes: String,
   subtotal: Number,
   tax: Number,
+  taxInclusive: Boolean,
+  taxBreakdown: [taxLineSchema],
+  serviceChargeRate: Number, // Percentage snapshot from Settings.serviceChargeRate
   serviceCharge: Number,
-  total: Number
+  total: Number,
+  payments: [orderPaymentSchema],
+  amountPaid: Number,
+  change: Number,
+  roundingAdjustment: Number,
+  cancelReason: String,
+  statusHistory: [statusChangeSchema]
 }, {
   timestamps: true
 });
 
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ storeId: 1, status: 1 });
+orderSchema.index({ storeId: 1, 'items.station': 1, status: 1 });
 
 module.exports = mongoose.model('Order', orderSchema);
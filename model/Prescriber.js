@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const prescriberSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Prescriber name is required'],
+    trim: true
+  },
+  registrationNumber: {
+    type: String,
+    required: [true, 'Registration number is required'],
+    unique: true,
+    trim: true,
+    uppercase: true // Medical council registration, printed on prescriptions
+  },
+  qualification: {
+    type: String,
+    trim: true
+  },
+  specialty: {
+    type: String,
+    trim: true
+  },
+  clinic: {
+    type: String,
+    trim: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  notes: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+prescriberSchema.index({ name: 1 });
+
+module.exports = mongoose.model('Prescriber', prescriberSchema);
@@ -108,6 +108,10 @@ const productSchema = new mongoose.Schema({
     type: Number,
     min: 0
   },
+  sellingPriceBox: {
+    type: Number,
+    min: 0 // Price for a whole purchase unit; defaults to price x conversionFactor
+  },
 
   // Stock Management
   stock: {
@@ -181,6 +185,10 @@ const productSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  maxDispenseQuantity: {
+    type: Number,
+    min: 1 // Controlled items: most selling units per sale (Settings.controlledMaxQuantity if unset)
+  },
   genericName: {
     type: String,
     trim: true,
@@ -230,6 +238,10 @@ const productSchema = new mongoose.Schema({
   },
 
   // Electronics & Warranty
+  isSerialized: {
+    type: Boolean,
+    default: false // Each unit carries a serial number captured at sale time
+  },
   hasWarranty: {
     type: Boolean,
     default: false
@@ -252,7 +264,11 @@ const productSchema = new mongoose.Schema({
     type: Number,
     default: 0,
     min: 0,
-    max: 100
+    max: 100 // Above 0 overrides category, store and global tax rules
+  },
+  taxExempt: {
+    type: Boolean,
+    default: false
   },
   hsnCode: {
     type: String,
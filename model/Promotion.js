@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const { evaluatePromotions, isWithinSchedule } = require('../utils/promotionEngine');
+
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  type: {
+    type: String,
+    enum: ['product_discount', 'buy_x_get_y', 'mix_and_match', 'spend_threshold'],
+    required: true
+  },
+  // product_discount / spend_threshold: percentage or fixed amount off
+  // mix_and_match: percentage or fixed off each group, or fixed_price for the group
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed', 'fixed_price'],
+    default: 'percentage'
+  },
+  discountValue: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  buyQuantity: {
+    type: Number,
+    min: 1 // Buy X (buy_x_get_y) or group size (mix_and_match)
+  },
+  getQuantity: {
+    type: Number,
+    min: 1 // Get Y (buy_x_get_y)
+  },
+  getDiscountPercent: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 100 // 100 = free, 50 = half price
+  },
+  minSpend: {
+    type: Number,
+    min: 0,
+    default: 0 // spend_threshold
+  },
+
+  // What the promotion covers; all empty = every product
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  categories: [String],
+  brands: [String],
+
+  // Where and when
+  storeIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store' // Empty = all stores
+  }],
+  startDate: Date,
+  endDate: Date,
+  daysOfWeek: [{
+    type: Number,
+    min: 0,
+    max: 6 // 0 = Sunday
+  }],
+  startTime: {
+    type: String,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be HH:mm'] // Store local time
+  },
+  endTime: {
+    type: String,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be HH:mm']
+  },
+
+  priority: {
+    type: Number,
+    default: 0 // Higher runs first
+  },
+  stackable: {
+    type: Boolean,
+    default: false // Stackable promotions may discount units another promotion already took
+  },
+  usageCount: {
+    type: Number,
+    default: 0 // Sales the promotion was applied to
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promotionSchema.index({ isActive: 1, startDate: 1, endDate: 1 });
+
+promotionSchema.pre('validate', function(next) {
+  if (['buy_x_get_y', 'mix_and_match'].includes(this.type) && !this.buyQuantity) {
+    return next(new Error('Buy quantity is required for this promotion type'));
+  }
+  if (this.type === 'buy_x_get_y' && !this.getQuantity) {
+    return next(new Error('Get quantity is required for buy X get Y promotions'));
+  }
+  if (this.discountType === 'fixed_price' && this.type !== 'mix_and_match') {
+    return next(new Error('A fixed price only applies to mix-and-match promotions'));
+  }
+  if (this.discountType === 'percentage' && this.discountValue > 100) {
+    return next(new Error('Percentage discount cannot exceed 100'));
+  }
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    return next(new Error('End date must be after start date'));
+  }
+  if (Boolean(this.startTime) !== Boolean(this.endTime)) {
+    return next(new Error('Both start and end time are required for an hour window'));
+  }
+  next();
+});
+
+// Promotions that are switched on, in their date range and cover the store.
+// Day and hour windows are checked by the promotion engine in store time.
+promotionSchema.statics.findForStore = function(storeId, date = new Date(), session) {
+  return this.find({
+    isActive: true,
+    $and: [
+      { $or: [{ startDate: null }, { startDate: { $lte: date } }] },
+      { $or: [{ endDate: null }, { endDate: { $gte: date } }] },
+      { $or: [{ storeIds: { $size: 0 } }, { storeIds: storeId }] }
+    ]
+  }).session(session || null);
+};
+
+/**
+ * Price a basket against the store's running promotions
+ * @param {ObjectId} storeId
+ * @param {Array} lines - Basket lines in the shape evaluatePromotions expects
+ * @param {Object} options - { date, timeZone, session }
+ */
+promotionSchema.statics.evaluateBasket = async function(storeId, lines, options = {}) {
+  const { date = new Date(), timeZone = 'UTC', session } = options;
+  const promotions = (await this.findForStore(storeId, date, session))
+    .filter((promotion) => isWithinSchedule(promotion, date, timeZone));
+  return evaluatePromotions(lines, promotions);
+};
+
+module.exports = mongoose.model('Promotion', promotionSchema);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const purchaseOrderItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: String,
+  unit: {
+    type: String,
+    enum: ['purchase', 'selling'], // Ordered in Product.purchaseUnit or Product.sellingUnit
+    default: 'purchase'
+  },
+  unitName: String, // e.g., "Box", "Piece"
+  conversionFactor: {
+    type: Number,
+    default: 1 // Selling units per ordered unit, snapshotted from the product
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  receivedQuantity: {
+    type: Number,
+    default: 0
+  },
+  unitCost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  total: Number
+});
+
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true,
+    index: true
+  },
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'sent', 'partially_received', 'received', 'closed', 'cancelled'],
+    default: 'draft'
+  },
+  items: [purchaseOrderItemSchema],
+  subtotal: Number,
+  tax: {
+    type: Number,
+    default: 0
+  },
+  shippingCost: {
+    type: Number,
+    default: 0
+  },
+  total: Number,
+  receivedTotal: {
+    type: Number,
+    default: 0
+  },
+  receivedCharges: {
+    type: Number,
+    default: 0 // Tax and shipping invoiced with the goods received so far
+  },
+  expectedDate: Date,
+  sentAt: Date,
+  closedAt: Date,
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+purchaseOrderSchema.index({ createdAt: -1 });
+purchaseOrderSchema.index({ supplierId: 1, status: 1 });
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
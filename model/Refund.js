@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+const refundItemSchema = new mongoose.Schema({
+  saleItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: String,
+  productName: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1 // In the unit the line was sold in
+  },
+  unitName: String,
+  conversionFactor: {
+    type: Number,
+    default: 1 // Selling units restocked per unit refunded
+  },
+  unitAmount: Number, // Per-unit amount refunded (discount and tax included)
+  unitCost: Number, // Cost snapshot of the original sale line
+  total: Number,
+  restocked: {
+    type: Boolean,
+    default: false
+  },
+  serialNumbers: [String]
+});
+
+// One tender a refund was paid back to
+const refundPayoutSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: ['cash', 'card', 'mobile_wallet', 'gift_card', 'voucher'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  giftCardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GiftCard'
+  }
+}, { _id: false });
+
+const refundSchema = new mongoose.Schema({
+  refundNo: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  saleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: true,
+    index: true
+  },
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true,
+    index: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  items: [refundItemSchema],
+  total: {
+    type: Number,
+    required: true
+  },
+  dueWrittenOff: {
+    type: Number,
+    default: 0 // Part of the refund that cancelled an outstanding due instead of being paid out
+  },
+  amountPaidOut: {
+    type: Number,
+    default: 0
+  },
+  loyalty: {
+    pointsReversed: Number, // Points earned on the refunded items, taken back
+    pointsReturned: Number, // Points that paid for the refunded items, given back
+    valueReturned: Number // Value of pointsReturned; not paid out in money
+  },
+  refundMethod: {
+    type: String,
+    enum: ['cash', 'card', 'mobile_wallet', 'gift_card', 'voucher'],
+    required: true // Largest tender when the payout was split
+  },
+  payouts: [refundPayoutSchema], // How amountPaidOut was handed back, per tender
+  giftCardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GiftCard' // Card credited by gift card and voucher refunds
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  cashierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  shiftId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RegisterShift',
+    index: true // Drawer any cash was paid out of
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+refundSchema.index({ createdAt: -1 });
+refundSchema.index({ storeId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -0,0 +1,276 @@
+const mongoose = require('mongoose');
+
+const cashMovementSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['cash_in', 'cash_out'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const denominationSchema = new mongoose.Schema({
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  count: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const registerShiftSchema = new mongoose.Schema({
+  shiftNo: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  register: {
+    type: String,
+    trim: true,
+    default: 'Main' // Till / drawer name within the store
+  },
+  cashierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  openingFloat: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  cashMovements: [cashMovementSchema],
+  closedAt: Date,
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  denominations: [denominationSchema], // Cash counted at close
+  countedCash: Number,
+  countedPayments: {
+    type: Map,
+    of: Number // Counted totals for non-cash methods (card slips, wallet statements)
+  },
+  zReport: mongoose.Schema.Types.Mixed, // Report frozen at close
+  notes: String
+}, {
+  timestamps: true
+});
+
+registerShiftSchema.index({ storeId: 1, status: 1 });
+registerShiftSchema.index({ cashierId: 1, status: 1 });
+registerShiftSchema.index({ storeId: 1, openedAt: -1 });
+// Only one open shift per register and per cashier in a store, even when two
+// opens race each other
+registerShiftSchema.index(
+  { storeId: 1, register: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+registerShiftSchema.index(
+  { storeId: 1, cashierId: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+// The shift a cashier currently has open in a store, if any
+registerShiftSchema.statics.findOpen = function(storeId, cashierId, session) {
+  return this.findOne({ storeId, cashierId, status: 'open' }).session(session || null);
+};
+
+const round = (value) => parseFloat((value || 0).toFixed(2));
+
+/**
+ * Expected vs counted takings per payment method.
+ * Cash expected = opening float + cash sales + cash due collections
+ *                 + cash in - cash out - cash refunds paid out
+ * Counted figures are only present once the shift has been closed (or when passed in).
+ */
+registerShiftSchema.methods.buildReport = async function(counted = {}) {
+  const Sale = mongoose.model('Sale');
+  const Refund = mongoose.model('Refund');
+  const shiftId = this._id;
+
+  const [salesSummary, takings, refunds] = await Promise.all([
+    Sale.aggregate([
+      { $match: { shiftId } },
+      {
+        $group: {
+          _id: null,
+          saleCount: { $sum: 1 },
+          grossSales: { $sum: '$total' },
+          discount: { $sum: { $ifNull: ['$discount', 0] } },
+          tax: { $sum: { $ifNull: ['$tax', 0] } },
+          dueCreated: { $sum: { $cond: [{ $eq: ['$status', 'due'] }, '$total', 0] } }
+        }
+      }
+    ]),
+    // Payments taken at the till: those made with sales of this shift plus
+    // dues collected while it was open
+    Sale.aggregate([
+      { $match: { $or: [{ shiftId }, { 'payments.shiftId': shiftId }] } },
+      { $unwind: '$payments' },
+      {
+        $match: {
+          'payments.method': { $ne: 'due' },
+          $or: [
+            { shiftId, 'payments.collectedAt': { $exists: false } },
+            { 'payments.shiftId': shiftId }
+          ]
+        }
+      },
+      {
+        $group: {
+          _id: '$payments.method',
+          // Cash handed back as change never stayed in the drawer
+          sales: {
+            $sum: {
+              $cond: [
+                { $ifNull: ['$payments.collectedAt', false] },
+                0,
+                { $subtract: ['$payments.amount', { $ifNull: ['$payments.change', 0] }] }
+              ]
+            }
+          },
+          collections: {
+            $sum: { $cond: [{ $ifNull: ['$payments.collectedAt', false] }, '$payments.amount', 0] }
+          }
+        }
+      }
+    ]),
+    Refund.aggregate([
+      { $match: { shiftId } },
+      // Refunds recorded before payouts were split count against their one method
+      {
+        $project: {
+          payouts: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$payouts', []] } }, 0] },
+              '$payouts',
+              [{ method: '$refundMethod', amount: '$amountPaidOut' }]
+            ]
+          }
+        }
+      },
+      { $unwind: '$payouts' },
+      {
+        $group: {
+          _id: '$payouts.method',
+          amount: { $sum: '$payouts.amount' },
+          refundIds: { $addToSet: '$_id' }
+        }
+      }
+    ])
+  ]);
+
+  const cashIn = this.cashMovements
+    .filter((m) => m.type === 'cash_in')
+    .reduce((sum, m) => sum + m.amount, 0);
+  const cashOut = this.cashMovements
+    .filter((m) => m.type === 'cash_out')
+    .reduce((sum, m) => sum + m.amount, 0);
+
+  const methods = {};
+  const methodRow = (method) => {
+    if (!methods[method]) {
+      methods[method] = { method, sales: 0, collections: 0, refunds: 0 };
+    }
+    return methods[method];
+  };
+  methodRow('cash');
+
+  for (const row of takings) {
+    const entry = methodRow(row._id);
+    entry.sales += row.sales;
+    entry.collections += row.collections;
+  }
+  for (const row of refunds) {
+    methodRow(row._id).refunds += row.amount;
+  }
+
+  const countedPayments = counted.payments || Object.fromEntries(this.countedPayments || []);
+  const countedCash = counted.cash ?? this.countedCash;
+
+  const byMethod = Object.values(methods).map((entry) => {
+    let expected = entry.sales + entry.collections - entry.refunds;
+    if (entry.method === 'cash') {
+      expected += this.openingFloat + cashIn - cashOut;
+    }
+    const countedAmount = entry.method === 'cash' ? countedCash : countedPayments[entry.method];
+    return {
+      method: entry.method,
+      sales: round(entry.sales),
+      collections: round(entry.collections),
+      refunds: round(entry.refunds),
+      expected: round(expected),
+      counted: countedAmount === undefined || countedAmount === null ? null : round(countedAmount),
+      variance:
+        countedAmount === undefined || countedAmount === null
+          ? null
+          : round(countedAmount - expected)
+    };
+  });
+
+  const summary = salesSummary[0] || {};
+
+  return {
+    shiftNo: this.shiftNo,
+    storeId: this.storeId,
+    register: this.register,
+    cashierId: this.cashierId,
+    openedAt: this.openedAt,
+    closedAt: this.closedAt || null,
+    generatedAt: new Date(),
+    openingFloat: round(this.openingFloat),
+    cashIn: round(cashIn),
+    cashOut: round(cashOut),
+    saleCount: summary.saleCount || 0,
+    grossSales: round(summary.grossSales),
+    discount: round(summary.discount),
+    tax: round(summary.tax),
+    dueCreated: round(summary.dueCreated),
+    // A split refund shows under each method it paid back to but counts once
+    refundCount: new Set(refunds.flatMap((row) => row.refundIds.map(String))).size,
+    refundTotal: round(refunds.reduce((sum, row) => sum + row.amount, 0)),
+    byMethod,
+    totalExpected: round(byMethod.reduce((sum, row) => sum + row.expected, 0)),
+    totalVariance: byMethod.every((row) => row.variance === null)
+      ? null
+      : round(byMethod.reduce((sum, row) => sum + (row.variance || 0), 0))
+  };
+};
+
+module.exports = mongoose.model('RegisterShift', registerShiftSchema);
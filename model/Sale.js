@@ -1,5 +1,62 @@
 const mongoose = require('mongoose');
 
+const saleItemBatchSchema = new mongoose.Schema({
+  batchNo: String,
+  expiryDate: Date,
+  quantity: Number,
+  cost: Number,
+  returnedQuantity: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const appliedPromotionSchema = new mongoose.Schema({
+  promotionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion' // Absent for standing product markdowns
+  },
+  name: String,
+  type: String,
+  amount: Number
+}, { _id: false });
+
+const taxLineSchema = new mongoose.Schema({
+  name: String,
+  rate: Number,
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed']
+  },
+  compound: Boolean,
+  source: {
+    type: String,
+    enum: ['product', 'category', 'store', 'global'] // Level the rule was resolved from
+  },
+  amount: Number
+}, { _id: false });
+
+// Prescription a prescription-only or controlled line was dispensed against
+const prescriptionSchema = new mongoose.Schema({
+  prescriberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prescriber'
+  },
+  prescriberName: { type: String, trim: true },
+  registrationNumber: { type: String, trim: true }, // Prescriber's medical registration
+  patientName: { type: String, trim: true },
+  patientAddress: { type: String, trim: true },
+  prescriptionNo: { type: String, trim: true },
+  prescriptionDate: Date,
+  imageUrl: String, // Scanned prescription
+  // Directions used to work out when the patient will need a refill
+  directions: { type: String, trim: true }, // e.g. "1-0-1", "twice daily"
+  dosesPerDay: { type: Number, min: 0 },
+  unitsPerDose: { type: Number, min: 0 },
+  daysSupply: { type: Number, min: 0 },
+  notes: String
+}, { _id: false });
+
 const saleItemSchema = new mongoose.Schema({
   productId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -8,13 +65,36 @@ const saleItemSchema = new mongoose.Schema({
   },
   variantId: String,
   productName: String,
-  quantity: Number,
-  unitPrice: Number,
+  quantity: Number, // In the unit sold
+  unit: {
+    type: String,
+    enum: ['selling', 'purchase'],
+    default: 'selling'
+  },
+  unitName: String, // e.g. "Box", "Strip"; set for products with more than one unit
+  conversionFactor: {
+    type: Number,
+    default: 1 // Selling units per unit sold
+  },
+  baseQuantity: Number, // Selling units taken out of stock
+  unitPrice: Number, // Per unit sold
   discount: {
+    type: Number,
+    default: 0 // Promotion and coupon discounts plus any manual discount
+  },
+  promotionDiscount: {
     type: Number,
     default: 0
   },
+  appliedPromotions: [appliedPromotionSchema],
+  couponDiscount: {
+    type: Number,
+    default: 0 // This line's share of the sale's coupon
+  },
   tax: Number,
+  taxBreakdown: [taxLineSchema],
+  hsnCode: String, // Snapshots for tax returns
+  taxCode: String,
   total: Number,
   isSourced: {
     type: Boolean,
@@ -23,17 +103,48 @@ const saleItemSchema = new mongoose.Schema({
   sourcingCost: {
     type: Number,
     default: 0
-  }
+  },
+  refundedQuantity: {
+    type: Number,
+    default: 0
+  },
+  // Cost snapshot taken at sale time (Settings.costingMethod)
+  unitCost: Number,
+  costTotal: Number,
+  batches: [saleItemBatchSchema], // Batches consumed first-expiry-first-out
+  serialNumbers: [String],
+  returnedSerialNumbers: [String],
+  prescription: prescriptionSchema,
+  isControlled: Boolean // Snapshot for the controlled-substance register
 });
 
 const paymentSchema = new mongoose.Schema({
   method: {
     type: String,
-    enum: ['cash', 'card', 'mobile_wallet', 'gift_card', 'voucher', 'due'],
+    enum: ['cash', 'card', 'mobile_wallet', 'gift_card', 'voucher', 'loyalty_points', 'due'],
     required: true
   },
-  amount: Number,
-  reference: String
+  amount: Number, // Amount tendered
+  change: {
+    type: Number,
+    default: 0 // Handed back from a cash tender
+  },
+  reference: String,
+  giftCardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GiftCard' // Card or voucher the amount was taken from
+  },
+  // Set on payments collected against an outstanding due after the sale
+  collectedAt: Date,
+  collectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  shiftId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RegisterShift' // Drawer the collected money went into
+  },
+  notes: String
 });
 
 const saleSchema = new mongoose.Schema({
@@ -52,11 +163,24 @@ const saleSchema = new mongoose.Schema({
   subtotal: Number,
   discount: Number,
   tax: Number,
+  taxInclusive: {
+    type: Boolean,
+    default: false // Prices already contained tax; it was back-calculated
+  },
+  taxBreakdown: [taxLineSchema], // Tax per rule across all lines
   total: {
     type: Number,
     required: true
   },
   payments: [paymentSchema],
+  change: {
+    type: Number,
+    default: 0 // Total change given on cash tenders
+  },
+  roundingAdjustment: {
+    type: Number,
+    default: 0 // Cash rounding added to (or taken off) the total
+  },
   customerId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Customer'
@@ -66,6 +190,28 @@ const saleSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  shiftId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RegisterShift',
+    index: true
+  },
+  coupon: {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    discount: Number
+  },
+  loyalty: {
+    tier: String, // Customer tier when the sale was made
+    multiplier: Number,
+    pointsEarned: Number,
+    pointsRedeemed: Number,
+    redeemedValue: Number, // Paid by the loyalty_points payment
+    pointsReversed: Number, // Earned points taken back by refunds
+    pointsReturned: Number // Redeemed points given back by refunds
+  },
   status: {
     type: String,
     enum: ['completed', 'refunded', 'partially_refunded', 'due'],
@@ -76,6 +222,10 @@ const saleSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
   notes: String
 }, {
   timestamps: true
@@ -83,5 +233,7 @@ const saleSchema = new mongoose.Schema({
 
 saleSchema.index({ createdAt: -1 });
 saleSchema.index({ storeId: 1, createdAt: -1 });
+saleSchema.index({ customerId: 1, createdAt: -1 });
+saleSchema.index({ 'coupon.couponId': 1, customerId: 1 });
 
 module.exports = mongoose.model('Sale', saleSchema);
@@ -3,7 +3,8 @@ const mongoose = require('mongoose');
 const taxRuleSchema = new mongoose.Schema({
   name: { type: String, required: true },
   rate: { type: Number, required: true },
-  type: { type: String, enum: ['percentage', 'fixed'], default: 'percentage' },
+  type: { type: String, enum: ['percentage', 'fixed'], default: 'percentage' }, // fixed = amount per unit
+  compound: { type: Boolean, default: false }, // Charged on the price plus the other taxes
   applicableCategories: [String],
   isActive: { type: Boolean, default: true }
 });
@@ -17,6 +18,19 @@ const paymentMethodSchema = new mongoose.Schema({
   merchantId: String
 });
 
+const loyaltyTierSchema = new mongoose.Schema({
+  tier: { type: String, enum: ['regular', 'silver', 'gold', 'platinum'], required: true },
+  minSpend: { type: Number, min: 0, default: 0 }, // Spend over the review window needed to hold the tier
+  multiplier: { type: Number, min: 0, default: 1 } // Applied to pointsPerDollar
+}, { _id: false });
+
+// Kitchen display station and the product categories it prepares
+const kitchenStationSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, lowercase: true }, // e.g. grill, bar, desserts
+  categories: [{ type: String, trim: true }],
+  isActive: { type: Boolean, default: true }
+}, { _id: false });
+
 const notificationSchema = new mongoose.Schema({
   email: {
     enabled: { type: Boolean, default: false },
@@ -82,22 +96,41 @@ const settingsSchema = new mongoose.Schema({
   paymentMethods: [paymentMethodSchema],
   allowPartialPayments: { type: Boolean, default: true },
   allowCreditSales: { type: Boolean, default: false },
+  cashRoundingIncrement: { type: Number, min: 0, default: 0 }, // e.g. 0.05; 0 = no cash rounding
+  cashRoundingMode: { type: String, enum: ['nearest', 'up', 'down'], default: 'nearest' },
   
   // Receipt/Invoice Settings
   receipt: receiptSchema,
   invoicePrefix: { type: String, default: 'INV' },
   invoiceNumbering: { type: String, enum: ['sequential', 'date-based'], default: 'sequential' },
   invoiceStartNumber: { type: Number, default: 1000 },
+  fiscalYearStartMonth: { type: Number, min: 1, max: 12, default: 1 }, // Date-based numbering restarts every fiscal year
   
   // Inventory Settings
   lowStockAlert: { type: Boolean, default: true },
   lowStockThreshold: { type: Number, default: 10 },
   allowNegativeStock: { type: Boolean, default: false },
   autoReorderEnabled: { type: Boolean, default: false },
+  costingMethod: { type: String, enum: ['moving_average', 'fifo'], default: 'moving_average' },
+  prescriptionValidityDays: { type: Number, min: 1, default: 180 }, // Older prescriptions are refused
+  controlledMaxQuantity: { type: Number, min: 1, default: 30 }, // Per sale, unless set on the product
   
   // Customer Settings
   loyaltyProgramEnabled: { type: Boolean, default: true },
   pointsPerDollar: { type: Number, default: 1 },
+  pointValue: { type: Number, min: 0, default: 0.01 }, // Currency value of one point when redeemed
+  minPointsToRedeem: { type: Number, min: 0, default: 100 },
+  pointsExpiryMonths: { type: Number, min: 0, default: 12 }, // 0 = points never expire
+  tierReviewMonths: { type: Number, min: 1, default: 12 }, // Rolling spend window for tier changes
+  loyaltyTiers: {
+    type: [loyaltyTierSchema],
+    default: () => [
+      { tier: 'regular', minSpend: 0, multiplier: 1 },
+      { tier: 'silver', minSpend: 500, multiplier: 1.25 },
+      { tier: 'gold', minSpend: 2000, multiplier: 1.5 },
+      { tier: 'platinum', minSpend: 5000, multiplier: 2 }
+    ]
+  },
   requireCustomerPhone: { type: Boolean, default: false },
   allowCustomerCredit: { type: Boolean, default: false },
   
@@ -122,6 +155,10 @@ const settingsSchema = new mongoose.Schema({
   printerEnabled: { type: Boolean, default: true },
   barcodeScanner: { type: Boolean, default: true },
   touchMode: { type: Boolean, default: false },
+  heldCartExpiryMinutes: { type: Number, min: 1, default: 240 }, // Parked baskets lapse after this
+  serviceChargeRate: { type: Number, min: 0, max: 100, default: 0 }, // % of order subtotal
+  kitchenStations: [kitchenStationSchema],
+  defaultKitchenStation: { type: String, trim: true, lowercase: true, default: 'kitchen' }, // Gets unrouted items
   
   // Advanced Settings
   maintenanceMode: { type: Boolean, default: false },
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const stockMovementSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: String,
+  variantId: String,
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['sale', 'refund', 'adjustment', 'transfer_in', 'transfer_out', 'receipt', 'import'],
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true // Signed change in selling units: positive in, negative out
+  },
+  // Store-level level (Inventory.quantity); absent when the store has no inventory row
+  quantityBefore: Number,
+  quantityAfter: Number,
+  // Global level (Product.stock)
+  stockBefore: Number,
+  stockAfter: Number,
+  unitCost: Number,
+  reason: String,
+  referenceType: {
+    type: String,
+    enum: ['Sale', 'Refund', 'GoodsReceipt', 'Inventory', 'Product']
+  },
+  referenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'referenceType'
+  },
+  referenceNo: String,
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockMovementSchema.index({ productId: 1, createdAt: -1 });
+stockMovementSchema.index({ storeId: 1, createdAt: -1 });
+stockMovementSchema.index({ referenceType: 1, referenceId: 1 });
+
+// Movements are an audit trail: they can be added but never changed or removed
+const rejectMutation = function(next) {
+  next(new Error('Stock movements are immutable'));
+};
+
+stockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+stockMovementSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectMutation
+);
+stockMovementSchema.pre(
+  ['deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  rejectMutation
+);
+
+// Record one or more movements (pass a session when inside a transaction)
+stockMovementSchema.statics.record = function(movements, session) {
+  const list = (Array.isArray(movements) ? movements : [movements])
+    .filter((movement) => movement && movement.quantity !== 0);
+  if (list.length === 0) return Promise.resolve([]);
+  return this.insertMany(list, { session });
+};
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -3,7 +3,10 @@ const mongoose = require('mongoose');
 const taxRuleSchema = new mongoose.Schema({
   name: String,
   rate: Number,
-  applicableCategories: [String]
+  type: { type: String, enum: ['percentage', 'fixed'], default: 'percentage' },
+  compound: { type: Boolean, default: false }, // Charged on the price plus the other taxes
+  applicableCategories: [String],
+  isActive: { type: Boolean, default: true }
 });
 
 const storeSchema = new mongoose.Schema({
@@ -60,6 +60,10 @@ const supplierSchema = new mongoose.Schema({
   },
   lastPurchaseDate: {
     type: Date
+  },
+  balance: {
+    type: Number,
+    default: 0 // Outstanding payable, maintained by the supplier ledger
   }
 }, {
   timestamps: true
@@ -75,11 +79,11 @@ supplierSchema.virtual('displayName').get(function() {
   return `${this.name} (${this.company})`;
 });
 
-// Method to update purchase statistics
-supplierSchema.methods.updatePurchaseStats = function(amount) {
+// Method to update purchase statistics (pass a session when inside a transaction)
+supplierSchema.methods.updatePurchaseStats = function(amount, session) {
   this.totalPurchases += amount;
   this.lastPurchaseDate = new Date();
-  return this.save();
+  return this.save({ session });
 };
 
 module.exports = mongoose.model('Supplier', supplierSchema);
@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const Supplier = require('./Supplier');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const allocationSchema = new mongoose.Schema({
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SupplierLedger'
+  },
+  amount: Number
+}, { _id: false });
+
+const supplierLedgerSchema = new mongoose.Schema({
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['invoice', 'payment'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  balance: Number, // Supplier's outstanding payable after this entry
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  reference: String, // Supplier invoice number, cheque number, bank reference...
+  goodsReceiptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GoodsReceipt'
+  },
+
+  // Invoice fields
+  dueDate: Date,
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  isSettled: {
+    type: Boolean,
+    default: false
+  },
+
+  // Payment fields
+  paymentMethod: {
+    type: String,
+    enum: ['cash', 'bank_transfer', 'cheque', 'card', 'mobile_wallet']
+  },
+  allocations: [allocationSchema], // Invoices this payment settled, oldest first
+
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+supplierLedgerSchema.index({ supplierId: 1, date: 1 });
+supplierLedgerSchema.index({ type: 1, isSettled: 1 });
+
+/**
+ * Move the supplier's running balance and return the new balance
+ */
+const adjustSupplierBalance = async (supplierId, delta, session) => {
+  const supplier = await Supplier.findByIdAndUpdate(
+    supplierId,
+    { $inc: { balance: delta } },
+    { new: true, session }
+  );
+  if (!supplier) throw new Error('Supplier not found');
+  return parseFloat(supplier.balance.toFixed(2));
+};
+
+// Record a supplier invoice; due date follows the supplier's paymentTerms unless given
+supplierLedgerSchema.statics.recordInvoice = async function(data, session) {
+  const supplier = await Supplier.findById(data.supplierId).session(session);
+  if (!supplier) throw new Error('Supplier not found');
+
+  const amount = parseFloat(Number(data.amount).toFixed(2));
+  const date = data.date ? new Date(data.date) : new Date();
+  const dueDate = data.dueDate
+    ? new Date(data.dueDate)
+    : new Date(date.getTime() + parseInt(supplier.paymentTerms || '0') * DAY_MS);
+
+  const balance = await adjustSupplierBalance(supplier._id, amount, session);
+
+  const [entry] = await this.create([{
+    ...data,
+    type: 'invoice',
+    amount,
+    date,
+    dueDate,
+    balance,
+    isSettled: amount === 0
+  }], { session });
+  return entry;
+};
+
+// Record a payment to a supplier, settling open invoices oldest-due first
+supplierLedgerSchema.statics.recordPayment = async function(data, session) {
+  const amount = parseFloat(Number(data.amount).toFixed(2));
+
+  const openInvoices = await this.find({
+    supplierId: data.supplierId,
+    type: 'invoice',
+    isSettled: false
+  }).sort({ dueDate: 1, date: 1 }).session(session);
+
+  const outstanding = openInvoices.reduce((sum, inv) => sum + inv.amount - inv.amountPaid, 0);
+  if (amount > parseFloat(outstanding.toFixed(2))) {
+    throw new Error(`Payment exceeds outstanding payable of ${outstanding.toFixed(2)}`);
+  }
+
+  const allocations = [];
+  let remaining = amount;
+  for (const invoice of openInvoices) {
+    if (remaining <= 0) break;
+    const applied = Math.min(remaining, invoice.amount - invoice.amountPaid);
+    invoice.amountPaid = parseFloat((invoice.amountPaid + applied).toFixed(2));
+    invoice.isSettled = invoice.amountPaid >= invoice.amount;
+    await invoice.save({ session });
+    allocations.push({ invoiceId: invoice._id, amount: parseFloat(applied.toFixed(2)) });
+    remaining = parseFloat((remaining - applied).toFixed(2));
+  }
+
+  const balance = await adjustSupplierBalance(data.supplierId, -amount, session);
+
+  const [entry] = await this.create([{
+    ...data,
+    type: 'payment',
+    amount,
+    balance,
+    allocations
+  }], { session });
+  return entry;
+};
+
+// Bucket unpaid invoices by days past due (current, 1-30, 31-60, 61-90, 90+) per supplier.
+// Open amounts are rebuilt from invoices and payments dated on or before asOf, so a
+// past date shows the payables as they stood then.
+supplierLedgerSchema.statics.getAging = async function(filter = {}, asOf = new Date()) {
+  const [invoices, payments] = await Promise.all([
+    this.find({ ...filter, type: 'invoice', date: { $lte: asOf } }),
+    this.find({ ...filter, type: 'payment', date: { $lte: asOf } }).select('allocations')
+  ]);
+
+  const paidAsOf = new Map();
+  for (const payment of payments) {
+    for (const allocation of payment.allocations) {
+      const key = allocation.invoiceId.toString();
+      paidAsOf.set(key, (paidAsOf.get(key) || 0) + allocation.amount);
+    }
+  }
+
+  const bySupplier = {};
+  for (const invoice of invoices) {
+    const paid = paidAsOf.get(invoice._id.toString()) || 0;
+    const open = parseFloat((invoice.amount - paid).toFixed(2));
+    if (open <= 0) continue;
+
+    const key = invoice.supplierId.toString();
+    if (!bySupplier[key]) {
+      bySupplier[key] = {
+        supplierId: invoice.supplierId,
+        current: 0,
+        days1to30: 0,
+        days31to60: 0,
+        days61to90: 0,
+        days90plus: 0,
+        total: 0
+      };
+    }
+
+    const daysOverdue = Math.floor((asOf - invoice.dueDate) / DAY_MS);
+    let bucket = 'current';
+    if (daysOverdue > 90) bucket = 'days90plus';
+    else if (daysOverdue > 60) bucket = 'days61to90';
+    else if (daysOverdue > 30) bucket = 'days31to60';
+    else if (daysOverdue > 0) bucket = 'days1to30';
+
+    bySupplier[key][bucket] += open;
+    bySupplier[key].total += open;
+  }
+
+  return Object.values(bySupplier).map((row) => {
+    for (const field of ['current', 'days1to30', 'days31to60', 'days61to90', 'days90plus', 'total']) {
+      row[field] = parseFloat(row[field].toFixed(2));
+    }
+    return row;
+  });
+};
+
+module.exports = mongoose.model('SupplierLedger', supplierLedgerSchema);
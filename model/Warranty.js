@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const warrantySchema = new mongoose.Schema({
+  serialNumber: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: String,
+  saleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: true,
+    index: true
+  },
+  saleNo: String,
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    index: true
+  },
+  warrantyType: {
+    type: String,
+    enum: ['manufacturer', 'seller', 'both']
+  },
+  warrantyPeriod: Number, // in months
+  startDate: {
+    type: Date,
+    required: true
+  },
+  expiryDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'returned', 'void'],
+    default: 'active'
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+// Virtual for days of warranty cover left
+warrantySchema.virtual('remainingDays').get(function() {
+  if (this.status !== 'active') return 0;
+  const remaining = Math.ceil((this.expiryDate - new Date()) / (24 * 60 * 60 * 1000));
+  return Math.max(0, remaining);
+});
+
+// Virtual for checking if the warranty still covers the unit
+warrantySchema.virtual('isUnderWarranty').get(function() {
+  return this.status === 'active' && new Date() <= this.expiryDate;
+});
+
+warrantySchema.set('toJSON', { virtuals: true });
+warrantySchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Warranty', warrantySchema);
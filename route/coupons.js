@@ -0,0 +1,30 @@
+const express = require("express");
+const router = express.Router();
+const { auth } = require("../midleware/auth");
+const couponController = require("../controllers/couponController");
+
+// POST /api/coupons/validate - Check a code and preview its discount
+router.post("/validate", auth, couponController.validateCoupon);
+
+// POST /api/coupons/generate - Bulk generate unique codes
+router.post("/generate", auth, couponController.generateCoupons);
+
+// GET /api/coupons - Get coupons with filters
+router.get("/", auth, couponController.getCoupons);
+
+// GET /api/coupons/:id - Get coupon by ID
+router.get("/:id", auth, couponController.getCouponById);
+
+// GET /api/coupons/:id/redemptions - Sales the coupon was used on
+router.get("/:id/redemptions", auth, couponController.getCouponRedemptions);
+
+// POST /api/coupons - Create a coupon with a chosen code
+router.post("/", auth, couponController.createCoupon);
+
+// PUT /api/coupons/:id - Update coupon
+router.put("/:id", auth, couponController.updateCoupon);
+
+// DELETE /api/coupons/:id - Deactivate coupon
+router.delete("/:id", auth, couponController.deleteCoupon);
+
+module.exports = router;
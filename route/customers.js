@@ -9,9 +9,30 @@ router.get("/", auth, customerController.getAllCustomers);
 // GET /api/customers/phone/:phone - Find customer by phone number
 router.get("/phone/:phone", auth, customerController.getCustomerByPhone);
 
+// GET /api/customers/refill-reminders - Patients due a prescription refill
+router.get("/refill-reminders", auth, customerController.getPatientRefillReminders);
+
 // GET /api/customers/:id - Get customer by ID
 router.get("/:id", auth, customerController.getCustomerById);
 
+// GET /api/customers/:id/statement - Get customer receivables statement
+router.get("/:id/statement", auth, customerController.getCustomerStatement);
+
+// GET /api/customers/:id/loyalty - Get loyalty points, tier and points history
+router.get("/:id/loyalty", auth, customerController.getCustomerLoyalty);
+
+// POST /api/customers/:id/loyalty/adjust - Manually add or remove points
+router.post("/:id/loyalty/adjust", auth, customerController.adjustLoyaltyPoints);
+
+// POST /api/customers/loyalty/process - Expire lapsed points and review tiers
+router.post("/loyalty/process", auth, customerController.processLoyalty);
+
+// GET /api/customers/:id/prescriptions - Patient profile, prescription history and refill dates
+router.get("/:id/prescriptions", auth, customerController.getPatientPrescriptions);
+
+// PUT /api/customers/:id/patient - Create or update the patient profile
+router.put("/:id/patient", auth, customerController.updatePatientProfile);
+
 // POST /api/customers - Create new customer
 router.post("/", auth, customerController.createCustomer);
 
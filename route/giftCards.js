@@ -0,0 +1,27 @@
+const express = require("express");
+const router = express.Router();
+const { auth } = require("../midleware/auth");
+const giftCardController = require("../controllers/giftCardController");
+
+// POST /api/gift-cards/balance - Check a card's balance by code and PIN
+router.post("/balance", auth, giftCardController.checkBalance);
+
+// POST /api/gift-cards/redeem - Take value off a card outside checkout
+router.post("/redeem", auth, giftCardController.redeemGiftCard);
+
+// GET /api/gift-cards - Get gift cards with filters
+router.get("/", auth, giftCardController.getGiftCards);
+
+// GET /api/gift-cards/:id - Get gift card with its transactions
+router.get("/:id", auth, giftCardController.getGiftCardById);
+
+// POST /api/gift-cards - Issue a gift card or voucher
+router.post("/", auth, giftCardController.issueGiftCard);
+
+// POST /api/gift-cards/:id/top-up - Add value to a gift card
+router.post("/:id/top-up", auth, giftCardController.topUpGiftCard);
+
+// POST /api/gift-cards/:id/void - Void a card and write off its balance
+router.post("/:id/void", auth, giftCardController.voidGiftCard);
+
+module.exports = router;
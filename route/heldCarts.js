@@ -0,0 +1,27 @@
+const express = require("express");
+const router = express.Router();
+const { auth } = require("../midleware/auth");
+const heldCartController = require("../controllers/heldCartController");
+
+// POST /api/held-carts - Park a basket
+router.post("/", auth, heldCartController.holdCart);
+
+// GET /api/held-carts?storeId= - List parked baskets in a store
+router.get("/", auth, heldCartController.getHeldCarts);
+
+// GET /api/held-carts/:id - Get held cart by ID
+router.get("/:id", auth, heldCartController.getHeldCartById);
+
+// PUT /api/held-carts/:id - Update and re-park a basket
+router.put("/:id", auth, heldCartController.updateHeldCart);
+
+// POST /api/held-carts/:id/resume - Pick a basket up on this till
+router.post("/:id/resume", auth, heldCartController.resumeHeldCart);
+
+// POST /api/held-carts/:id/convert - Check the basket out as a sale
+router.post("/:id/convert", auth, heldCartController.convertHeldCart);
+
+// DELETE /api/held-carts/:id - Discard a basket
+router.delete("/:id", auth, heldCartController.cancelHeldCart);
+
+module.exports = router;
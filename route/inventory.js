@@ -9,6 +9,9 @@ router.get("/stats/summary", auth, inventoryController.getInventoryStats);
 // GET /api/inventory/alerts/low-stock - Get low stock items
 router.get("/alerts/low-stock", auth, inventoryController.getLowStockItems);
 
+// GET /api/inventory/movements - Get stock movement history
+router.get("/movements", auth, inventoryController.getStockMovements);
+
 // GET /api/inventory - Get all inventory
 router.get("/", auth, inventoryController.getAllInventory);
 
@@ -9,7 +9,19 @@ router.post("/", auth, orderController.createOrder);
 // GET /api/orders - Get all orders
 router.get("/", auth, orderController.getAllOrders);
 
-// PUT /api/orders/:id - Update order
+// GET /api/orders/kitchen - Kitchen display tickets, optionally for one station
+router.get("/kitchen", auth, orderController.getKitchenOrders);
+
+// PUT /api/orders/:id/items/:itemId/status - Bump an item's kitchen status
+router.put("/:id/items/:itemId/status", auth, orderController.updateOrderItemStatus);
+
+// GET /api/orders/:id - Get order with its status history
+router.get("/:id", auth, orderController.getOrderById);
+
+// POST /api/orders/:id/transition - Confirm, start, ready, serve, cancel or pay an order
+router.post("/:id/transition", auth, orderController.transitionOrder);
+
+// PUT /api/orders/:id - Edit an open order (not its status or totals)
 router.put("/:id", auth, orderController.updateOrder);
 
 module.exports = router;
@@ -0,0 +1,21 @@
+const express = require("express");
+const router = express.Router();
+const { auth } = require("../midleware/auth");
+const prescriberController = require("../controllers/prescriberController");
+
+// GET /api/prescribers - Get prescribers with search and filter
+router.get("/", auth, prescriberController.getPrescribers);
+
+// GET /api/prescribers/:id - Get prescriber by ID
+router.get("/:id", auth, prescriberController.getPrescriberById);
+
+// POST /api/prescribers - Add a prescriber to the directory
+router.post("/", auth, prescriberController.createPrescriber);
+
+// PUT /api/prescribers/:id - Update prescriber
+router.put("/:id", auth, prescriberController.updatePrescriber);
+
+// DELETE /api/prescribers/:id - Soft delete prescriber
+router.delete("/:id", auth, prescriberController.deletePrescriber);
+
+module.exports = router;
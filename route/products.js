@@ -26,6 +26,9 @@ router.get("/meta/brands", auth, productController.getBrands);
 // POST /api/products/bulk-import - Bulk import products
 router.post("/bulk-import", auth, productController.bulkImportProducts);
 
+// GET /api/products/:id/substitutes - In-stock products with the same generic name and strength
+router.get("/:id/substitutes", auth, productController.getProductSubstitutes);
+
 // GET /api/products/:id - Get product by ID
 router.get("/:id", auth, productController.getProductById);
 
@@ -0,0 +1,24 @@
+const express = require("express");
+const router = express.Router();
+const { auth } = require("../midleware/auth");
+const promotionController = require("../controllers/promotionController");
+
+// POST /api/promotions/preview - Work out promotions for a basket without selling
+router.post("/preview", auth, promotionController.previewPromotions);
+
+// GET /api/promotions - Get promotions (?storeId=&running=true for those live now)
+router.get("/", auth, promotionController.getPromotions);
+
+// GET /api/promotions/:id - Get promotion by ID
+router.get("/:id", auth, promotionController.getPromotionById);
+
+// POST /api/promotions - Create promotion
+router.post("/", auth, promotionController.createPromotion);
+
+// PUT /api/promotions/:id - Update promotion
+router.put("/:id", auth, promotionController.updatePromotion);
+
+// DELETE /api/promotions/:id - Deactivate promotion
+router.delete("/:id", auth, promotionController.deletePromotion);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require("express");
+const router = express.Router();
+const { auth } = require("../midleware/auth");
+const purchaseOrderController = require("../controllers/purchaseOrderController");
+
+// GET /api/purchase-orders - Get all purchase orders with filters
+router.get("/", auth, purchaseOrderController.getAllPurchaseOrders);
+
+// GET /api/purchase-orders/:id - Get purchase order by ID
+router.get("/:id", auth, purchaseOrderController.getPurchaseOrderById);
+
+// POST /api/purchase-orders - Create purchase order (draft)
+router.post("/", auth, purchaseOrderController.createPurchaseOrder);
+
+// PUT /api/purchase-orders/:id - Update draft purchase order
+router.put("/:id", auth, purchaseOrderController.updatePurchaseOrder);
+
+// POST /api/purchase-orders/:id/send - Mark purchase order as sent to supplier
+router.post("/:id/send", auth, purchaseOrderController.sendPurchaseOrder);
+
+// POST /api/purchase-orders/:id/receive - Receive goods (creates a goods received note)
+router.post("/:id/receive", auth, purchaseOrderController.receiveGoods);
+
+// GET /api/purchase-orders/:id/receipts - Get goods received notes
+router.get("/:id/receipts", auth, purchaseOrderController.getGoodsReceipts);
+
+// POST /api/purchase-orders/:id/close - Close purchase order
+router.post("/:id/close", auth, purchaseOrderController.closePurchaseOrder);
+
+// POST /api/purchase-orders/:id/cancel - Cancel purchase order
+router.post("/:id/cancel", auth, purchaseOrderController.cancelPurchaseOrder);
+
+module.exports = router;
@@ -35,4 +35,32 @@ router.get("/inventory", auth, reportController.getInventoryReport);
 // GET /api/reports/inventory/movement - Stock Movement Report
 router.get("/inventory/movement", auth, reportController.getStockMovementReport);
 
+// ==================== TAX REPORTS ====================
+
+// GET /api/reports/tax - Tax summary by rate, rule and HSN (?format=csv&groupBy=rate|rule|hsn)
+router.get("/tax", auth, reportController.getTaxReport);
+
+// ==================== PHARMACY REPORTS ====================
+
+// GET /api/reports/controlled-register - Controlled substance register with running balances (?format=csv)
+router.get("/controlled-register", auth, reportController.getControlledRegisterReport);
+
+// ==================== PROMOTION REPORTS ====================
+
+// GET /api/reports/promotions - Promotion performance report
+router.get("/promotions", auth, reportController.getPromotionReport);
+
+// ==================== RECEIVABLES & PAYABLES REPORTS ====================
+
+// GET /api/reports/receivables-aging - Customer receivables aging report
+router.get("/receivables-aging", auth, reportController.getReceivablesAgingReport);
+
+// GET /api/reports/payables-aging - Supplier payables aging report
+router.get("/payables-aging", auth, reportController.getPayablesAgingReport);
+
+// ==================== GIFT CARD REPORTS ====================
+
+// GET /api/reports/gift-card-liability - Outstanding gift card and voucher balances
+router.get("/gift-card-liability", auth, reportController.getGiftCardLiabilityReport);
+
 module.exports = router;
@@ -1,11 +1,20 @@
 const express = require("express");
 const router = express.Router();
 const { auth } = require("../midleware/auth");
+const upload = require("../midleware/upload");
 const saleController = require("../controllers/saleController");
 
 // GET /api/sales/stats/summary - Get sales statistics
 router.get("/stats/summary", auth, saleController.getSalesStats);
 
+// POST /api/sales/prescriptions/image - Upload a scanned prescription
+router.post(
+  "/prescriptions/image",
+  auth,
+  upload.single("image"),
+  saleController.uploadPrescriptionImage
+);
+
 // POST /api/sales - Create sale
 router.post("/", auth, saleController.createSale);
 
@@ -15,6 +24,18 @@ router.get("/", auth, saleController.getAllSales);
 // GET /api/sales/:id - Get sale by ID
 router.get("/:id", auth, saleController.getSaleById);
 
+// GET /api/sales/:id/receipt - Render receipt (?format=html|text|escpos, ?width=80|58)
+router.get("/:id/receipt", auth, saleController.getSaleReceipt);
+
+// POST /api/sales/:id/payments - Collect payment against a due sale
+router.post("/:id/payments", auth, saleController.recordSalePayment);
+
+// POST /api/sales/:id/refunds - Refund all or part of a sale
+router.post("/:id/refunds", auth, saleController.createRefund);
+
+// GET /api/sales/:id/refunds - Get refunds for a sale
+router.get("/:id/refunds", auth, saleController.getSaleRefunds);
+
 // PUT /api/sales/:id - Update sale
 router.put("/:id", auth, saleController.updateSale);
 
@@ -0,0 +1,30 @@
+const express = require("express");
+const router = express.Router();
+const { auth } = require("../midleware/auth");
+const shiftController = require("../controllers/shiftController");
+
+// POST /api/shifts/open - Open a register shift with an opening float
+router.post("/open", auth, shiftController.openShift);
+
+// GET /api/shifts/current?storeId= - Get the current user's open shift
+router.get("/current", auth, shiftController.getCurrentShift);
+
+// GET /api/shifts - Get shifts with filters
+router.get("/", auth, shiftController.getShifts);
+
+// GET /api/shifts/:id - Get shift by ID
+router.get("/:id", auth, shiftController.getShiftById);
+
+// POST /api/shifts/:id/cash - Record cash in / cash out
+router.post("/:id/cash", auth, shiftController.addCashMovement);
+
+// GET /api/shifts/:id/x-report - Mid-shift report
+router.get("/:id/x-report", auth, shiftController.getXReport);
+
+// POST /api/shifts/:id/close - Close shift with counted cash
+router.post("/:id/close", auth, shiftController.closeShift);
+
+// GET /api/shifts/:id/z-report - End-of-shift report
+router.get("/:id/z-report", auth, shiftController.getZReport);
+
+module.exports = router;
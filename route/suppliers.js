@@ -15,6 +15,15 @@ router.get("/:id", auth, supplierController.getSupplierById);
 // POST /api/suppliers - Create new supplier
 router.post("/", auth, supplierController.createSupplier);
 
+// GET /api/suppliers/:id/ledger - Get supplier payables ledger and aging
+router.get("/:id/ledger", auth, supplierController.getSupplierLedger);
+
+// POST /api/suppliers/:id/ledger/invoices - Record a supplier invoice
+router.post("/:id/ledger/invoices", auth, supplierController.createSupplierInvoice);
+
+// POST /api/suppliers/:id/ledger/payments - Record a payment to a supplier
+router.post("/:id/ledger/payments", auth, supplierController.createSupplierPayment);
+
 // PUT /api/suppliers/:id - Update supplier
 router.put("/:id", auth, supplierController.updateSupplier);
 
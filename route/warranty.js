@@ -0,0 +1,12 @@
+const express = require("express");
+const router = express.Router();
+const { auth } = require("../midleware/auth");
+const warrantyController = require("../controllers/warrantyController");
+
+// GET /api/warranty - Get warranties with filters
+router.get("/", auth, warrantyController.getAllWarranties);
+
+// GET /api/warranty/:serial - Look up warranty by serial number
+router.get("/:serial", auth, warrantyController.getWarrantyBySerial);
+
+module.exports = router;
@@ -61,6 +61,14 @@ const userRoutes = require("./route/users");
 const settingsRoutes = require("./route/settings");
 const dashboardRoutes = require("./route/dashboard");
 const barcodeRoutes = require("./route/barcode");
+const purchaseOrderRoutes = require("./route/purchaseOrders");
+const warrantyRoutes = require("./route/warranty");
+const shiftRoutes = require("./route/shifts");
+const heldCartRoutes = require("./route/heldCarts");
+const promotionRoutes = require("./route/promotions");
+const couponRoutes = require("./route/coupons");
+const giftCardRoutes = require("./route/giftCards");
+const prescriberRoutes = require("./route/prescribers");
 
 const app = express();
 const server = http.createServer(app);
@@ -212,6 +220,14 @@ app.use("/api/reports", reportRoutes);
 app.use("/api/settings", settingsRoutes);
 app.use("/api/dashboard", dashboardRoutes);
 app.use("/api/barcodes", barcodeRoutes);
+app.use("/api/purchase-orders", purchaseOrderRoutes);
+app.use("/api/warranty", warrantyRoutes);
+app.use("/api/shifts", shiftRoutes);
+app.use("/api/held-carts", heldCartRoutes);
+app.use("/api/promotions", promotionRoutes);
+app.use("/api/coupons", couponRoutes);
+app.use("/api/gift-cards", giftCardRoutes);
+app.use("/api/prescribers", prescriberRoutes);
 app.use("/api/external-sources", require("./route/ExternalSource"));
 
 // Socket.IO connection handler
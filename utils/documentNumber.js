@@ -0,0 +1,98 @@
+/**
+ * Document Number Utility
+ *
+ * Issues sale, order, refund, purchase order, goods receipt, shift and held cart numbers from
+ * atomic per-store counters instead of timestamps and document counts
+ *
+ * Features:
+ * - Honours Settings.invoicePrefix, invoiceNumbering and invoiceStartNumber
+ * - Never reissues a number: lowering invoiceStartNumber carries on from the
+ *   highest number already issued
+ * - Sequential mode: one continuous sequence per store (INV-DHK01-1000)
+ * - Date-based mode: sequence restarts each fiscal year (INV-DHK01-2026-1000)
+ * - Gap-free when called with the session of the transaction saving the document
+ */
+
+const Counter = require("../model/Counter");
+const Settings = require("../model/Settings");
+const Store = require("../model/Store");
+
+// Prefix and first number per document type; sales follow the invoice settings
+const DOCUMENT_TYPES = {
+  sale: (settings) => ({
+    prefix: settings?.invoicePrefix || "INV",
+    start: settings?.invoiceStartNumber ?? 1000,
+  }),
+  order: () => ({ prefix: "ORD", start: 1 }),
+  refund: () => ({ prefix: "REF", start: 1 }),
+  purchaseOrder: () => ({ prefix: "PO", start: 1 }),
+  goodsReceipt: () => ({ prefix: "GRN", start: 1 }),
+  shift: () => ({ prefix: "SHF", start: 1 }),
+  heldCart: () => ({ prefix: "HLD", start: 1 }),
+};
+
+/**
+ * Fiscal year label for a date in the given timezone
+ * @param {Date} date
+ * @param {Number} startMonth - First month of the fiscal year (1-12)
+ * @param {String} timeZone
+ * @returns {String} "2026" for calendar years, "2025-26" otherwise
+ */
+const getFiscalYear = (date, startMonth = 1, timeZone = "UTC") => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "numeric",
+  }).formatToParts(date);
+  const year = Number(parts.find((p) => p.type === "year").value);
+  const month = Number(parts.find((p) => p.type === "month").value);
+
+  if (startMonth <= 1) return String(year);
+
+  const startYear = month >= startMonth ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, "0")}`;
+};
+
+/**
+ * Take the next number for a document
+ * @param {String} type - One of sale, order, refund, purchaseOrder, goodsReceipt, shift, heldCart
+ * @param {Object} options
+ * @param {String} options.storeId - Store the document belongs to
+ * @param {Date} [options.date] - Document date (defaults to now)
+ * @param {ClientSession} [options.session] - Transaction saving the document
+ * @returns {Promise<String>} Formatted document number
+ */
+const nextDocumentNumber = async (type, { storeId, date = new Date(), session } = {}) => {
+  if (!DOCUMENT_TYPES[type]) {
+    throw new Error(`Unknown document type: ${type}`);
+  }
+
+  const settings = await Settings.findOne({ isActive: true })
+    .select("invoicePrefix invoiceNumbering invoiceStartNumber fiscalYearStartMonth timezone")
+    .session(session || null);
+  const store = storeId
+    ? await Store.findById(storeId).select("code timezone").session(session || null)
+    : null;
+
+  const { prefix, start } = DOCUMENT_TYPES[type](settings);
+  const period =
+    settings?.invoiceNumbering === "date-based"
+      ? getFiscalYear(
+          date,
+          settings.fiscalYearStartMonth,
+          store?.timezone || settings.timezone || "UTC"
+        )
+      : "";
+
+  const number = await Counter.nextNumber(type, storeId || null, period, start, session);
+
+  // Numbers are unique across stores, so each carries the store's code
+  const storeCode = store ? store.code || store._id.toString().slice(-6).toUpperCase() : null;
+
+  return [prefix, storeCode, period, number].filter((part) => part !== null && part !== "").join("-");
+};
+
+module.exports = {
+  nextDocumentNumber,
+  getFiscalYear,
+};
@@ -0,0 +1,248 @@
+/**
+ * Kitchen Display Utility
+ *
+ * Routes restaurant order items to kitchen stations and keeps kitchen screens
+ * in step over Socket.IO
+ *
+ * Features:
+ * - Items go to the station whose categories include the product's category
+ *   (Settings.kitchenStations), otherwise to Settings.defaultKitchenStation
+ * - Order status follows its items: preparing once any item is started,
+ *   ready when every item is ready, served when every item is served
+ * - Cooks bump items one status forward; only a manager, giving a reason, can
+ *   send an item back
+ * - Orders move through explicit transitions (confirm, start, ready, serve,
+ *   cancel, pay); each change is kept in order.statusHistory with who made it
+ * - Lifecycle events are broadcast to the store's "store-<id>" room:
+ *   order:created, order:updated, order:status, order:item-status and order:ready
+ */
+
+const ITEM_STATUSES = ["pending", "preparing", "ready", "served"];
+
+// Order statuses the kitchen works on; orders reach it once confirmed
+const KITCHEN_ORDER_STATUSES = ["confirmed", "preparing", "ready", "served"];
+
+// Allowed moves; "items" is the status every item not yet past it is moved to
+const ORDER_TRANSITIONS = {
+  confirm: { from: ["pending"], to: "confirmed" },
+  start: { from: ["confirmed"], to: "preparing", items: "preparing" },
+  ready: { from: ["confirmed", "preparing"], to: "ready", items: "ready" },
+  serve: { from: ["ready"], to: "served", items: "served" },
+  cancel: { from: ["pending", "confirmed", "preparing", "ready"], to: "cancelled" },
+  pay: { from: ["ready", "served"], to: "paid" },
+};
+
+// Roles that may send an item back to an earlier status
+const ITEM_ROLLBACK_ROLES = ["super_admin", "admin", "manager"];
+
+// When each item status was reached
+const ITEM_STATUS_TIMESTAMPS = {
+  preparing: "startedAt",
+  ready: "readyAt",
+  served: "servedAt",
+};
+
+/**
+ * Station that prepares a product category
+ * @param {String} category
+ * @param {Object} settings - Settings document
+ */
+const stationFor = (category, settings) => {
+  const name = (category || "").trim().toLowerCase();
+  const station = (settings?.kitchenStations || []).find(
+    (entry) =>
+      entry.isActive !== false &&
+      entry.categories.some((categoryName) => categoryName.toLowerCase() === name)
+  );
+  return station?.name || settings?.defaultKitchenStation || "kitchen";
+};
+
+/**
+ * Set the station of every item from its category snapshot
+ * @param {Object} order - Order document with item categories filled in
+ * @param {Object} settings - Settings document
+ */
+const assignStations = (order, settings) => {
+  order.items.forEach((item) => {
+    item.station = stationFor(item.category, settings);
+  });
+};
+
+/**
+ * Move an item to a status and stamp when it got there
+ */
+const setItemStatus = (item, status) => {
+  if (!ITEM_STATUSES.includes(status)) {
+    throw new Error(`Invalid item status ${status}`);
+  }
+  item.status = status;
+  const field = ITEM_STATUS_TIMESTAMPS[status];
+  if (field) item[field] = new Date();
+};
+
+// Next status when a cook bumps an item without naming one
+const nextItemStatus = (status) => {
+  const index = ITEM_STATUSES.indexOf(status);
+  if (index === ITEM_STATUSES.length - 1) {
+    throw new Error("Item has already been served");
+  }
+  return ITEM_STATUSES[index + 1];
+};
+
+/**
+ * Move an item on from the kitchen screen: one status forward, or back to an
+ * earlier status when a manager gives a reason
+ * @param {Object} item - Order item
+ * @param {String} [status] - The next status when omitted
+ * @param {Object} details - { role, reason } of the user making the change
+ * @returns {Boolean} true when the item was sent back
+ */
+const bumpItemStatus = (item, status, { role, reason } = {}) => {
+  const target = status || nextItemStatus(item.status);
+  const from = ITEM_STATUSES.indexOf(item.status);
+  const to = ITEM_STATUSES.indexOf(target);
+  if (to === -1) {
+    throw new Error(`Invalid item status ${target}`);
+  }
+  if (to === from) {
+    throw new Error(`Item is already ${target}`);
+  }
+
+  if (to > from) {
+    if (to !== from + 1) {
+      throw new Error(`A ${item.status} item can only move to ${ITEM_STATUSES[from + 1]}`);
+    }
+    setItemStatus(item, target);
+    return false;
+  }
+
+  if (!ITEM_ROLLBACK_ROLES.includes(role)) {
+    throw new Error("Only a manager can send an item back");
+  }
+  if (!reason) {
+    throw new Error("A reason is required to send an item back");
+  }
+  // Times of the statuses being undone no longer apply
+  ITEM_STATUSES.slice(to + 1).forEach((undone) => {
+    const field = ITEM_STATUS_TIMESTAMPS[undone];
+    if (field) item[field] = undefined;
+  });
+  item.status = target;
+  return true;
+};
+
+/**
+ * Order status implied by its item statuses
+ * Orders with nothing started stay pending until confirmed, confirmed after.
+ * @param {Object} order - Order document
+ * @returns {String}
+ */
+const deriveOrderStatus = (order) => {
+  const statuses = order.items.map((item) => item.status);
+  if (statuses.length === 0) return order.status;
+  if (statuses.every((status) => status === "served")) return "served";
+  if (statuses.every((status) => status === "ready" || status === "served")) return "ready";
+  if (statuses.some((status) => status !== "pending")) return "preparing";
+  return order.status === "pending" ? "pending" : "confirmed";
+};
+
+/**
+ * Record a status change with who made it; the caller saves the order
+ * @param {Object} order - Order document
+ * @param {String} action - Transition name, or "kitchen"/"edit" for derived changes
+ * @param {String} status - New status
+ * @param {Object} details - { userId, reason }
+ */
+const recordStatusChange = (order, action, status, { userId, reason } = {}) => {
+  if (order.status === status) return;
+  order.statusHistory.push({ action, from: order.status, to: status, userId, reason });
+  order.status = status;
+};
+
+/**
+ * Apply a transition, moving the items along with the order
+ * @param {Object} order - Order document
+ * @param {String} action - Key of ORDER_TRANSITIONS
+ * @param {Object} details - { userId, reason }
+ */
+const applyOrderTransition = (order, action, details = {}) => {
+  const transition = ORDER_TRANSITIONS[action];
+  if (!transition) {
+    throw new Error(`Unknown order action ${action}`);
+  }
+  if (!transition.from.includes(order.status)) {
+    throw new Error(`A ${order.status} order cannot be moved to ${transition.to}`);
+  }
+
+  if (transition.items) {
+    const target = ITEM_STATUSES.indexOf(transition.items);
+    order.items
+      .filter((item) => ITEM_STATUSES.indexOf(item.status) < target)
+      .forEach((item) => setItemStatus(item, transition.items));
+  }
+  recordStatusChange(order, action, transition.to, details);
+};
+
+/**
+ * Tickets for a station screen: open orders oldest first with only the items
+ * the station still has to prepare
+ * @param {Array} orders - Order documents
+ * @param {String} [station] - All stations when omitted
+ */
+const buildStationTickets = (orders, station) => {
+  const now = Date.now();
+  return orders
+    .map((order) => ({
+      orderId: order._id,
+      orderNo: order.orderNo,
+      tableId: order.tableId,
+      tableName: order.tableName,
+      status: order.status,
+      notes: order.notes,
+      createdAt: order.createdAt,
+      waitingMinutes: Math.floor((now - new Date(order.createdAt).getTime()) / 60000),
+      items: order.items
+        .filter((item) => item.status !== "served" && (!station || item.station === station))
+        .map((item) => ({
+          _id: item._id,
+          productName: item.productName,
+          quantity: item.quantity,
+          modifiers: item.modifiers,
+          notes: item.notes,
+          station: item.station,
+          status: item.status,
+          startedAt: item.startedAt,
+          readyAt: item.readyAt,
+        })),
+    }))
+    .filter((ticket) => ticket.items.length > 0)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+};
+
+/**
+ * Broadcast an order event to the store's room
+ * @param {Object} io - Socket.IO server (app.get("io")); nothing is sent without one
+ * @param {String} event - e.g. "order:created"
+ * @param {Object} order - Order document
+ * @param {Object} [payload] - Event data; defaults to the whole order
+ */
+const emitOrderEvent = (io, event, order, payload) => {
+  if (!io || !order?.storeId) return;
+  io.to(`store-${order.storeId}`).emit(event, payload || order);
+};
+
+module.exports = {
+  ITEM_STATUSES,
+  KITCHEN_ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  stationFor,
+  assignStations,
+  setItemStatus,
+  nextItemStatus,
+  bumpItemStatus,
+  deriveOrderStatus,
+  recordStatusChange,
+  applyOrderTransition,
+  buildStationTickets,
+  emitOrderEvent,
+};
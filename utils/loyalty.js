@@ -0,0 +1,351 @@
+/**
+ * Loyalty Utility
+ *
+ * Points accrual, redemption and tiers for the customer loyalty program
+ *
+ * Features:
+ * - Points earned per currency unit spent (Settings.pointsPerDollar) times
+ *   the customer's tier multiplier
+ * - Points redeemed at checkout as a "loyalty_points" payment worth
+ *   Settings.pointValue each
+ * - Refunds take back earned points and return redeemed ones pro rata
+ * - Tiers follow spend over a rolling window (Settings.tierReviewMonths),
+ *   moving customers up and down
+ * - Earned points expire after Settings.pointsExpiryMonths
+ *
+ * Customers with membershipType "none" are not enrolled.
+ */
+
+const mongoose = require("mongoose");
+const Sale = require("../model/Sale");
+const Customer = require("../model/Customer");
+const LoyaltyTransaction = require("../model/LoyaltyTransaction");
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+const isEnrolled = (customer, settings) =>
+  Boolean(settings?.loyaltyProgramEnabled && customer && customer.membershipType !== "none");
+
+// Tiers ordered from the lowest spend threshold up
+const getTiers = (settings) =>
+  [...(settings?.loyaltyTiers || [])].sort((a, b) => a.minSpend - b.minSpend);
+
+const getMultiplier = (settings, tier) =>
+  getTiers(settings).find((entry) => entry.tier === tier)?.multiplier ?? 1;
+
+const monthsFrom = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+const expiryFor = (settings, date = new Date()) =>
+  settings?.pointsExpiryMonths ? monthsFrom(date, settings.pointsExpiryMonths) : undefined;
+
+/**
+ * Load a customer for checkout with lapsed points already expired, so the
+ * balance used for redemption is current
+ * @param {ObjectId} customerId
+ * @param {ClientSession} [session]
+ */
+const loadLoyaltyCustomer = async (customerId, session) => {
+  await LoyaltyTransaction.expirePoints(customerId, session);
+  return Customer.findById(customerId).session(session || null);
+};
+
+/**
+ * Points a purchase earns
+ * @param {Number} amount - Amount paid with money (points redeemed do not earn)
+ * @param {Object} settings - Settings document
+ * @param {String} tier - Customer membershipType
+ * @returns {{ points: Number, multiplier: Number }}
+ */
+const calculateEarnedPoints = (amount, settings, tier) => {
+  const multiplier = getMultiplier(settings, tier);
+  const points = Math.floor(Math.max(0, amount) * (settings?.pointsPerDollar || 0) * multiplier);
+  return { points, multiplier };
+};
+
+/**
+ * Check a points payment and work out how many points it takes
+ * @param {Object} customer - Customer document
+ * @param {Number} amount - Currency amount to pay with points
+ * @param {Object} settings - Settings document
+ * @returns {Number} Points to deduct
+ */
+const pointsForRedemption = (customer, amount, settings) => {
+  if (!isEnrolled(customer, settings)) {
+    throw new Error("Loyalty points can only be redeemed by an enrolled customer");
+  }
+  if (!settings.pointValue) {
+    throw new Error("Loyalty points cannot be redeemed");
+  }
+  const points = Math.ceil(round(amount / settings.pointValue));
+  if (points < (settings.minPointsToRedeem || 0)) {
+    throw new Error(`At least ${settings.minPointsToRedeem} points must be redeemed`);
+  }
+  if (points > (customer.loyaltyPoints || 0)) {
+    throw new Error(
+      `Customer only has ${customer.loyaltyPoints || 0} points (${points} needed)`
+    );
+  }
+  return points;
+};
+
+/**
+ * Customer spend over the tier review window, net of refunds
+ * @param {ObjectId} customerId
+ * @param {Object} settings - Settings document
+ * @param {ClientSession} [session]
+ */
+const getRollingSpend = async (customerId, settings, session) => {
+  const since = monthsFrom(new Date(), -(settings?.tierReviewMonths || 12));
+  const [result] = await Sale.aggregate([
+    {
+      $match: {
+        customerId: new mongoose.Types.ObjectId(customerId),
+        createdAt: { $gte: since },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        spend: { $sum: { $subtract: ["$total", { $ifNull: ["$refundedAmount", 0] }] } },
+      },
+    },
+  ]).session(session || null);
+  return round(Math.max(0, result?.spend || 0));
+};
+
+/**
+ * Tier a rolling spend qualifies for; the current tier when none is configured
+ */
+const getQualifyingTier = (settings, rollingSpend, currentTier) => {
+  const qualified = getTiers(settings)
+    .filter((entry) => rollingSpend >= entry.minSpend)
+    .pop();
+  return qualified?.tier || currentTier;
+};
+
+/**
+ * Move a customer to the tier their rolling spend qualifies for
+ * Saves the customer when the tier changes
+ * @returns {Promise<{ tier: String, previousTier: String, rollingSpend: Number }>}
+ */
+const refreshTier = async (customer, settings, session) => {
+  const previousTier = customer.membershipType;
+  const rollingSpend = await getRollingSpend(customer._id, settings, session);
+  if (!isEnrolled(customer, settings)) {
+    return { tier: previousTier, previousTier, rollingSpend };
+  }
+
+  const tier = getQualifyingTier(settings, rollingSpend, previousTier);
+  if (tier !== previousTier) {
+    customer.membershipType = tier;
+    await customer.save({ session });
+  }
+  return { tier, previousTier, rollingSpend };
+};
+
+/**
+ * Next tier up and the spend still needed to reach it
+ */
+const getNextTier = (settings, tier, rollingSpend) => {
+  const next = getTiers(settings).find(
+    (entry) => entry.minSpend > rollingSpend && entry.tier !== tier
+  );
+  return next ? { tier: next.tier, spendNeeded: round(next.minSpend - rollingSpend) } : null;
+};
+
+/**
+ * Record a sale against the customer: visit stats, points redeemed and earned,
+ * and tier review. Runs inside the sale transaction.
+ * @param {Object} sale - Saved Sale document (loyalty is filled in and saved)
+ * @param {Object} customer - Customer document
+ * @param {Object} settings - Settings document
+ * @param {Object} options - { pointsRedeemed, userId, session }
+ */
+const applySaleToCustomer = async (sale, customer, settings, options) => {
+  const { pointsRedeemed = 0, userId, session } = options;
+
+  customer.totalSpent = round((customer.totalSpent || 0) + sale.total);
+  customer.visitCount = (customer.visitCount || 0) + 1;
+  customer.lastVisit = sale.createdAt || new Date();
+
+  if (!isEnrolled(customer, settings)) {
+    await customer.save({ session });
+    return;
+  }
+
+  const redeemedValue = sale.payments
+    .filter((payment) => payment.method === "loyalty_points")
+    .reduce((sum, payment) => sum + (payment.amount || 0), 0);
+
+  if (pointsRedeemed > 0) {
+    await LoyaltyTransaction.post(
+      customer,
+      {
+        type: "redeem",
+        points: -pointsRedeemed,
+        saleId: sale._id,
+        storeId: sale.storeId,
+        description: `Redeemed on ${sale.saleNo}`,
+        userId,
+      },
+      session
+    );
+  }
+
+  const { points, multiplier } = calculateEarnedPoints(
+    sale.total - redeemedValue,
+    settings,
+    customer.membershipType
+  );
+  if (points > 0) {
+    await LoyaltyTransaction.post(
+      customer,
+      {
+        type: "earn",
+        points,
+        saleId: sale._id,
+        storeId: sale.storeId,
+        description: `Earned on ${sale.saleNo}`,
+        userId,
+        expiresAt: expiryFor(settings, sale.createdAt || new Date()),
+      },
+      session
+    );
+  }
+  await customer.save({ session });
+
+  sale.loyalty = {
+    tier: customer.membershipType,
+    multiplier,
+    pointsEarned: points,
+    pointsRedeemed,
+    redeemedValue: round(redeemedValue),
+  };
+  await sale.save({ session });
+
+  await refreshTier(customer, settings, session);
+};
+
+/**
+ * Take back points earned on the refunded share of a sale and give back points
+ * that paid for it. Returns what happened for the Refund record.
+ * @param {Object} sale - Sale document, refundedAmount already updated
+ * @param {Object} customer - Customer document
+ * @param {Number} refundTotal - Value of this refund
+ * @param {Object} settings - Settings document
+ * @param {Object} options - { refundId, userId, session }
+ * @returns {Promise<{ pointsReversed, pointsReturned, valueReturned }>}
+ */
+const reverseSaleLoyalty = async (sale, customer, refundTotal, settings, options) => {
+  const { refundId, userId, session } = options;
+  const loyalty = sale.loyalty || {};
+  const result = { pointsReversed: 0, pointsReturned: 0, valueReturned: 0 };
+  if (!loyalty.pointsEarned && !loyalty.pointsRedeemed) return result;
+
+  // The last refund settles whatever rounding left over
+  const share = sale.status === "refunded" ? 1 : Math.min(1, refundTotal / sale.total);
+  const remaining = (total, used) => Math.max(0, (total || 0) - (used || 0));
+  const pick = (total, used) =>
+    sale.status === "refunded"
+      ? remaining(total, used)
+      : Math.min(Math.round((total || 0) * share), remaining(total, used));
+
+  result.pointsReturned = pick(loyalty.pointsRedeemed, loyalty.pointsReturned);
+  result.valueReturned = loyalty.pointsRedeemed
+    ? round((loyalty.redeemedValue * result.pointsReturned) / loyalty.pointsRedeemed)
+    : 0;
+  // Points already spent cannot be taken back below zero
+  result.pointsReversed = Math.min(
+    pick(loyalty.pointsEarned, loyalty.pointsReversed),
+    (customer.loyaltyPoints || 0) + result.pointsReturned
+  );
+
+  const entry = {
+    saleId: sale._id,
+    refundId,
+    storeId: sale.storeId,
+    userId,
+  };
+  if (result.pointsReturned > 0) {
+    await LoyaltyTransaction.post(
+      customer,
+      {
+        ...entry,
+        type: "refund_credit",
+        points: result.pointsReturned,
+        description: `Returned on refund of ${sale.saleNo}`,
+        // Returned points get a fresh expiry rather than coming back already lapsed
+        expiresAt: expiryFor(settings),
+      },
+      session
+    );
+  }
+  if (result.pointsReversed > 0) {
+    await LoyaltyTransaction.post(
+      customer,
+      {
+        ...entry,
+        type: "reverse",
+        points: -result.pointsReversed,
+        description: `Reversed on refund of ${sale.saleNo}`,
+      },
+      session
+    );
+  }
+
+  sale.loyalty.pointsReturned = (loyalty.pointsReturned || 0) + result.pointsReturned;
+  sale.loyalty.pointsReversed = (loyalty.pointsReversed || 0) + result.pointsReversed;
+  return result;
+};
+
+/**
+ * Expire lapsed points and review every upper-tier customer, including those
+ * who stopped buying and should drop down. Meant for a scheduled job.
+ * @param {Object} settings - Settings document
+ * @returns {Promise<{ pointsExpired: Number, tierChanges: Array }>}
+ */
+const runLoyaltyMaintenance = async (settings) => {
+  const pointsExpired = await LoyaltyTransaction.expirePoints();
+
+  const tierChanges = [];
+  if (settings?.loyaltyProgramEnabled) {
+    const baseTier = getTiers(settings)[0]?.tier;
+    const customers = await Customer.find({
+      isActive: true,
+      membershipType: { $nin: ["none", baseTier] },
+    });
+    for (const customer of customers) {
+      const { tier, previousTier, rollingSpend } = await refreshTier(customer, settings);
+      if (tier !== previousTier) {
+        tierChanges.push({
+          customerId: customer._id,
+          name: customer.name,
+          previousTier,
+          tier,
+          rollingSpend,
+        });
+      }
+    }
+  }
+
+  return { pointsExpired, tierChanges };
+};
+
+module.exports = {
+  isEnrolled,
+  loadLoyaltyCustomer,
+  expiryFor,
+  calculateEarnedPoints,
+  pointsForRedemption,
+  getRollingSpend,
+  getQualifyingTier,
+  refreshTier,
+  getNextTier,
+  applySaleToCustomer,
+  reverseSaleLoyalty,
+  runLoyaltyMaintenance,
+};
@@ -0,0 +1,139 @@
+/**
+ * Payment Utility
+ *
+ * Validates the tenders taken at checkout against the sale total
+ *
+ * Features:
+ * - Split tender across any mix of payment methods
+ * - Change is only given on cash; other tenders cannot overpay
+ * - Cash rounding to Settings.cashRoundingIncrement (e.g. 0.05) when cash
+ *   settles the balance
+ * - Unpaid balances need Settings.allowCreditSales, and part-paid ones
+ *   Settings.allowPartialPayments as well
+ * - Methods switched off in Settings.paymentMethods are rejected
+ */
+
+// Sale payment methods and the Settings.paymentMethods types that enable them.
+// Methods not listed here are controlled by their own features.
+const METHOD_TYPES = {
+  cash: ["cash"],
+  card: ["card"],
+  mobile_wallet: ["upi", "wallet"],
+};
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+/**
+ * Round a cash amount to the configured increment
+ * @param {Number} amount
+ * @param {Number} increment - e.g. 0.05; 0 leaves the amount as it is
+ * @param {String} mode - nearest, up or down
+ */
+const roundCash = (amount, increment, mode = "nearest") => {
+  if (!increment || increment <= 0) return round(amount);
+  // The small offset keeps values like 1.025 from landing on the wrong side
+  const units = amount / increment;
+  const rounders = { up: Math.ceil, down: Math.floor, nearest: Math.round };
+  const rounder = rounders[mode] || Math.round;
+  const offset = mode === "up" ? -1e-9 : 1e-9;
+  return round(rounder(units + offset) * increment);
+};
+
+/**
+ * Throw when a method is switched off in Settings.paymentMethods
+ * An empty list leaves every method available
+ */
+const assertMethodEnabled = (method, settings) => {
+  const configured = settings?.paymentMethods || [];
+  const types = METHOD_TYPES[method];
+  if (configured.length === 0 || !types) return;
+
+  const enabled = configured.some((entry) => entry.isActive && types.includes(entry.type));
+  if (!enabled) {
+    throw new Error(`Payment method ${method.replace("_", " ")} is not enabled`);
+  }
+};
+
+/**
+ * Check the tenders for a sale and work out change, rounding and any balance due
+ * @param {Number} total - Sale total
+ * @param {Array} payments - Tenders from the till ({ method, amount, ... })
+ * @param {Object} settings - Settings document
+ * @param {Object} options - { isDue } true when the cashier puts the balance on account
+ * @returns {{ payments, amountPaid, change, roundingAdjustment, dueAmount }}
+ */
+const settlePayments = (total, payments = [], settings, { isDue = false } = {}) => {
+  const tenders = payments.map((payment) => ({ ...payment, amount: Number(payment.amount) }));
+
+  for (const tender of tenders) {
+    if (!tender.method || tender.method === "due") {
+      throw new Error("A valid payment method is required");
+    }
+    if (!Number.isFinite(tender.amount) || tender.amount <= 0) {
+      throw new Error(`Invalid amount for ${tender.method} payment`);
+    }
+    tender.amount = round(tender.amount);
+    assertMethodEnabled(tender.method, settings);
+  }
+
+  const cashTenders = tenders.filter((tender) => tender.method === "cash");
+  const cashTendered = round(cashTenders.reduce((sum, tender) => sum + tender.amount, 0));
+  const otherPaid = round(
+    tenders
+      .filter((tender) => tender.method !== "cash")
+      .reduce((sum, tender) => sum + tender.amount, 0)
+  );
+
+  if (otherPaid > total) {
+    throw new Error("Only cash payments can be more than the amount due");
+  }
+
+  // Cash rounding only applies when cash settles what is left
+  const cashDue = round(total - otherPaid);
+  let roundingAdjustment = 0;
+  if (cashTendered > 0) {
+    const roundedDue = roundCash(
+      cashDue,
+      settings?.cashRoundingIncrement,
+      settings?.cashRoundingMode
+    );
+    if (cashTendered >= roundedDue) roundingAdjustment = round(roundedDue - cashDue);
+  }
+
+  const payable = round(cashDue + roundingAdjustment);
+  const change = round(Math.max(0, cashTendered - payable));
+  const amountPaid = round(otherPaid + cashTendered - change);
+  const dueAmount = round(Math.max(0, total + roundingAdjustment - amountPaid));
+
+  // Change comes out of the last cash tender first
+  let remainingChange = change;
+  for (const tender of [...cashTenders].reverse()) {
+    if (remainingChange <= 0) break;
+    tender.change = Math.min(tender.amount, remainingChange);
+    remainingChange = round(remainingChange - tender.change);
+  }
+
+  if (dueAmount > 0) {
+    if (!isDue) {
+      throw new Error(
+        `Payments of ${amountPaid.toFixed(2)} do not cover the total of ${total.toFixed(2)}`
+      );
+    }
+    if (!settings?.allowCreditSales) {
+      throw new Error("Credit sales are not enabled");
+    }
+    if (amountPaid > 0 && settings.allowPartialPayments === false) {
+      throw new Error("Partial payments are not enabled");
+    }
+    // Keeps the sale listed on the customer's receivables statement
+    tenders.push({ method: "due", amount: 0 });
+  }
+
+  return { payments: tenders, amountPaid, change, roundingAdjustment, dueAmount };
+};
+
+module.exports = {
+  roundCash,
+  assertMethodEnabled,
+  settlePayments,
+};
@@ -0,0 +1,229 @@
+/**
+ * Prescription Utility
+ *
+ * Dispensing history and refill reminders for pharmacy patients, built from
+ * sale lines of prescription-only products
+ *
+ * Features:
+ * - Per-patient history of what was dispensed, against which prescription
+ * - Days of supply from the quantity dispensed (net of refunds) and the dosage:
+ *   an explicit daysSupply, dosesPerDay x unitsPerDose, or directions such as
+ *   "1-0-1", "BD" or "every 8 hours" on the prescription or the product
+ * - Refill reminders for patients whose supply runs out within a window
+ *
+ * Patients can opt out with patient.refillRemindersEnabled on the customer.
+ */
+
+const mongoose = require("mongoose");
+const Sale = require("../model/Sale");
+const Customer = require("../model/Customer");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Common prescription frequency abbreviations and wordings, in doses per day
+const FREQUENCIES = [
+  [/\b(qid|qds|four times)\b/, 4],
+  [/\b(tds|tid|thrice|three times)\b/, 3],
+  [/\b(bd|bid|twice)\b/, 2],
+  [/\b(od|qd|once|daily|nocte|hs|at night|in the morning)\b/, 1],
+];
+
+/**
+ * Doses per day from written directions
+ * @param {String} directions - e.g. "1-0-1", "TDS", "2 times a day", "every 6 hours"
+ * @returns {Number|null} null when the directions cannot be read
+ */
+const parseDosesPerDay = (directions) => {
+  const text = String(directions || "").toLowerCase().trim();
+  if (!text) return null;
+
+  // Morning-noon-night notation counts units at each time: "1-0-1" is two a day
+  if (/^\d+(?:\.\d+)?(?:\s*-\s*\d+(?:\.\d+)?){1,3}$/.test(text)) {
+    const units = text.split("-").reduce((sum, part) => sum + Number(part), 0);
+    return units || null;
+  }
+
+  const times = text.match(/(\d+)\s*(?:x|times)\s*(?:a|per|\/)?\s*day/);
+  if (times) return Number(times[1]) || null;
+
+  const interval = text.match(/(?:every|q)\s*(\d+)\s*(?:h|hr|hrs|hours?)\b/);
+  if (interval && Number(interval[1]) > 0) return 24 / Number(interval[1]);
+
+  const frequency = FREQUENCIES.find(([regex]) => regex.test(text));
+  return frequency ? frequency[1] : null;
+};
+
+/**
+ * Units left with the patient from a sale line (selling units, net of refunds)
+ */
+const netDispensedQuantity = (line) => {
+  const factor = line.conversionFactor || 1;
+  const quantity = line.baseQuantity ?? line.quantity * factor;
+  return Math.max(0, quantity - (line.refundedQuantity || 0) * factor);
+};
+
+/**
+ * Days a dispensed line should last
+ * @param {Object} line - Sale line with its prescription
+ * @param {Object} product - Product (dosage is the fallback directions)
+ * @returns {Number|null} null when the dosage is unknown
+ */
+const getDaysSupply = (line, product) => {
+  const prescription = line.prescription || {};
+  if (prescription.daysSupply > 0) return prescription.daysSupply;
+
+  const dosesPerDay =
+    prescription.dosesPerDay > 0
+      ? prescription.dosesPerDay
+      : parseDosesPerDay(prescription.directions) || parseDosesPerDay(product?.dosage);
+  if (!dosesPerDay) return null;
+
+  const unitsPerDose = prescription.unitsPerDose > 0 ? prescription.unitsPerDose : 1;
+  const unitsPerDay = dosesPerDay * unitsPerDose;
+  return Math.floor(netDispensedQuantity(line) / unitsPerDay);
+};
+
+// Sale lines of prescription-only products, newest first, with the product joined
+const prescriptionLinesPipeline = (match) => [
+  { $match: match },
+  { $unwind: "$items" },
+  {
+    $lookup: {
+      from: "products",
+      localField: "items.productId",
+      foreignField: "_id",
+      as: "product",
+    },
+  },
+  { $unwind: "$product" },
+  {
+    $match: {
+      $or: [{ "product.isPrescription": true }, { "items.prescription": { $exists: true } }],
+    },
+  },
+  { $sort: { createdAt: -1 } },
+];
+
+// Shape one aggregated line for the API, with its supply and refill date
+const toHistoryEntry = (row) => {
+  const daysSupply = getDaysSupply(row.items, row.product);
+  const refillDueDate =
+    daysSupply !== null
+      ? new Date(new Date(row.createdAt).getTime() + daysSupply * DAY_MS)
+      : null;
+
+  return {
+    saleId: row._id,
+    saleNo: row.saleNo,
+    storeId: row.storeId,
+    dispensedAt: row.createdAt,
+    productId: row.product._id,
+    productName: row.items.productName || row.product.name,
+    genericName: row.product.genericName,
+    strength: row.product.strength,
+    isControlled: Boolean(row.items.isControlled ?? row.product.isControlled),
+    quantity: row.items.quantity,
+    unitName: row.items.unitName || row.product.sellingUnit,
+    quantityDispensed: netDispensedQuantity(row.items),
+    refundedQuantity: row.items.refundedQuantity || 0,
+    prescription: row.items.prescription || null,
+    daysSupply,
+    refillDueDate,
+  };
+};
+
+/**
+ * Prescription history of one patient, newest first
+ * @param {ObjectId} customerId
+ * @param {Object} options - { from, to, productId }
+ */
+const getPrescriptionHistory = async (customerId, { from, to, productId } = {}) => {
+  const match = { customerId: new mongoose.Types.ObjectId(customerId) };
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = new Date(from);
+    if (to) match.createdAt.$lte = new Date(to);
+  }
+
+  const pipeline = prescriptionLinesPipeline(match);
+  if (productId) {
+    pipeline.splice(2, 0, {
+      $match: { "items.productId": new mongoose.Types.ObjectId(productId) },
+    });
+  }
+
+  const rows = await Sale.aggregate(pipeline);
+  return rows.map(toHistoryEntry).filter((entry) => entry.quantityDispensed > 0);
+};
+
+/**
+ * Patients whose last supply of a medicine runs out soon or ran out recently
+ * Only the latest dispensing of each product per patient counts, so a refill
+ * already bought clears the reminder.
+ * @param {Object} options - { storeId, days = 7, overdueDays = 30, lookbackDays = 365 }
+ * @returns {Promise<Array>} Reminders ordered by refill date
+ */
+const getRefillReminders = async ({
+  storeId,
+  days = 7,
+  overdueDays = 30,
+  lookbackDays = 365,
+} = {}) => {
+  const now = Date.now();
+  const match = {
+    customerId: { $ne: null },
+    createdAt: { $gte: new Date(now - lookbackDays * DAY_MS) },
+  };
+  if (storeId) match.storeId = new mongoose.Types.ObjectId(storeId);
+
+  const rows = await Sale.aggregate([
+    ...prescriptionLinesPipeline(match),
+    {
+      $group: {
+        _id: { customerId: "$customerId", productId: "$items.productId" },
+        latest: { $first: "$$ROOT" },
+      },
+    },
+  ]);
+
+  const windowEnd = now + days * DAY_MS;
+  const windowStart = now - overdueDays * DAY_MS;
+  const due = rows
+    .map((row) => ({ customerId: row._id.customerId, ...toHistoryEntry(row.latest) }))
+    .filter(
+      (entry) =>
+        entry.refillDueDate &&
+        entry.quantityDispensed > 0 &&
+        entry.refillDueDate.getTime() <= windowEnd &&
+        entry.refillDueDate.getTime() >= windowStart
+    );
+  if (due.length === 0) return [];
+
+  const customers = await Customer.find({
+    _id: { $in: due.map((entry) => entry.customerId) },
+    isActive: true,
+    "patient.refillRemindersEnabled": { $ne: false },
+  }).select("name phone email");
+  const customersById = new Map(customers.map((customer) => [customer._id.toString(), customer]));
+
+  return due
+    .filter((entry) => customersById.has(entry.customerId.toString()))
+    .map((entry) => {
+      const customer = customersById.get(entry.customerId.toString());
+      return {
+        ...entry,
+        customerName: customer.name,
+        phone: customer.phone,
+        email: customer.email,
+        daysUntilDue: Math.ceil((entry.refillDueDate.getTime() - now) / DAY_MS),
+      };
+    })
+    .sort((a, b) => a.refillDueDate - b.refillDueDate);
+};
+
+module.exports = {
+  parseDosesPerDay,
+  getDaysSupply,
+  getPrescriptionHistory,
+  getRefillReminders,
+};
@@ -0,0 +1,280 @@
+/**
+ * Promotion Engine
+ *
+ * Works out which promotions apply to a basket and how much each line is
+ * discounted. Pure functions: callers load the promotions and products.
+ *
+ * Evaluation order:
+ * 1. Product markdowns (Product.discountPrice / discountPercentage)
+ * 2. Line promotions by priority: product discounts, buy X get Y, mix-and-match
+ * 3. Spend thresholds on what is left of the basket
+ *
+ * Units already taken by a non-stackable promotion are not offered to the next
+ * non-stackable one, so a customer never gets two such deals on the same unit.
+ */
+
+const LINE_TYPES = ["product_discount", "buy_x_get_y", "mix_and_match"];
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(":").map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+/**
+ * Whether a promotion's day-of-week and hour window covers a moment
+ * @param {Object} promotion
+ * @param {Date} date
+ * @param {String} timeZone - Store timezone the windows are expressed in
+ * @returns {Boolean}
+ */
+const isWithinSchedule = (promotion, date = new Date(), timeZone = "UTC") => {
+  if (promotion.startDate && date < promotion.startDate) return false;
+  if (promotion.endDate && date > promotion.endDate) return false;
+
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  })
+    .formatToParts(date)
+    .forEach((p) => {
+      parts[p.type] = p.value;
+    });
+
+  if (promotion.daysOfWeek?.length) {
+    const day = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(parts.weekday);
+    if (!promotion.daysOfWeek.includes(day)) return false;
+  }
+
+  if (promotion.startTime && promotion.endTime) {
+    const now = toMinutes(`${parts.hour}:${parts.minute}`);
+    const start = toMinutes(promotion.startTime);
+    const end = toMinutes(promotion.endTime);
+    // Windows like 22:00-02:00 run past midnight
+    const inWindow = start <= end ? now >= start && now < end : now >= start || now < end;
+    if (!inWindow) return false;
+  }
+
+  return true;
+};
+
+// Empty target lists mean the promotion covers every product
+const matchesTarget = (promotion, line) => {
+  const products = (promotion.products || []).map(String);
+  const categories = promotion.categories || [];
+  const brands = promotion.brands || [];
+  if (products.length === 0 && categories.length === 0 && brands.length === 0) return true;
+  return (
+    products.includes(String(line.productId)) ||
+    categories.includes(line.category) ||
+    (line.brand && brands.includes(line.brand))
+  );
+};
+
+const availableQuantity = (promotion, line) =>
+  promotion.stackable ? line.quantity : line.quantity - line.claimed;
+
+// Net value per unit after discounts applied so far
+const netUnitPrice = (line) => (line.gross - line.discount) / line.quantity;
+
+const addDiscount = (line, promotion, amount) => {
+  const capped = Math.min(amount, line.gross - line.discount);
+  if (capped <= 0) return 0;
+  line.discount += capped;
+  const existing = line.applied.find(
+    (a) => String(a.promotionId || a.type) === String(promotion._id || promotion.type)
+  );
+  if (existing) {
+    existing.amount += capped;
+  } else {
+    line.applied.push({
+      promotionId: promotion._id,
+      name: promotion.name,
+      type: promotion.type,
+      amount: capped,
+    });
+  }
+  return capped;
+};
+
+// Individual units eligible for a grouped deal, dearest first
+const expandUnits = (promotion, lines) => {
+  const units = [];
+  for (const line of lines) {
+    if (line.excluded || !matchesTarget(promotion, line)) continue;
+    const quantity = availableQuantity(promotion, line);
+    for (let i = 0; i < quantity; i++) {
+      units.push({ line, price: netUnitPrice(line) });
+    }
+  }
+  return units.sort((a, b) => b.price - a.price);
+};
+
+const claimUnits = (promotion, units) => {
+  if (promotion.stackable) return;
+  for (const unit of units) unit.line.claimed += 1;
+};
+
+const applyProductDiscount = (promotion, lines) => {
+  let total = 0;
+  for (const line of lines) {
+    if (line.excluded || !matchesTarget(promotion, line)) continue;
+    const quantity = availableQuantity(promotion, line);
+    if (quantity <= 0) continue;
+
+    const unitPrice = netUnitPrice(line);
+    const perUnit =
+      promotion.discountType === "percentage"
+        ? (unitPrice * promotion.discountValue) / 100
+        : Math.min(promotion.discountValue, unitPrice);
+    total += addDiscount(line, promotion, perUnit * quantity);
+    if (!promotion.stackable) line.claimed += quantity;
+  }
+  return total;
+};
+
+// Buy X get Y: in every group of X + Y units the cheapest Y are discounted
+const applyBuyXGetY = (promotion, lines) => {
+  const units = expandUnits(promotion, lines);
+  const groupSize = promotion.buyQuantity + promotion.getQuantity;
+  const percentOff = promotion.getDiscountPercent ?? 100;
+  let total = 0;
+
+  for (let start = 0; start + groupSize <= units.length; start += groupSize) {
+    const group = units.slice(start, start + groupSize);
+    for (const unit of group.slice(promotion.buyQuantity)) {
+      total += addDiscount(unit.line, promotion, (unit.price * percentOff) / 100);
+    }
+    claimUnits(promotion, group);
+  }
+  return total;
+};
+
+// Mix and match: any N eligible units for a set price, or a discount off the group
+const applyMixAndMatch = (promotion, lines) => {
+  const units = expandUnits(promotion, lines);
+  const groupSize = promotion.buyQuantity;
+  let total = 0;
+
+  for (let start = 0; start + groupSize <= units.length; start += groupSize) {
+    const group = units.slice(start, start + groupSize);
+    const groupValue = group.reduce((sum, unit) => sum + unit.price, 0);
+
+    let groupDiscount = 0;
+    if (promotion.discountType === "fixed_price") {
+      groupDiscount = groupValue - promotion.discountValue;
+    } else if (promotion.discountType === "percentage") {
+      groupDiscount = (groupValue * promotion.discountValue) / 100;
+    } else {
+      groupDiscount = promotion.discountValue;
+    }
+    if (groupDiscount <= 0 || groupValue <= 0) continue;
+    groupDiscount = Math.min(groupDiscount, groupValue);
+
+    // Spread the saving over the units by value
+    for (const unit of group) {
+      total += addDiscount(unit.line, promotion, (groupDiscount * unit.price) / groupValue);
+    }
+    claimUnits(promotion, group);
+  }
+  return total;
+};
+
+// Spend threshold: spend at least minSpend on eligible lines, get money off them
+const applySpendThreshold = (promotion, lines) => {
+  const eligible = lines.filter(
+    (line) =>
+      !line.excluded &&
+      matchesTarget(promotion, line) &&
+      availableQuantity(promotion, line) > 0
+  );
+  const spend = eligible.reduce((sum, line) => sum + (line.gross - line.discount), 0);
+  if (spend <= 0 || spend < (promotion.minSpend || 0)) return 0;
+
+  const discount =
+    promotion.discountType === "percentage"
+      ? (spend * promotion.discountValue) / 100
+      : Math.min(promotion.discountValue, spend);
+
+  let total = 0;
+  for (const line of eligible) {
+    const share = (discount * (line.gross - line.discount)) / spend;
+    total += addDiscount(line, promotion, share);
+    if (!promotion.stackable) line.claimed = line.quantity;
+  }
+  return total;
+};
+
+const APPLY = {
+  product_discount: applyProductDiscount,
+  buy_x_get_y: applyBuyXGetY,
+  mix_and_match: applyMixAndMatch,
+  spend_threshold: applySpendThreshold,
+};
+
+/**
+ * Apply product markdowns and promotions to a basket
+ * @param {Array} items - [{productId, category, brand, unitPrice, quantity, markdownPrice?,
+ *   markdownPercentage?, excluded?}] in basket order; excluded lines (e.g. sourced items)
+ *   get no discounts
+ * @param {Array} promotions - Active promotions already filtered by store and schedule
+ * @returns {{ lines: Array<{discount: Number, appliedPromotions: Array}>, totalDiscount: Number }}
+ */
+const evaluatePromotions = (items, promotions = []) => {
+  const lines = items.map((item) => ({
+    ...item,
+    gross: item.unitPrice * item.quantity,
+    discount: 0,
+    claimed: 0,
+    applied: [],
+  }));
+
+  // Standing product markdowns come first and do not block promotions
+  for (const line of lines) {
+    if (line.excluded) continue;
+    let markdownUnitPrice = null;
+    if (line.markdownPrice > 0 && line.markdownPrice < line.unitPrice) {
+      markdownUnitPrice = line.markdownPrice;
+    } else if (line.markdownPercentage > 0) {
+      markdownUnitPrice = line.unitPrice * (1 - line.markdownPercentage / 100);
+    }
+    if (markdownUnitPrice !== null) {
+      addDiscount(
+        line,
+        { name: "Product discount", type: "markdown" },
+        (line.unitPrice - markdownUnitPrice) * line.quantity
+      );
+    }
+  }
+
+  const ordered = [...promotions].sort((a, b) => {
+    // Basket-level thresholds always run on what line promotions leave
+    const aLine = LINE_TYPES.includes(a.type) ? 0 : 1;
+    const bLine = LINE_TYPES.includes(b.type) ? 0 : 1;
+    return aLine - bLine || (b.priority || 0) - (a.priority || 0);
+  });
+
+  for (const promotion of ordered) {
+    if (APPLY[promotion.type]) APPLY[promotion.type](promotion, lines);
+  }
+
+  const result = lines.map((line) => ({
+    discount: round(line.discount),
+    appliedPromotions: line.applied.map((a) => ({ ...a, amount: round(a.amount) })),
+  }));
+
+  return {
+    lines: result,
+    totalDiscount: round(result.reduce((sum, line) => sum + line.discount, 0)),
+  };
+};
+
+module.exports = {
+  evaluatePromotions,
+  isWithinSchedule,
+};
@@ -0,0 +1,424 @@
+/**
+ * Receipt Renderer Utility
+ *
+ * Turns a sale into a printable receipt, honouring Settings.receipt and the
+ * store's receipt header/footer
+ *
+ * Features:
+ * - Templates: compact, standard and detailed
+ * - HTML for browser printing and email
+ * - Plain text laid out for 80mm (48 columns) and 58mm (32 columns) thermal paper
+ * - ESC/POS byte stream with native QR code and CODE128 barcode commands
+ * - Currency formatting from Settings (symbol and position)
+ */
+
+const PAPER_COLUMNS = { 80: 48, 58: 32 };
+
+const DEFAULT_RECEIPT_SETTINGS = {
+  template: "standard",
+  showLogo: true,
+  showQRCode: true,
+  showBarcode: false,
+  footer: {},
+};
+
+const PAYMENT_LABELS = {
+  cash: "Cash",
+  card: "Card",
+  mobile_wallet: "Mobile Wallet",
+  gift_card: "Gift Card",
+  voucher: "Voucher",
+  loyalty_points: "Loyalty Points",
+};
+
+/**
+ * Format an amount with the configured currency symbol
+ * @param {Number} amount
+ * @param {Object} settings - Settings document (currency, currencySymbol, currencyPosition)
+ * @param {Boolean} ascii - Fall back to the currency code when the symbol is not printable
+ * @returns {String}
+ */
+const formatCurrency = (amount, settings, ascii = false) => {
+  let symbol = settings?.currencySymbol ?? "$";
+  if (ascii && /[^\x20-\x7e]/.test(symbol)) {
+    symbol = `${settings?.currency || ""} `;
+  }
+  const value = Math.abs(amount || 0).toFixed(2);
+  const sign = amount < 0 ? "-" : "";
+  return settings?.currencyPosition === "after"
+    ? `${sign}${value}${symbol}`
+    : `${sign}${symbol}${value}`;
+};
+
+// Date and time in the store's timezone using Settings.dateFormat / timeFormat
+const formatDateTime = (date, settings, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone: timeZone || settings?.timezone || "UTC",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: settings?.timeFormat === "24h" ? "h23" : "h12",
+  })
+    .formatToParts(new Date(date))
+    .forEach((p) => {
+      parts[p.type] = p.value;
+    });
+
+  const day = (settings?.dateFormat || "YYYY-MM-DD")
+    .replace("YYYY", parts.year)
+    .replace("MM", parts.month)
+    .replace("DD", parts.day);
+  const time = `${parts.hour}:${parts.minute}${parts.dayPeriod ? ` ${parts.dayPeriod}` : ""}`;
+  return `${day} ${time}`;
+};
+
+const taxLabel = (entry) =>
+  entry.type === "fixed" ? entry.name : `${entry.name} ${entry.rate}%`;
+
+/**
+ * Build the template-independent receipt content
+ * @param {Object} sale - Sale with cashierId and customerId populated
+ * @param {Object} store - Store document
+ * @param {Object} settings - Settings document
+ * @param {Object} options
+ * @param {Boolean} options.ascii - Restrict currency output to printable ASCII
+ * @returns {Object} Receipt sections
+ */
+const buildReceipt = (sale, store, settings, { ascii = false } = {}) => {
+  const receiptSettings = {
+    ...DEFAULT_RECEIPT_SETTINGS,
+    ...(settings?.receipt?.toObject ? settings.receipt.toObject() : settings?.receipt),
+  };
+  const template = receiptSettings.template;
+  const money = (amount) => formatCurrency(amount, settings, ascii);
+
+  const header = [settings?.businessName, store?.name].filter(Boolean);
+  if (template !== "compact") {
+    const address = store?.address
+      ? [store.address.street, store.address.city, store.address.state, store.address.zipCode]
+          .filter(Boolean)
+          .join(", ")
+      : "";
+    if (address) header.push(address);
+    if (store?.phone) header.push(`Tel: ${store.phone}`);
+    if (settings?.tagline) header.push(settings.tagline);
+  }
+  if (store?.settings?.receiptHeader) header.push(store.settings.receiptHeader);
+
+  const meta = [
+    ["Receipt", sale.saleNo],
+    ["Date", formatDateTime(sale.createdAt, settings, store?.timezone)],
+  ];
+  if (template !== "compact") {
+    if (sale.cashierId?.name) meta.push(["Cashier", sale.cashierId.name]);
+    if (sale.customerId?.name) meta.push(["Customer", sale.customerId.name]);
+  }
+  if (template === "detailed") {
+    if (sale.customerId?.phone) meta.push(["Phone", sale.customerId.phone]);
+    meta.push(["Status", sale.status.replace(/_/g, " ")]);
+  }
+
+  const items = sale.items.map((item) => {
+    const details = [];
+    if (template !== "compact") {
+      for (const promotion of item.appliedPromotions || []) {
+        details.push(`${promotion.name} -${money(promotion.amount)}`);
+      }
+      if (template === "detailed" && item.taxBreakdown?.length) {
+        item.taxBreakdown.forEach((entry) => details.push(`${taxLabel(entry)} ${money(entry.amount)}`));
+      } else if (item.tax) {
+        details.push(`Tax ${money(item.tax)}`);
+      }
+    }
+    if (template === "detailed") {
+      const manualDiscount = (item.discount || 0) - (item.promotionDiscount || 0);
+      if (manualDiscount > 0.005) details.push(`Discount -${money(manualDiscount)}`);
+      if (item.serialNumbers?.length) details.push(`S/N ${item.serialNumbers.join(", ")}`);
+      for (const batch of item.batches || []) {
+        details.push(`Batch ${batch.batchNo} x${batch.quantity}`);
+      }
+      if (item.refundedQuantity) details.push(`Returned ${item.refundedQuantity}`);
+    }
+    return {
+      name: item.productName,
+      quantity: item.quantity,
+      unitName: item.unitName,
+      priceLine: item.unitName
+        ? `${item.quantity} ${item.unitName} x ${money(item.unitPrice)}`
+        : `${item.quantity} x ${money(item.unitPrice)}`,
+      total: money(item.total),
+      details,
+    };
+  });
+
+  const totals = [["Subtotal", money(sale.subtotal)]];
+  if (sale.discount) totals.push(["Discount", `-${money(sale.discount)}`]);
+  if (sale.coupon?.code) {
+    totals.push([`  incl. coupon ${sale.coupon.code}`, `-${money(sale.coupon.discount)}`]);
+  }
+  if (sale.tax) {
+    totals.push([sale.taxInclusive ? "Tax (included)" : "Tax", money(sale.tax)]);
+    if (template === "detailed") {
+      (sale.taxBreakdown || []).forEach((entry) =>
+        totals.push([`  ${taxLabel(entry)}`, money(entry.amount)])
+      );
+    }
+  }
+  totals.push(["TOTAL", money(sale.total), true]);
+  if (sale.roundingAdjustment) {
+    totals.push(["Rounding", money(sale.roundingAdjustment)]);
+    totals.push(["To pay", money(sale.total + sale.roundingAdjustment), true]);
+  }
+  if (sale.refundedAmount) totals.push(["Refunded", `-${money(sale.refundedAmount)}`]);
+  if (sale.dueAmount) totals.push(["Due", money(sale.dueAmount)]);
+
+  const payments = (sale.payments || [])
+    .filter((payment) => payment.method !== "due")
+    .map((payment) => [PAYMENT_LABELS[payment.method] || payment.method, money(payment.amount)]);
+  if (sale.change) payments.push(["Change", money(sale.change)]);
+
+  const footer = [];
+  if (store?.settings?.receiptFooter) footer.push(store.settings.receiptFooter);
+  if (receiptSettings.footer?.text) footer.push(receiptSettings.footer.text);
+  if (receiptSettings.footer?.showSocialMedia) {
+    const { facebookUrl, instagramUrl, websiteUrl } = receiptSettings.footer;
+    footer.push(...[websiteUrl, facebookUrl, instagramUrl].filter(Boolean));
+  }
+
+  return {
+    template,
+    logoUrl: receiptSettings.showLogo ? receiptSettings.logoUrl || settings?.logo : null,
+    header,
+    meta,
+    items,
+    totals,
+    payments,
+    footer,
+    qrPayload: receiptSettings.showQRCode ? sale.saleNo : null,
+    barcode: receiptSettings.showBarcode ? sale.saleNo : null,
+  };
+};
+
+// Compact receipts have no price line, so the unit goes next to the name
+const compactName = (item) => (item.unitName ? `${item.name} (${item.unitName})` : item.name);
+
+/* ---------- Plain text ---------- */
+
+const center = (text, width) => {
+  const line = text.slice(0, width);
+  return " ".repeat(Math.floor((width - line.length) / 2)) + line;
+};
+
+// Left text and right-aligned value on one line; when they do not fit the value
+// moves to its own line(s), wrapped at the line width
+const columns = (left, right, width) => {
+  const room = width - right.length - 1;
+  if (left.length <= room) {
+    return [left + " ".repeat(Math.max(0, width - left.length - right.length)) + right];
+  }
+  const lines = [left.slice(0, width)];
+  for (let start = 0; start < right.length; start += width) {
+    const chunk = right.slice(start, start + width);
+    lines.push(" ".repeat(Math.max(0, width - chunk.length)) + chunk);
+  }
+  return lines;
+};
+
+/**
+ * Lay the receipt out as thermal printer lines
+ * @param {Object} receipt - Output of buildReceipt
+ * @param {Number} width - Characters per line
+ * @returns {Array<{text: String, align?: String, bold?: Boolean}>}
+ */
+const layoutLines = (receipt, width) => {
+  const lines = [];
+  const rule = { text: "-".repeat(width) };
+
+  receipt.header.forEach((text, index) =>
+    lines.push({ text, align: "center", bold: index === 0 })
+  );
+  lines.push(rule);
+  receipt.meta.forEach(([label, value]) =>
+    columns(`${label}:`, String(value), width).forEach((text) => lines.push({ text }))
+  );
+  lines.push(rule);
+
+  for (const item of receipt.items) {
+    if (receipt.template === "compact") {
+      columns(`${item.quantity}x ${compactName(item)}`, item.total, width).forEach((text) =>
+        lines.push({ text })
+      );
+      continue;
+    }
+    lines.push({ text: item.name.slice(0, width) });
+    columns(`  ${item.priceLine}`, item.total, width).forEach((text) => lines.push({ text }));
+    item.details.forEach((detail) => lines.push({ text: `  ${detail}`.slice(0, width) }));
+  }
+
+  lines.push(rule);
+  receipt.totals.forEach(([label, value, bold]) =>
+    columns(label, value, width).forEach((text) => lines.push({ text, bold }))
+  );
+  if (receipt.payments.length > 0) {
+    lines.push(rule);
+    receipt.payments.forEach(([label, value]) =>
+      columns(label, value, width).forEach((text) => lines.push({ text }))
+    );
+  }
+  if (receipt.footer.length > 0) {
+    lines.push(rule);
+    receipt.footer.forEach((text) => lines.push({ text, align: "center" }));
+  }
+  return lines;
+};
+
+/**
+ * Render a receipt as plain text
+ * @param {Object} receipt - Output of buildReceipt
+ * @param {Number} paperWidth - 80 or 58 (mm)
+ * @returns {String}
+ */
+const renderText = (receipt, paperWidth = 80) => {
+  const width = PAPER_COLUMNS[paperWidth] || PAPER_COLUMNS[80];
+  const lines = layoutLines(receipt, width).map(({ text, align }) =>
+    align === "center" ? center(text, width) : text
+  );
+  // Printers without graphics still show what the codes encode
+  if (receipt.barcode) lines.push("", center(`*${receipt.barcode}*`, width));
+  if (receipt.qrPayload) lines.push("", center(`QR: ${receipt.qrPayload}`, width));
+  return lines.join("\n") + "\n";
+};
+
+/* ---------- ESC/POS ---------- */
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+const escpos = {
+  init: [ESC, 0x40],
+  align: (mode) => [ESC, 0x61, { left: 0, center: 1, right: 2 }[mode] ?? 0],
+  bold: (on) => [ESC, 0x45, on ? 1 : 0],
+  feed: (lines) => [ESC, 0x64, lines],
+  cut: [GS, 0x56, 0x42, 0x00],
+  // GS ( k: model 2 QR, module size 6, error correction M, store then print
+  qrCode: (data) => {
+    const payload = Buffer.from(data, "latin1");
+    const length = payload.length + 3;
+    return [
+      GS, 0x28, 0x6b, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00,
+      GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x43, 0x06,
+      GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x45, 0x31,
+      GS, 0x28, 0x6b, length & 0xff, length >> 8, 0x31, 0x50, 0x30, ...payload,
+      GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x51, 0x30,
+    ];
+  },
+  // GS k 73: CODE128 (code set B), human readable text below
+  barcode: (data) => {
+    const payload = Buffer.from(`{B${data}`, "latin1");
+    return [GS, 0x68, 80, GS, 0x77, 2, GS, 0x48, 2, GS, 0x6b, 73, payload.length, ...payload];
+  },
+};
+
+/**
+ * Render a receipt as an ESC/POS command stream
+ * @param {Object} receipt - Output of buildReceipt (built with ascii: true)
+ * @param {Number} paperWidth - 80 or 58 (mm)
+ * @returns {Buffer}
+ */
+const renderEscPos = (receipt, paperWidth = 80) => {
+  const width = PAPER_COLUMNS[paperWidth] || PAPER_COLUMNS[80];
+  const bytes = [...escpos.init];
+
+  for (const { text, align = "left", bold = false } of layoutLines(receipt, width)) {
+    bytes.push(...escpos.align(align), ...escpos.bold(bold));
+    bytes.push(...Buffer.from(`${text}\n`, "latin1"));
+  }
+
+  bytes.push(...escpos.align("center"), ...escpos.bold(false));
+  if (receipt.barcode) bytes.push(0x0a, ...escpos.barcode(receipt.barcode));
+  if (receipt.qrPayload) bytes.push(0x0a, ...escpos.qrCode(receipt.qrPayload));
+  bytes.push(...escpos.feed(4), ...escpos.cut);
+
+  return Buffer.from(bytes);
+};
+
+/* ---------- HTML ---------- */
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Render a receipt as a standalone HTML page
+ * QR code and barcode are emitted as data-qr / data-barcode elements for the
+ * client to draw, with the encoded text printed underneath
+ * @param {Object} receipt - Output of buildReceipt
+ * @param {Number} paperWidth - 80 or 58 (mm)
+ * @returns {String}
+ */
+const renderHtml = (receipt, paperWidth = 80) => {
+  const row = (label, value, className = "") =>
+    `<tr class="${className}"><td>${escapeHtml(label)}</td><td class="right">${escapeHtml(value)}</td></tr>`;
+
+  const items = receipt.items
+    .map((item) => {
+      if (receipt.template === "compact") {
+        return row(`${item.quantity}x ${compactName(item)}`, item.total);
+      }
+      const details = item.details
+        .map((detail) => `<div class="detail">${escapeHtml(detail)}</div>`)
+        .join("");
+      return `<tr><td>${escapeHtml(item.name)}<div class="detail">${escapeHtml(item.priceLine)}</div>${details}</td><td class="right">${escapeHtml(item.total)}</td></tr>`;
+    })
+    .join("");
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(receipt.meta[0][1])}</title>
+<style>
+  body { width: ${paperWidth === 58 ? 58 : 80}mm; margin: 0 auto; font-family: monospace; font-size: 12px; }
+  .center { text-align: center; }
+  .right { text-align: right; white-space: nowrap; vertical-align: top; }
+  .detail { padding-left: 8px; font-size: 11px; }
+  .bold td { font-weight: bold; }
+  table { width: 100%; border-collapse: collapse; }
+  hr { border: none; border-top: 1px dashed #000; }
+  img.logo { max-width: 60%; }
+</style>
+</head>
+<body class="receipt-${escapeHtml(receipt.template)}">
+<div class="center">
+${receipt.logoUrl ? `<img class="logo" src="${escapeHtml(receipt.logoUrl)}" alt="">` : ""}
+${receipt.header.map((line, i) => (i === 0 ? `<h3>${escapeHtml(line)}</h3>` : `<div>${escapeHtml(line)}</div>`)).join("\n")}
+</div>
+<hr>
+<table>${receipt.meta.map(([label, value]) => row(label, value)).join("")}</table>
+<hr>
+<table>${items}</table>
+<hr>
+<table>${receipt.totals.map(([label, value, bold]) => row(label, value, bold ? "bold" : "")).join("")}</table>
+${receipt.payments.length ? `<hr><table>${receipt.payments.map(([label, value]) => row(label, value)).join("")}</table>` : ""}
+${receipt.footer.length ? `<hr><div class="center">${receipt.footer.map((line) => `<div>${escapeHtml(line)}</div>`).join("")}</div>` : ""}
+${receipt.barcode ? `<div class="center barcode" data-barcode="${escapeHtml(receipt.barcode)}">${escapeHtml(receipt.barcode)}</div>` : ""}
+${receipt.qrPayload ? `<div class="center qr" data-qr="${escapeHtml(receipt.qrPayload)}">${escapeHtml(receipt.qrPayload)}</div>` : ""}
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  PAPER_COLUMNS,
+  formatCurrency,
+  buildReceipt,
+  renderText,
+  renderEscPos,
+  renderHtml,
+};
@@ -0,0 +1,177 @@
+/**
+ * Tax Engine
+ *
+ * Resolves which tax rules apply to a product and calculates line taxes for
+ * sales and orders
+ *
+ * Rule resolution (first level with any rules wins, all its rules apply):
+ * 1. Product override - Product.taxExempt, or Product.taxRate above 0
+ * 2. Category rules   - Store.taxRules, then Settings.taxRules, whose
+ *                       applicableCategories include the product's category
+ * 3. Store rules      - Store.taxRules without categories
+ * 4. Global rules     - Settings.taxRules without categories
+ *
+ * Calculation:
+ * - Percentage and fixed (per unit) taxes are charged on the net price
+ * - Compound taxes are charged on the net price plus all taxes before them
+ * - With Settings.taxInclusive the line amount already contains tax and the
+ *   net price is back-calculated
+ * - Settings.taxEnabled = false switches tax off entirely
+ */
+
+const Store = require("../model/Store");
+const Settings = require("../model/Settings");
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+const toRule = (rule, source) => ({
+  name: rule.name,
+  rate: rule.rate || 0,
+  type: rule.type || "percentage",
+  compound: rule.compound || false,
+  source,
+});
+
+const activeRules = (rules = []) => rules.filter((rule) => rule.isActive !== false);
+
+const coversCategory = (rule, category) =>
+  rule.applicableCategories?.length > 0 && rule.applicableCategories.includes(category);
+
+const isGeneral = (rule) => !rule.applicableCategories || rule.applicableCategories.length === 0;
+
+/**
+ * Tax rules that apply to a product
+ * @param {Object} product - Product document (category, taxRate, taxExempt)
+ * @param {Object} context - { store, settings }
+ * @returns {Array<{name, rate, type, compound, source}>}
+ */
+const resolveTaxRules = (product, { store, settings } = {}) => {
+  if (settings && settings.taxEnabled === false) return [];
+  if (product.taxExempt) return [];
+  if (product.taxRate > 0) {
+    return [toRule({ name: "Tax", rate: product.taxRate }, "product")];
+  }
+
+  const storeRules = activeRules(store?.taxRules);
+  const globalRules = activeRules(settings?.taxRules);
+
+  const levels = [
+    [storeRules.filter((rule) => coversCategory(rule, product.category)), "category"],
+    [globalRules.filter((rule) => coversCategory(rule, product.category)), "category"],
+    [storeRules.filter(isGeneral), "store"],
+    [globalRules.filter(isGeneral), "global"],
+  ];
+
+  for (const [rules, source] of levels) {
+    if (rules.length > 0) return rules.map((rule) => toRule(rule, source));
+  }
+  return [];
+};
+
+/**
+ * Calculate tax on one line
+ * @param {Number} amount - Line amount after discounts (tax-inclusive when inclusive)
+ * @param {Number} quantity - Units on the line, for fixed per-unit taxes
+ * @param {Array} rules - Output of resolveTaxRules
+ * @param {Object} options - { inclusive }
+ * @returns {{ net: Number, tax: Number, gross: Number, breakdown: Array }}
+ */
+const calculateLineTax = (amount, quantity, rules, { inclusive = false } = {}) => {
+  if (!rules.length || amount <= 0) {
+    const net = round(Math.max(amount, 0));
+    return { net, tax: 0, gross: net, breakdown: [] };
+  }
+
+  const simple = rules.filter((rule) => !rule.compound);
+  const compound = rules.filter((rule) => rule.compound);
+  const percentage = simple
+    .filter((rule) => rule.type === "percentage")
+    .reduce((sum, rule) => sum + rule.rate / 100, 0);
+  const fixed = simple
+    .filter((rule) => rule.type === "fixed")
+    .reduce((sum, rule) => sum + rule.rate * quantity, 0);
+
+  let net = amount;
+  if (inclusive) {
+    // amount = ((net * (1 + percentage)) + fixed) * compound factors
+    let beforeCompound = amount;
+    for (const rule of [...compound].reverse()) {
+      beforeCompound = rule.type === "fixed"
+        ? beforeCompound - rule.rate * quantity
+        : beforeCompound / (1 + rule.rate / 100);
+    }
+    net = Math.max(0, (beforeCompound - fixed) / (1 + percentage));
+  }
+
+  const breakdown = [];
+  let running = net;
+  for (const rule of simple) {
+    const taxAmount = rule.type === "fixed" ? rule.rate * quantity : (net * rule.rate) / 100;
+    breakdown.push({ ...rule, amount: taxAmount });
+    running += taxAmount;
+  }
+  for (const rule of compound) {
+    const taxAmount = rule.type === "fixed" ? rule.rate * quantity : (running * rule.rate) / 100;
+    breakdown.push({ ...rule, amount: taxAmount });
+    running += taxAmount;
+  }
+
+  breakdown.forEach((entry) => {
+    entry.amount = round(entry.amount);
+  });
+  let tax = round(breakdown.reduce((sum, entry) => sum + entry.amount, 0));
+
+  if (inclusive) {
+    // Keep net + tax equal to the price charged after rounding each rule
+    const drift = round(amount - (round(net) + tax));
+    if (drift !== 0 && breakdown.length > 0) {
+      breakdown[breakdown.length - 1].amount = round(breakdown[breakdown.length - 1].amount + drift);
+      tax = round(tax + drift);
+    }
+    return { net: round(amount - tax), tax, gross: round(amount), breakdown };
+  }
+
+  return { net: round(net), tax, gross: round(net + tax), breakdown };
+};
+
+/**
+ * Sum line breakdowns into one entry per rule
+ * @param {Array<Array>} breakdowns - Line breakdowns
+ * @returns {Array<{name, rate, type, compound, source, amount}>}
+ */
+const summarizeTaxBreakdown = (breakdowns) => {
+  const totals = new Map();
+  for (const breakdown of breakdowns) {
+    for (const entry of breakdown || []) {
+      const key = `${entry.name}|${entry.rate}|${entry.type}|${entry.compound}`;
+      const existing = totals.get(key);
+      if (existing) {
+        existing.amount = round(existing.amount + entry.amount);
+      } else {
+        totals.set(key, { ...entry });
+      }
+    }
+  }
+  return [...totals.values()];
+};
+
+/**
+ * Load the store and settings resolveTaxRules needs
+ * @param {ObjectId} storeId
+ * @param {ClientSession} [session]
+ * @returns {Promise<{store, settings, inclusive: Boolean}>}
+ */
+const loadTaxContext = async (storeId, session) => {
+  const [store, settings] = await Promise.all([
+    Store.findById(storeId).select("taxRules timezone").session(session || null),
+    Settings.findOne({ isActive: true }).session(session || null),
+  ]);
+  return { store, settings, inclusive: Boolean(settings?.taxInclusive) };
+};
+
+module.exports = {
+  resolveTaxRules,
+  calculateLineTax,
+  summarizeTaxBreakdown,
+  loadTaxContext,
+};
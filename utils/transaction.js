@@ -0,0 +1,50 @@
+/**
+ * Transaction Utility
+ *
+ * Runs a unit of work in a MongoDB transaction and replays it when it loses a
+ * write conflict, e.g. two tills taking the next number from the same counter
+ *
+ * Features:
+ * - Commits when the work resolves, aborts when it throws
+ * - Replays on TransientTransactionError, up to a bounded number of attempts
+ * - Always ends the session; the work's result is passed through
+ */
+
+const mongoose = require("mongoose");
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+/**
+ * Run work inside a transaction
+ * The work may run more than once, so it must read everything it needs
+ * through the session it is given.
+ * @param {Function} work - async (session) => result
+ * @param {Object} [options]
+ * @param {Number} [options.maxAttempts=3] - Runs allowed before a conflict is reported
+ * @returns {Promise<*>} What the work resolved with
+ */
+const runInTransaction = async (work, { maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) => {
+  const session = await mongoose.startSession();
+
+  try {
+    for (let attempt = 1; ; attempt += 1) {
+      session.startTransaction();
+      try {
+        const result = await work(session);
+        await session.commitTransaction();
+        return result;
+      } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
+        if (!error.hasErrorLabel?.("TransientTransactionError") || attempt >= maxAttempts) {
+          throw error;
+        }
+      }
+    }
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = {
+  runInTransaction,
+};